@@ -0,0 +1,15 @@
+CREATE TABLE "sessions" (
+	"id" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+	"user_id" integer NOT NULL,
+	"refresh_token_hash" varchar(255) NOT NULL,
+	"user_agent" varchar(512),
+	"ip_address" varchar(64),
+	"expires_at" timestamp NOT NULL,
+	"last_used_at" timestamp DEFAULT now() NOT NULL,
+	"revoked_at" timestamp,
+	"revoked_reason" varchar(50),
+	"created_at" timestamp DEFAULT now() NOT NULL,
+	"updated_at" timestamp DEFAULT now() NOT NULL
+);
+--> statement-breakpoint
+ALTER TABLE "sessions" ADD CONSTRAINT "sessions_user_id_users_id_fk" FOREIGN KEY ("user_id") REFERENCES "public"."users"("id") ON DELETE cascade ON UPDATE no action;
\ No newline at end of file
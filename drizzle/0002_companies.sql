@@ -0,0 +1,13 @@
+CREATE TABLE "companies" (
+	"id" serial PRIMARY KEY NOT NULL,
+	"legal_name" varchar(255) NOT NULL,
+	"registration_number" varchar(100) NOT NULL,
+	"jurisdiction" varchar(100) NOT NULL,
+	"industry_code" varchar(20),
+	"headcount" integer,
+	"revenue" numeric(18, 2),
+	"website" varchar(255),
+	"created_at" timestamp DEFAULT now() NOT NULL,
+	"updated_at" timestamp DEFAULT now() NOT NULL,
+	CONSTRAINT "companies_registration_unique" UNIQUE("jurisdiction","registration_number")
+);
@@ -0,0 +1,29 @@
+CREATE TABLE "deal_stage_transitions" (
+	"id" serial PRIMARY KEY NOT NULL,
+	"deal_id" integer NOT NULL,
+	"from_stage" varchar(30),
+	"to_stage" varchar(30) NOT NULL,
+	"moved_by" integer,
+	"note" varchar(1000),
+	"created_at" timestamp DEFAULT now() NOT NULL
+);
+--> statement-breakpoint
+CREATE TABLE "deals" (
+	"id" serial PRIMARY KEY NOT NULL,
+	"name" varchar(255) NOT NULL,
+	"acquirer_id" integer NOT NULL,
+	"target_id" integer NOT NULL,
+	"deal_type" varchar(30) NOT NULL,
+	"proposed_valuation" numeric(20, 2),
+	"currency" varchar(3) DEFAULT 'USD' NOT NULL,
+	"stage" varchar(30) DEFAULT 'sourcing' NOT NULL,
+	"created_by" integer,
+	"created_at" timestamp DEFAULT now() NOT NULL,
+	"updated_at" timestamp DEFAULT now() NOT NULL
+);
+--> statement-breakpoint
+ALTER TABLE "deal_stage_transitions" ADD CONSTRAINT "deal_stage_transitions_deal_id_deals_id_fk" FOREIGN KEY ("deal_id") REFERENCES "public"."deals"("id") ON DELETE cascade ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "deal_stage_transitions" ADD CONSTRAINT "deal_stage_transitions_moved_by_users_id_fk" FOREIGN KEY ("moved_by") REFERENCES "public"."users"("id") ON DELETE set null ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "deals" ADD CONSTRAINT "deals_acquirer_id_companies_id_fk" FOREIGN KEY ("acquirer_id") REFERENCES "public"."companies"("id") ON DELETE restrict ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "deals" ADD CONSTRAINT "deals_target_id_companies_id_fk" FOREIGN KEY ("target_id") REFERENCES "public"."companies"("id") ON DELETE restrict ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "deals" ADD CONSTRAINT "deals_created_by_users_id_fk" FOREIGN KEY ("created_by") REFERENCES "public"."users"("id") ON DELETE set null ON UPDATE no action;
\ No newline at end of file
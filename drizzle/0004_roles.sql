@@ -0,0 +1,15 @@
+CREATE TABLE "role_permissions" (
+	"role" varchar(50) NOT NULL,
+	"permission" varchar(100) NOT NULL,
+	"created_at" timestamp DEFAULT now() NOT NULL,
+	CONSTRAINT "role_permissions_role_permission_pk" PRIMARY KEY("role","permission")
+);
+--> statement-breakpoint
+CREATE TABLE "roles" (
+	"name" varchar(50) PRIMARY KEY NOT NULL,
+	"description" varchar(255),
+	"created_at" timestamp DEFAULT now() NOT NULL,
+	"updated_at" timestamp DEFAULT now() NOT NULL
+);
+--> statement-breakpoint
+ALTER TABLE "role_permissions" ADD CONSTRAINT "role_permissions_role_roles_name_fk" FOREIGN KEY ("role") REFERENCES "public"."roles"("name") ON DELETE cascade ON UPDATE no action;
\ No newline at end of file
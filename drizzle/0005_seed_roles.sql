@@ -0,0 +1,56 @@
+-- Custom SQL migration file, put your code below! ---- Seed the built-in roles so existing users keep their access
+INSERT INTO "roles" ("name", "description") VALUES
+	('guest', 'Guest user with no permissions'),
+	('user', 'Regular user with basic permissions'),
+	('moderator', 'Moderator with extended user management permissions'),
+	('admin', 'Administrator with full permissions'),
+	('superadmin', 'Super administrator with unrestricted access')
+ON CONFLICT ("name") DO NOTHING;
+--> statement-breakpoint
+INSERT INTO "role_permissions" ("role", "permission") VALUES
+	('user', 'profile:read'),
+	('user', 'profile:update'),
+	('user', 'users:read'),
+	('user', 'companies:read'),
+	('user', 'deals:read'),
+	('moderator', 'profile:read'),
+	('moderator', 'profile:update'),
+	('moderator', 'users:read'),
+	('moderator', 'users:read:all'),
+	('moderator', 'users:update'),
+	('moderator', 'companies:read'),
+	('moderator', 'companies:create'),
+	('moderator', 'companies:update'),
+	('moderator', 'deals:read'),
+	('moderator', 'deals:create'),
+	('moderator', 'deals:update'),
+	('moderator', 'deals:transition'),
+	('admin', 'profile:read'),
+	('admin', 'profile:update'),
+	('admin', 'users:create'),
+	('admin', 'users:read'),
+	('admin', 'users:update'),
+	('admin', 'users:delete'),
+	('admin', 'users:read:all'),
+	('admin', 'users:update:any'),
+	('admin', 'users:delete:any'),
+	('admin', 'users:assign-role'),
+	('admin', 'companies:create'),
+	('admin', 'companies:read'),
+	('admin', 'companies:update'),
+	('admin', 'companies:delete'),
+	('admin', 'deals:create'),
+	('admin', 'deals:read'),
+	('admin', 'deals:update'),
+	('admin', 'deals:delete'),
+	('admin', 'deals:transition'),
+	('admin', 'admin:panel'),
+	('admin', 'admin:logs'),
+	('admin', 'admin:system'),
+	('superadmin', '*')
+ON CONFLICT DO NOTHING;
+--> statement-breakpoint
+-- Keep any role already assigned to a user so the users.role foreign key can be added
+INSERT INTO "roles" ("name")
+SELECT DISTINCT "role" FROM "users"
+ON CONFLICT ("name") DO NOTHING;
@@ -0,0 +1,17 @@
+CREATE TABLE "invites" (
+	"id" serial PRIMARY KEY NOT NULL,
+	"token_hash" varchar(255) NOT NULL,
+	"role" varchar(50) NOT NULL,
+	"email" varchar(255),
+	"created_by" integer,
+	"used_by" integer,
+	"expires_at" timestamp NOT NULL,
+	"used_at" timestamp,
+	"revoked_at" timestamp,
+	"created_at" timestamp DEFAULT now() NOT NULL,
+	CONSTRAINT "invites_token_hash_unique" UNIQUE("token_hash")
+);
+--> statement-breakpoint
+ALTER TABLE "invites" ADD CONSTRAINT "invites_role_roles_name_fk" FOREIGN KEY ("role") REFERENCES "public"."roles"("name") ON DELETE cascade ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "invites" ADD CONSTRAINT "invites_created_by_users_id_fk" FOREIGN KEY ("created_by") REFERENCES "public"."users"("id") ON DELETE set null ON UPDATE no action;--> statement-breakpoint
+ALTER TABLE "invites" ADD CONSTRAINT "invites_used_by_users_id_fk" FOREIGN KEY ("used_by") REFERENCES "public"."users"("id") ON DELETE set null ON UPDATE no action;
\ No newline at end of file
@@ -0,0 +1,4 @@
+-- Custom SQL migration file, put your code below! --
+-- Accounts created before email verification existed are treated as verified
+-- so they keep access to deal endpoints
+UPDATE "users" SET "email_verified_at" = "created_at" WHERE "email_verified_at" IS NULL;
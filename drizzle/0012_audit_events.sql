@@ -0,0 +1,17 @@
+CREATE TABLE "audit_events" (
+	"id" serial PRIMARY KEY NOT NULL,
+	"actor_id" integer,
+	"actor_role" varchar(50),
+	"action" varchar(100) NOT NULL,
+	"resource_type" varchar(50) NOT NULL,
+	"resource_id" varchar(100),
+	"changes" jsonb,
+	"metadata" jsonb,
+	"ip_address" varchar(64),
+	"request_id" varchar(100),
+	"created_at" timestamp DEFAULT now() NOT NULL
+);
+--> statement-breakpoint
+CREATE INDEX "audit_events_actor_idx" ON "audit_events" USING btree ("actor_id");--> statement-breakpoint
+CREATE INDEX "audit_events_resource_idx" ON "audit_events" USING btree ("resource_type","resource_id");--> statement-breakpoint
+CREATE INDEX "audit_events_created_at_idx" ON "audit_events" USING btree ("created_at");
\ No newline at end of file
@@ -0,0 +1,14 @@
+-- Custom SQL migration file, put your code below! --
+CREATE OR REPLACE FUNCTION audit_events_reject_change() RETURNS trigger AS $$
+BEGIN
+	RAISE EXCEPTION 'audit_events is append-only';
+END;
+$$ LANGUAGE plpgsql;
+--> statement-breakpoint
+CREATE TRIGGER audit_events_no_update_delete
+	BEFORE UPDATE OR DELETE ON "audit_events"
+	FOR EACH ROW EXECUTE FUNCTION audit_events_reject_change();
+--> statement-breakpoint
+CREATE TRIGGER audit_events_no_truncate
+	BEFORE TRUNCATE ON "audit_events"
+	FOR EACH STATEMENT EXECUTE FUNCTION audit_events_reject_change();
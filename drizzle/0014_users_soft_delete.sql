@@ -0,0 +1,2 @@
+ALTER TABLE "users" ADD COLUMN "deleted_at" timestamp;--> statement-breakpoint
+ALTER TABLE "users" ADD COLUMN "anonymized_at" timestamp;
\ No newline at end of file
@@ -0,0 +1,4 @@
+ALTER TABLE "deal_stage_transitions" DROP CONSTRAINT "deal_stage_transitions_deal_id_deals_id_fk";
+--> statement-breakpoint
+ALTER TABLE "deals" ADD COLUMN "deleted_at" timestamp;--> statement-breakpoint
+ALTER TABLE "deal_stage_transitions" ADD CONSTRAINT "deal_stage_transitions_deal_id_deals_id_fk" FOREIGN KEY ("deal_id") REFERENCES "public"."deals"("id") ON DELETE restrict ON UPDATE no action;
\ No newline at end of file
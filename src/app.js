@@ -1,26 +1,44 @@
 import express from 'express';
 import logger from './config/logger.js';
 import helmet from 'helmet';
-import morgan from 'morgan';
 import cors from 'cors';
 import cookieParser from 'cookie-parser';
 import authRoutes from './routes/auth.routes.js';
 import userRoutes from './routes/users.routes.js';
+import companyRoutes from './routes/companies.routes.js';
+import dealRoutes from './routes/deals.routes.js';
+import adminRoutes from './routes/admin.routes.js';
+import docsRoutes from './routes/docs.routes.js';
+import healthRoutes from './routes/health.routes.js';
 import securityMiddleware from './middleware/security.middleware.js';
+import { requestId } from './middleware/requestId.middleware.js';
+import { accessLog } from './middleware/accessLog.middleware.js';
+import {
+  recordHttpMetrics,
+  requireMetricsAccess,
+} from './middleware/metrics.middleware.js';
+import { fetchMetrics } from './controllers/metrics.controller.js';
+import {
+  errorHandler,
+  notFoundHandler,
+} from './middleware/error.middleware.js';
 
 const app = express();
 
+app.use(requestId);
 app.use(helmet());
 app.use(cors());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.use(cookieParser());
 
-app.use(
-  morgan('combined', {
-    stream: { write: message => logger.info(message.trim()) },
-  })
-);
+app.use(accessLog);
+app.use(recordHttpMetrics);
+
+// Scraped by Prometheus and polled by orchestrators, so these sit in front of
+// the Arcjet bot and rate rules
+app.get('/metrics', requireMetricsAccess, fetchMetrics);
+app.use('/health', healthRoutes);
 
 app.use(securityMiddleware);
 
@@ -30,24 +48,18 @@ app.get('/', (req, res) => {
   res.status(200).send('Greetings from Mergers-acquisitions');
 });
 
-app.get('/health', (req, res) => {
-  res
-    .status(200)
-    .json({
-      status: 'OK',
-      timestamp: new Date().toISOString(),
-      uptime: process.uptime(),
-    });
-});
-
 app.get('/api', (req, res) => {
   res.status(200).json({ message: 'Mergers-acquisitions API server running' });
 });
 
 app.use('/api/auth', authRoutes); //api/auth/sign-in
 app.use('/api/users', userRoutes);
+app.use('/api/companies', companyRoutes);
+app.use('/api/deals', dealRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api', docsRoutes);
+
+app.use(notFoundHandler);
+app.use(errorHandler);
 
-app.use((req, res) => {
-  res.status(404).json({ error: 'Route not found' });
-});
 export default app;
@@ -1,9 +1,10 @@
 import arcjet, { shield, detectBot, slidingWindow } from '@arcjet/node';
+import { config } from './env.js';
 
 const aj = arcjet({
   // Get your site key from https://app.arcjet.com and set it as an environment
   // variable rather than hard coding.
-  key: process.env.ARCJET_KEY,
+  key: config.arcjet.key,
   rules: [
     shield({ mode: 'LIVE' }),
     detectBot({
@@ -1,16 +1,128 @@
-import 'dotenv/config';
+import { AsyncLocalStorage } from 'async_hooks';
+import { config } from './env.js';
+import logger from './logger.js';
+import { timePoolQueries, timeQueries } from './metrics.js';
 
-import { neon, neonConfig } from '@neondatabase/serverless';
-import { drizzle } from 'drizzle-orm/neon-http';
+const MIGRATIONS_FOLDER = 'drizzle';
 
-if (process.env.NODE_ENV === 'production') {
-  neonConfig.fetchEndpoint = 'http://neon-local:3000/sql';
-  neonConfig.useServiceUrl = false;
-  neonConfig.poolQueryViaFetch = true;
+// Each driver returns the drizzle instance, a way to release its connections
+// and whether it can hold a transaction open across queries. Drivers are
+// imported on demand so only the selected one (and its native or WASM parts)
+// is loaded.
+const drivers = {
+  // Neon over HTTP; the default for Neon Cloud and Neon Local
+  'neon-http': async ({ url, neonFetchEndpoint }) => {
+    const { neon, neonConfig } = await import('@neondatabase/serverless');
+    const { drizzle } = await import('drizzle-orm/neon-http');
+
+    // Set when running against Neon Local instead of Neon Cloud
+    if (neonFetchEndpoint) {
+      neonConfig.fetchEndpoint = neonFetchEndpoint;
+      neonConfig.useServiceUrl = false;
+      neonConfig.poolQueryViaFetch = true;
+    }
+
+    // Every query is its own HTTP request, so there are no interactive
+    // transactions
+    return {
+      db: drizzle(timeQueries(neon(url))),
+      close: async () => {},
+      transactions: false,
+    };
+  },
+
+  // Neon over WebSockets; the production default, since a pooled connection
+  // can hold a transaction open. Node 20 has no WebSocket of its own.
+  'neon-serverless': async ({ url }) => {
+    const { Pool, neonConfig } = await import('@neondatabase/serverless');
+    const { drizzle } = await import('drizzle-orm/neon-serverless');
+
+    neonConfig.webSocketConstructor ??=
+      globalThis.WebSocket ?? (await import('ws')).default;
+
+    const pool = new Pool({ connectionString: url });
+    return {
+      db: drizzle(timePoolQueries(pool)),
+      close: () => pool.end(),
+      transactions: true,
+    };
+  },
+
+  // Any Postgres reachable over TCP, through a node-postgres pool
+  'node-postgres': async ({ url }) => {
+    const { default: pg } = await import('pg');
+    const { drizzle } = await import('drizzle-orm/node-postgres');
+
+    const pool = new pg.Pool({ connectionString: url });
+    return {
+      db: drizzle(timePoolQueries(pool)),
+      close: () => pool.end(),
+      transactions: true,
+    };
+  },
+
+  // Embedded Postgres compiled to WASM, in memory unless a data directory is
+  // given. It starts empty, so the migrations are applied straight away.
+  pglite: async ({ pgliteDataDir }) => {
+    const { PGlite } = await import('@electric-sql/pglite');
+    const { drizzle } = await import('drizzle-orm/pglite');
+    const { migrate } = await import('drizzle-orm/pglite/migrator');
+
+    const client = new PGlite(pgliteDataDir);
+    const db = drizzle(timeQueries(client));
+    await migrate(db, { migrationsFolder: MIGRATIONS_FOLDER });
+
+    return { db, close: () => client.close(), transactions: true };
+  },
+};
+
+export const createDatabase = async ({ driver, ...options }) => {
+  if (!drivers[driver]) {
+    throw new Error(`Unknown database driver: ${driver}`);
+  }
+
+  return drivers[driver](options);
+};
+
+const {
+  db: rootDb,
+  close: closeDatabase,
+  transactions: supportsTransactions,
+} = await createDatabase(config.database);
+
+if (!supportsTransactions) {
+  logger.warn(
+    `The ${config.database.driver} driver has no transactions; multi-step ` +
+      'writes are not atomic. Use neon-serverless or node-postgres where ' +
+      'that matters.'
+  );
 }
 
-const sql = neon(process.env.DATABASE_URL);
+const currentTransaction = new AsyncLocalStorage();
+
+// Stands in for the drizzle instance everywhere: inside withTransaction it
+// forwards to the open transaction, so services and the helpers they call
+// take part without having a transaction handed to them
+const db = new Proxy(rootDb, {
+  get(target, property) {
+    const current = currentTransaction.getStore() ?? target;
+    const value = current[property];
+    return typeof value === 'function' ? value.bind(current) : value;
+  },
+});
+
+// Runs `work` as one unit: it commits if `work` resolves and rolls back if it
+// throws. A nested call becomes a savepoint, so a failure caught inside the
+// outer unit does not doom it. On drivers without transactions (neon-http,
+// refused in production) `work` runs as separate statements, so callers
+// still rely on constraints rather than earlier reads for correctness.
+export const withTransaction = async work => {
+  if (!supportsTransactions) {
+    return work();
+  }
 
-const db = drizzle(sql);
+  const outer = currentTransaction.getStore() ?? rootDb;
+  return outer.transaction(tx => currentTransaction.run(tx, work));
+};
 
-export { db, sql };
+export { db, closeDatabase };
@@ -0,0 +1,331 @@
+import dotenv from 'dotenv';
+import ms from 'ms';
+import { z } from 'zod';
+
+// The one place environment variables are read. Everything is validated and
+// converted here at startup, so a bad value stops the process with a clear
+// message instead of surfacing later as an odd failure.
+
+export const DEV_JWT_SECRET = 'dev-only-jwt-secret-do-not-use-in-production';
+
+// Secrets that have shipped as defaults and so are effectively public
+const KNOWN_JWT_SECRETS = [
+  DEV_JWT_SECRET,
+  'your-secret-key-please-change in production',
+];
+
+const NODE_ENVS = ['development', 'test', 'production'];
+const DATABASE_DRIVERS = [
+  'neon-http',
+  'neon-serverless',
+  'node-postgres',
+  'pglite',
+];
+
+// Drivers that keep a connection open for a transaction; production needs
+// one so multi-step writes commit or roll back together
+const TRANSACTIONAL_DRIVERS = ['neon-serverless', 'node-postgres'];
+const CHARACTER_CLASSES = ['lowercase', 'uppercase', 'digit', 'symbol'];
+
+// Tests run against an embedded database and production over WebSockets
+// unless told otherwise; development talks HTTP, which Neon Local serves
+const DEFAULT_DRIVERS = { test: 'pglite', production: 'neon-serverless' };
+
+const databaseDriverOf = env =>
+  env.DATABASE_DRIVER ?? DEFAULT_DRIVERS[env.NODE_ENV] ?? 'neon-http';
+
+// Later files only fill in what earlier ones (and the real environment) left
+// unset, e.g. .env.production.local > .env.production > .env
+export const loadEnvFiles = (
+  nodeEnv = process.env.NODE_ENV || 'development'
+) => {
+  for (const file of [`.env.${nodeEnv}.local`, `.env.${nodeEnv}`, '.env']) {
+    dotenv.config({ path: file, quiet: true });
+  }
+};
+
+// Unset and empty variables (`FOO=` in a .env file) both fall back to the
+// default
+const setting = schema =>
+  z.preprocess(value => (value === '' ? undefined : value), schema);
+
+const count = fallback =>
+  setting(z.coerce.number().int().nonnegative().default(fallback));
+
+const list = setting(
+  z
+    .string()
+    .default('')
+    .transform(value =>
+      value
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean)
+    )
+);
+
+const envSchema = z
+  .object({
+    NODE_ENV: setting(z.enum(NODE_ENVS).default('development')),
+    PORT: setting(z.coerce.number().int().min(1).max(65535).default(3000)),
+    LOG_LEVEL: setting(
+      z
+        .enum(['error', 'warn', 'info', 'http', 'verbose', 'debug', 'silly'])
+        .default('info')
+    ),
+    SHUTDOWN_TIMEOUT_MS: count(10000),
+    // Time between failing readiness and refusing connections on shutdown
+    SHUTDOWN_GRACE_MS: count(0),
+
+    DATABASE_DRIVER: setting(z.enum(DATABASE_DRIVERS).optional()),
+    DATABASE_URL: setting(z.string().optional()),
+    // Where pglite keeps its files; in memory when unset
+    PGLITE_DATA_DIR: setting(z.string().optional()),
+    // Neon Local proxy, e.g. http://neon-local:5432/sql in docker-compose.dev
+    NEON_FETCH_ENDPOINT: setting(z.url().optional()),
+    HEALTH_CHECK_TIMEOUT_MS: count(2000),
+
+    ARCJET_KEY: setting(z.string().optional()),
+    METRICS_TOKEN: setting(z.string().optional()),
+    METRICS_ALLOWED_IPS: list,
+
+    JWT_SECRET: setting(z.string().optional()),
+    // Access token lifetime, e.g. 15m or 1h; also how long its cookie lasts
+    JWT_EXPIRES_IN: setting(
+      z
+        .string()
+        .default('15m')
+        .refine(value => ms(value) > 0, 'Must be a duration such as 15m or 1h')
+    ),
+    JWT_REFRESH_TTL_DAYS: count(7),
+
+    APP_URL: setting(z.url().default('http://localhost:3000')),
+    MAIL_TRANSPORT: setting(
+      z.enum(['console', 'file', 'smtp', 'memory']).default('console')
+    ),
+    MAIL_FROM: setting(
+      z.string().default('Mergers-acquisitions <no-reply@localhost>')
+    ),
+    MAIL_FILE_DIR: setting(z.string().default('logs/mail')),
+    SMTP_HOST: setting(z.string().optional()),
+    SMTP_PORT: count(587),
+    SMTP_SECURE: setting(z.stringbool().default(false)),
+    SMTP_USER: setting(z.string().optional()),
+    SMTP_PASS: setting(z.string().optional()),
+
+    PASSWORD_MIN_LENGTH: setting(z.coerce.number().int().min(1).default(8)),
+    PASSWORD_MAX_LENGTH: setting(z.coerce.number().int().min(1).default(128)),
+    // Comma-separated, any of lowercase, uppercase, digit, symbol
+    PASSWORD_REQUIRED_CLASSES: list.pipe(z.array(z.enum(CHARACTER_CLASSES))),
+    // How many recent passwords (the current one included) cannot be reused
+    PASSWORD_HISTORY_COUNT: count(5),
+    // Replaces the bundled list of common and breached passwords
+    PASSWORD_BLOCKLIST_FILE: setting(z.string().optional()),
+
+    // New hashes use this scheme; existing ones are upgraded at sign-in
+    PASSWORD_HASH_ALGORITHM: setting(
+      z.enum(['argon2id', 'bcrypt']).default('argon2id')
+    ),
+    BCRYPT_COST: setting(z.coerce.number().int().min(4).max(31).default(12)),
+    // Memory in KiB; the defaults follow the OWASP recommendation
+    ARGON2_MEMORY_COST: setting(
+      z.coerce.number().int().min(1024).default(19456)
+    ),
+    ARGON2_TIME_COST: setting(z.coerce.number().int().min(1).default(2)),
+    ARGON2_PARALLELISM: setting(z.coerce.number().int().min(1).default(1)),
+
+    TOTP_ISSUER: setting(z.string().default('Mergers-acquisitions')),
+    LOGIN_MAX_ATTEMPTS: setting(z.coerce.number().int().min(1).default(5)),
+    LOGIN_LOCKOUT_MINUTES: count(15),
+    USER_RETENTION_DAYS: count(30),
+    ROLE_CACHE_TTL_MS: count(60 * 1000),
+  })
+  .superRefine((env, ctx) => {
+    if (databaseDriverOf(env) !== 'pglite' && !env.DATABASE_URL) {
+      ctx.addIssue({
+        code: 'custom',
+        path: ['DATABASE_URL'],
+        message: `DATABASE_URL is required by the ${databaseDriverOf(env)} driver`,
+      });
+    }
+
+    if (env.PASSWORD_MIN_LENGTH > env.PASSWORD_MAX_LENGTH) {
+      ctx.addIssue({
+        code: 'custom',
+        path: ['PASSWORD_MIN_LENGTH'],
+        message: 'Must not be greater than PASSWORD_MAX_LENGTH',
+      });
+    }
+
+    if (env.MAIL_TRANSPORT === 'smtp' && !env.SMTP_HOST) {
+      ctx.addIssue({
+        code: 'custom',
+        path: ['SMTP_HOST'],
+        message: 'SMTP_HOST is required when MAIL_TRANSPORT is smtp',
+      });
+    }
+  });
+
+const requiredInProduction = setting(
+  z.string({ error: 'Required in production' })
+);
+
+// Checked separately so these are reported together with any other problem
+// rather than only once everything else is valid
+const productionSchema = z.object({
+  DATABASE_DRIVER: setting(
+    z
+      .enum(TRANSACTIONAL_DRIVERS, {
+        error: `Must be one of ${TRANSACTIONAL_DRIVERS.join(', ')} in production`,
+      })
+      .optional()
+  ),
+  // The development transports only log or keep mail, so nothing would
+  // reach users
+  MAIL_TRANSPORT: setting(
+    z.enum(['smtp', 'file'], {
+      error: 'Must be smtp or file in production',
+    })
+  ),
+  ARCJET_KEY: requiredInProduction,
+  JWT_SECRET: requiredInProduction.refine(
+    secret => !KNOWN_JWT_SECRETS.includes(secret),
+    'Must not be a published default'
+  ),
+});
+
+export class ConfigError extends Error {
+  constructor(issues) {
+    super(
+      `Invalid configuration:\n${issues
+        .map(issue => `  - ${issue.path.join('.')}: ${issue.message}`)
+        .join('\n')}`
+    );
+    this.name = 'ConfigError';
+    this.issues = issues;
+  }
+}
+
+const toConfig = env => ({
+  env: env.NODE_ENV,
+  isProduction: env.NODE_ENV === 'production',
+  port: env.PORT,
+  logLevel: env.LOG_LEVEL,
+  shutdownTimeoutMs: env.SHUTDOWN_TIMEOUT_MS,
+  shutdownGraceMs: env.SHUTDOWN_GRACE_MS,
+  appUrl: env.APP_URL,
+  database: {
+    driver: databaseDriverOf(env),
+    url: env.DATABASE_URL,
+    neonFetchEndpoint: env.NEON_FETCH_ENDPOINT,
+    pgliteDataDir: env.PGLITE_DATA_DIR,
+  },
+  health: { checkTimeoutMs: env.HEALTH_CHECK_TIMEOUT_MS },
+  arcjet: { key: env.ARCJET_KEY },
+  metrics: { token: env.METRICS_TOKEN, allowedIps: env.METRICS_ALLOWED_IPS },
+  jwt: {
+    secret: env.JWT_SECRET ?? DEV_JWT_SECRET,
+    expiresIn: env.JWT_EXPIRES_IN,
+    expiresInMs: ms(env.JWT_EXPIRES_IN),
+    refreshTtlDays: env.JWT_REFRESH_TTL_DAYS,
+  },
+  mail: {
+    transport: env.MAIL_TRANSPORT,
+    from: env.MAIL_FROM,
+    fileDirectory: env.MAIL_FILE_DIR,
+    smtp: {
+      host: env.SMTP_HOST,
+      port: env.SMTP_PORT,
+      secure: env.SMTP_SECURE,
+      user: env.SMTP_USER,
+      pass: env.SMTP_PASS,
+    },
+  },
+  password: {
+    minLength: env.PASSWORD_MIN_LENGTH,
+    maxLength: env.PASSWORD_MAX_LENGTH,
+    requiredClasses: env.PASSWORD_REQUIRED_CLASSES,
+    historyCount: env.PASSWORD_HISTORY_COUNT,
+    blocklistFile: env.PASSWORD_BLOCKLIST_FILE,
+  },
+  passwordHash: {
+    algorithm: env.PASSWORD_HASH_ALGORITHM,
+    bcryptCost: env.BCRYPT_COST,
+    argon2: {
+      memoryCost: env.ARGON2_MEMORY_COST,
+      timeCost: env.ARGON2_TIME_COST,
+      parallelism: env.ARGON2_PARALLELISM,
+    },
+  },
+  totpIssuer: env.TOTP_ISSUER,
+  lockout: {
+    maxAttempts: env.LOGIN_MAX_ATTEMPTS,
+    lockoutMinutes: env.LOGIN_LOCKOUT_MINUTES,
+  },
+  userRetentionDays: env.USER_RETENTION_DAYS,
+  roleCacheTtlMs: env.ROLE_CACHE_TTL_MS,
+});
+
+export const loadConfig = (env = process.env) => {
+  const result = envSchema.safeParse(env);
+  const issues = result.error?.issues ?? [];
+
+  if (env.NODE_ENV === 'production') {
+    issues.push(...(productionSchema.safeParse(env).error?.issues ?? []));
+  }
+
+  if (issues.length > 0) {
+    throw new ConfigError(issues);
+  }
+
+  return toConfig(result.data);
+};
+
+const SECRETS = [
+  'database.url',
+  'arcjet.key',
+  'metrics.token',
+  'jwt.secret',
+  'mail.smtp.pass',
+];
+
+const redact = (value, path) => {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, child]) => [
+        key,
+        redact(child, path ? `${path}.${key}` : key),
+      ])
+    );
+  }
+
+  if (path === 'jwt.secret' && KNOWN_JWT_SECRETS.includes(value)) {
+    return '[development default]';
+  }
+
+  if (SECRETS.includes(path)) {
+    return value ? '[redacted]' : '[unset]';
+  }
+
+  return value;
+};
+
+// Safe to log: secrets only show whether they are set
+export const summarizeConfig = config => redact(config, '');
+
+const readConfig = () => {
+  loadEnvFiles();
+
+  try {
+    return loadConfig(process.env);
+  } catch (e) {
+    if (!(e instanceof ConfigError)) throw e;
+
+    // Nothing else can run without configuration, so stop here rather than
+    // at the first place that would have used the bad value
+    console.error(e.message);
+    process.exit(1);
+  }
+};
+
+export const config = readConfig();
@@ -1,11 +1,23 @@
 import winston from 'winston';
+import { config } from './env.js';
+import { getLogContext } from '../utils/logContext.js';
+
+// Adds the request id, user id and route of the request being handled;
+// fields passed explicitly to a log call take precedence
+const requestContext = winston.format(info => {
+  for (const [key, value] of Object.entries(getLogContext())) {
+    if (value !== undefined && info[key] === undefined) info[key] = value;
+  }
+  return info;
+});
 
 const logger = winston.createLogger({
-  level: process.env.LOG_LEVEL || 'info',
+  level: config.logLevel,
   format: winston.format.combine(
-    (winston.format.timestamp(),
+    winston.format.timestamp(),
     winston.format.errors({ stack: true }),
-    winston.format.json())
+    requestContext(),
+    winston.format.json()
   ),
   defaultMeta: { service: 'acquisitions-api' },
   transports: [
@@ -26,7 +38,7 @@ const logger = winston.createLogger({
 // If we're not in production then log to the `console` with the format:
 // `${info.level}: ${info.message} JSON.stringify({ ...rest }) `
 //
-if (process.env.NODE_ENV !== 'production') {
+if (!config.isProduction) {
   logger.add(
     new winston.transports.Console({
       format: winston.format.combine(
@@ -0,0 +1,91 @@
+import fs from 'fs/promises';
+import path from 'path';
+import nodemailer from 'nodemailer';
+import logger from './logger.js';
+import { config } from './env.js';
+
+// Every transport exposes the same shape: `send({ to, subject, text, html })`.
+// Pick one with MAIL_TRANSPORT=smtp|file|console|memory.
+
+export const createSmtpTransport = ({ host, port, secure, user, pass }) => {
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined,
+  });
+
+  return {
+    name: 'smtp',
+    send: message => transporter.sendMail(message),
+  };
+};
+
+// Writes each message as a JSON file, handy for inspecting mail locally
+export const createFileTransport = ({ directory }) => ({
+  name: 'file',
+  send: async message => {
+    await fs.mkdir(directory, { recursive: true });
+    const filename = path.join(
+      directory,
+      `${Date.now()}-${Math.random().toString(36).slice(2)}.json`
+    );
+    await fs.writeFile(filename, JSON.stringify(message, null, 2));
+    return { filename };
+  },
+});
+
+// Logs that a message was sent, never its body: mail carries sign-in and
+// reset tokens, and logs are kept far longer and read far more widely
+export const createConsoleTransport = () => ({
+  name: 'console',
+  send: async message => {
+    logger.info(`Mail to ${message.to}: ${message.subject}`);
+    return { logged: true };
+  },
+});
+
+// Keeps every message in `outbox` so tests can read the tokens. Nothing is
+// ever dropped, so only use it where it is set up explicitly.
+export const createMemoryTransport = () => {
+  const outbox = [];
+
+  return {
+    name: 'memory',
+    outbox,
+    send: async message => {
+      outbox.push(message);
+      return { queued: outbox.length };
+    },
+  };
+};
+
+const createTransportFromConfig = () => {
+  switch (config.mail.transport) {
+    case 'smtp':
+      return createSmtpTransport(config.mail.smtp);
+    case 'file':
+      return createFileTransport({ directory: config.mail.fileDirectory });
+    case 'memory':
+      return createMemoryTransport();
+    default:
+      return createConsoleTransport();
+  }
+};
+
+let transport = createTransportFromConfig();
+
+const mailer = {
+  from: config.mail.from,
+
+  send: message => transport.send({ from: mailer.from, ...message }),
+
+  getTransport: () => transport,
+
+  // Swap the transport at runtime, e.g. to capture mail in tests
+  setTransport: newTransport => {
+    transport = newTransport;
+  },
+};
+
+export default mailer;
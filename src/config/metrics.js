@@ -0,0 +1,97 @@
+import client from 'prom-client';
+
+// Prometheus metrics, served on /metrics. Labels are kept to small, fixed
+// sets (route templates rather than URLs) so the series count stays bounded.
+export const registry = new client.Registry();
+
+registry.setDefaultLabels({ service: 'acquisitions-api' });
+client.collectDefaultMetrics({ register: registry });
+
+export const httpRequestsTotal = new client.Counter({
+  name: 'http_requests_total',
+  help: 'HTTP requests handled, by route template and status',
+  labelNames: ['method', 'route', 'status'],
+  registers: [registry],
+});
+
+export const httpRequestDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'Time to send the response, by route template and status',
+  labelNames: ['method', 'route', 'status'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+  registers: [registry],
+});
+
+// signin_success, signin_failure, signin_blocked, account_locked,
+// password_rehashed
+export const authEventsTotal = new client.Counter({
+  name: 'auth_events_total',
+  help: 'Sign-in outcomes, account lockouts and password hash upgrades',
+  labelNames: ['event'],
+  registers: [registry],
+});
+
+export const arcjetDecisionsTotal = new client.Counter({
+  name: 'arcjet_decisions_total',
+  help: 'Arcjet decisions, by conclusion and reason',
+  labelNames: ['conclusion', 'reason'],
+  registers: [registry],
+});
+
+export const dbQueryDuration = new client.Histogram({
+  name: 'db_query_duration_seconds',
+  help: 'Database query time, by statement type',
+  labelNames: ['operation', 'outcome'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5],
+  registers: [registry],
+});
+
+const STATEMENTS = ['select', 'insert', 'update', 'delete'];
+
+// node-postgres receives `{ text, values }`, the other drivers a string
+const operationOf = query => {
+  const text = typeof query === 'string' ? query : query?.text;
+  const keyword = String(text).trimStart().split(/\s/, 1)[0].toLowerCase();
+  return STATEMENTS.includes(keyword) ? keyword : 'other';
+};
+
+// Times every query drizzle sends through the driver client. The client's own
+// `query` is replaced so it keeps its type, which some drivers check. A
+// trailing callback (how a pool hands queries to its clients) is timed too.
+export const timeQueries = client => {
+  const query = client.query.bind(client);
+
+  client.query = (...args) => {
+    const end = dbQueryDuration.startTimer({ operation: operationOf(args[0]) });
+    const callback = args.at(-1);
+
+    if (typeof callback === 'function') {
+      args[args.length - 1] = (err, result) => {
+        end({ outcome: err ? 'error' : 'success' });
+        callback(err, result);
+      };
+      return query(...args);
+    }
+
+    return query(...args).then(
+      result => {
+        end({ outcome: 'success' });
+        return result;
+      },
+      e => {
+        end({ outcome: 'error' });
+        throw e;
+      }
+    );
+  };
+
+  return client;
+};
+
+// Transactions run on clients checked out with `pool.connect()`, so each
+// client is timed as the pool opens it. `pool.query` goes through one of
+// these clients as well and is not wrapped again.
+export const timePoolQueries = pool => {
+  pool.on('connect', timeQueries);
+  return pool;
+};
@@ -0,0 +1,21 @@
+import logger from '../config/logger.js';
+import { getAuditEvents } from '../services/audit.service.js';
+
+export const fetchAuditEvents = async (req, res, next) => {
+  try {
+    const filters = req.query;
+    const { events, total } = await getAuditEvents(filters);
+
+    res.json({
+      message: 'Successfully retrieved audit events',
+      events,
+      count: events.length,
+      total,
+      limit: filters.limit,
+      offset: filters.offset,
+    });
+  } catch (e) {
+    logger.error(`Error getting audit events: ${e.message}`);
+    next(e);
+  }
+};
@@ -1,33 +1,60 @@
-import { signupSchema, signInSchema } from '../validations/auth.validation.js';
-import { formatValidationError } from '../utils/format.js';
 import logger from '../config/logger.js';
-import { createUser, authenticateUser } from '../services/auth.service.js';
-import { jwttoken } from '../utils/jwt.js';
+import { registerUser, authenticateUser } from '../services/auth.service.js';
+import {
+  requestPasswordReset,
+  resetPassword as resetUserPassword,
+  resendVerification as resendUserVerification,
+  sendVerification,
+  verifyEmail as verifyUserEmail,
+} from '../services/account.service.js';
+import {
+  completeChallenge,
+  startChallenge,
+} from '../services/twoFactor.service.js';
+import {
+  createSession,
+  rotateSession,
+  revokeSession,
+} from '../services/session.service.js';
+import { jwttoken, REFRESH_TOKEN_TTL_MS } from '../utils/jwt.js';
 import { cookies } from '../utils/cookies.js';
+import { requestContext } from '../utils/requestContext.js';
+import {
+  AppError,
+  TooManyRequestsError,
+  UnauthorizedError,
+} from '../utils/errors.js';
+
+const REFRESH_COOKIE_OPTIONS = {
+  path: '/api/auth',
+  maxAge: REFRESH_TOKEN_TTL_MS,
+};
+
+const setAuthCookies = (res, { accessToken, refreshToken }) => {
+  cookies.set(res, 'token', accessToken);
+  cookies.set(res, 'refresh_token', refreshToken, REFRESH_COOKIE_OPTIONS);
+};
 
 export const signup = async (req, res, next) => {
   try {
-    const validationResult = signupSchema.safeParse(req.body);
-
-    if (!validationResult.success) {
-      return res.status(400).json({
-        error: 'Validation failed',
-        details: formatValidationError(validationResult.error),
-      });
-    }
-    const { name, email, password, role } = validationResult.data;
+    const { name, email, password, inviteToken } = req.body;
 
     // AUTH SERVICE
-    const user = await createUser({ name, email, password, role });
+    const user = await registerUser(
+      { name, email, password, inviteToken },
+      requestContext(req)
+    );
 
-    const token = jwttoken.sign({
-      id: user.id,
-      name: user.name,
-      email: user.email,
-      role: user.role,
-    });
+    const tokens = await createSession(user, requestContext(req));
 
-    cookies.set(res, 'token', token);
+    setAuthCookies(res, tokens);
+
+    // The account exists either way; a mail outage only delays verification
+    try {
+      await sendVerification(user);
+    } catch (mailError) {
+      logger.error('Failed to send verification email', mailError);
+    }
 
     logger.info(`User registered successfully: ${email}`);
     res.status(201).json({
@@ -41,43 +68,65 @@ export const signup = async (req, res, next) => {
     });
   } catch (e) {
     logger.error('Signup error', e);
-
-    if (e.message === 'User with this email already exists') {
-      return res
-        .status(409)
-        .json({ error: 'User with this email already exists' });
-    }
-
     next(e);
   }
 };
 
 export const signin = async (req, res, next) => {
   try {
-    const validationResult = signInSchema.safeParse(req.body);
+    const { email, password } = req.body;
+
+    // AUTH SERVICE
+    const user = await authenticateUser(
+      { email, password },
+      requestContext(req)
+    );
 
-    if (!validationResult.success) {
-      return res.status(400).json({
-        error: 'Validation failed',
-        details: formatValidationError(validationResult.error),
+    // The password alone is not enough: hand back a short-lived token that
+    // can only be exchanged for a session at /2fa/verify
+    if (user.two_factor_enabled) {
+      logger.info(`Two-factor challenge issued for: ${email}`);
+      return res.status(200).json({
+        message: 'Two-factor authentication required',
+        mfaRequired: true,
+        mfaToken: await startChallenge(user.id),
       });
     }
 
-    const { email, password } = validationResult.data;
+    const tokens = await createSession(user, requestContext(req));
 
-    // AUTH SERVICE
-    const user = await authenticateUser({ email, password });
+    setAuthCookies(res, tokens);
 
-    const token = jwttoken.sign({
-      id: user.id,
-      name: user.name,
-      email: user.email,
-      role: user.role,
+    logger.info(`User signed in successfully: ${email}`);
+    res.status(200).json({
+      message: 'User signed in successfully',
+      user: {
+        id: user.id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+      },
     });
+  } catch (e) {
+    logger.error('Signin error', e);
+    next(e);
+  }
+};
 
-    cookies.set(res, 'token', token);
+export const verifyTwoFactor = async (req, res, next) => {
+  try {
+    const { mfaToken, code, recoveryCode } = req.body;
 
-    logger.info(`User signed in successfully: ${email}`);
+    const user = await completeChallenge(
+      mfaToken,
+      { code, recoveryCode },
+      requestContext(req)
+    );
+    const tokens = await createSession(user, requestContext(req));
+
+    setAuthCookies(res, tokens);
+
+    logger.info(`User signed in with two-factor: ${user.email}`);
     res.status(200).json({
       message: 'User signed in successfully',
       user: {
@@ -88,10 +137,46 @@ export const signin = async (req, res, next) => {
       },
     });
   } catch (e) {
-    logger.error('Signin error', e);
+    logger.error('Two-factor verification error', e);
+
+    // Whatever was wrong with the challenge, the caller only learns that the
+    // second factor was not accepted. A lockout is reported as such, the
+    // password having already been proven.
+    if (e instanceof AppError && !(e instanceof TooManyRequestsError)) {
+      return next(new UnauthorizedError('Invalid two-factor code'));
+    }
+
+    next(e);
+  }
+};
+
+export const refresh = async (req, res, next) => {
+  try {
+    const refreshToken =
+      cookies.get(req, 'refresh_token') || req.body?.refreshToken;
+
+    if (!refreshToken) {
+      return next(new UnauthorizedError('No refresh token provided'));
+    }
+
+    const { user, ...tokens } = await rotateSession(
+      refreshToken,
+      requestContext(req)
+    );
+
+    setAuthCookies(res, tokens);
 
-    if (e.message === 'Invalid email or password') {
-      return res.status(401).json({ error: 'Invalid email or password' });
+    logger.info(`Session refreshed for user: ${user.email}`);
+    res.status(200).json({
+      message: 'Session refreshed successfully',
+      user,
+    });
+  } catch (e) {
+    logger.error('Refresh error', e);
+
+    if (e instanceof UnauthorizedError) {
+      cookies.clear(res, 'token');
+      cookies.clear(res, 'refresh_token', REFRESH_COOKIE_OPTIONS);
     }
 
     next(e);
@@ -100,7 +185,21 @@ export const signin = async (req, res, next) => {
 
 export const signout = async (req, res, next) => {
   try {
+    // Revoke the session behind whichever token the client still holds
+    const refreshToken =
+      cookies.get(req, 'refresh_token') || req.body?.refreshToken;
+    const accessToken =
+      cookies.get(req, 'token') || req.headers.authorization?.split(' ')[1];
+    const sessionId =
+      (refreshToken && jwttoken.verifyRefresh(refreshToken)?.sid) ||
+      (accessToken && jwttoken.verify(accessToken)?.sid);
+
+    if (sessionId) {
+      await revokeSession(sessionId, 'signout', requestContext(req));
+    }
+
     cookies.clear(res, 'token');
+    cookies.clear(res, 'refresh_token', REFRESH_COOKIE_OPTIONS);
 
     logger.info('User signed out successfully');
     res.status(200).json({
@@ -111,3 +210,61 @@ export const signout = async (req, res, next) => {
     next(e);
   }
 };
+
+export const forgotPassword = async (req, res, next) => {
+  try {
+    // Not awaited: the response must not reveal, through content or timing,
+    // whether the email belongs to an account
+    requestPasswordReset(req.body.email, requestContext(req)).catch(e =>
+      logger.error('Forgot password error', e)
+    );
+
+    res.status(202).json({
+      message:
+        'If an account exists for that email, a password reset link has been sent',
+    });
+  } catch (e) {
+    logger.error('Forgot password error', e);
+    next(e);
+  }
+};
+
+export const resetPassword = async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+
+    await resetUserPassword(token, password, requestContext(req));
+
+    cookies.clear(res, 'token');
+    cookies.clear(res, 'refresh_token', REFRESH_COOKIE_OPTIONS);
+
+    res.status(200).json({
+      message: 'Password reset successfully, please sign in again',
+    });
+  } catch (e) {
+    logger.error('Reset password error', e);
+    next(e);
+  }
+};
+
+export const verifyEmail = async (req, res, next) => {
+  try {
+    await verifyUserEmail(req.body.token, requestContext(req));
+
+    res.status(200).json({ message: 'Email verified successfully' });
+  } catch (e) {
+    logger.error('Verify email error', e);
+    next(e);
+  }
+};
+
+export const resendVerification = async (req, res, next) => {
+  try {
+    await resendUserVerification(req.user.id);
+
+    res.status(202).json({ message: 'Verification email sent' });
+  } catch (e) {
+    logger.error('Resend verification error', e);
+    next(e);
+  }
+};
@@ -0,0 +1,90 @@
+import logger from '../config/logger.js';
+import {
+  getAllCompanies,
+  getCompanyById,
+  createCompany,
+  updateCompany,
+  deleteCompany,
+} from '../services/companies.services.js';
+
+export const fetchAllCompanies = async (req, res, next) => {
+  try {
+    logger.info('Getting companies...');
+
+    const allCompanies = await getAllCompanies();
+
+    res.json({
+      message: 'Successfully retrieved companies',
+      companies: allCompanies,
+      count: allCompanies.length,
+    });
+  } catch (e) {
+    logger.error(e);
+    next(e);
+  }
+};
+
+export const fetchCompanyById = async (req, res, next) => {
+  try {
+    logger.info(`Getting company by id: ${req.params.id}`);
+
+    const { id } = req.params;
+    const company = await getCompanyById(id);
+
+    res.json({
+      message: 'Company retrieved successfully',
+      company,
+    });
+  } catch (e) {
+    logger.error(`Error fetching company by id: ${e.message}`);
+    next(e);
+  }
+};
+
+export const createNewCompany = async (req, res, next) => {
+  try {
+    const company = await createCompany(req.body);
+
+    res.status(201).json({
+      message: 'Company created successfully',
+      company,
+    });
+  } catch (e) {
+    logger.error(`Error creating company: ${e.message}`);
+    next(e);
+  }
+};
+
+export const updateCompanyById = async (req, res, next) => {
+  try {
+    logger.info(`Updating company: ${req.params.id}`);
+
+    const { id } = req.params;
+    const company = await updateCompany(id, req.body);
+
+    res.json({
+      message: 'Company updated successfully',
+      company,
+    });
+  } catch (e) {
+    logger.error(`Error updating company: ${e.message}`);
+    next(e);
+  }
+};
+
+export const deleteCompanyById = async (req, res, next) => {
+  try {
+    logger.info(`Deleting company: ${req.params.id}`);
+
+    const { id } = req.params;
+    const company = await deleteCompany(id);
+
+    res.json({
+      message: 'Company deleted successfully',
+      company,
+    });
+  } catch (e) {
+    logger.error(`Error deleting company: ${e.message}`);
+    next(e);
+  }
+};
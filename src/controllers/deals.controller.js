@@ -0,0 +1,125 @@
+import logger from '../config/logger.js';
+import {
+  getAllDeals,
+  getDealById,
+  getDealTransitions,
+  createDeal,
+  updateDeal,
+  transitionDealStage,
+  deleteDeal,
+} from '../services/deals.services.js';
+
+export const fetchAllDeals = async (req, res, next) => {
+  try {
+    logger.info('Getting deals...');
+
+    const allDeals = await getAllDeals();
+
+    res.json({
+      message: 'Successfully retrieved deals',
+      deals: allDeals,
+      count: allDeals.length,
+    });
+  } catch (e) {
+    logger.error(e);
+    next(e);
+  }
+};
+
+export const fetchDealById = async (req, res, next) => {
+  try {
+    logger.info(`Getting deal by id: ${req.params.id}`);
+
+    const { id } = req.params;
+    const deal = await getDealById(id);
+
+    res.json({
+      message: 'Deal retrieved successfully',
+      deal,
+    });
+  } catch (e) {
+    logger.error(`Error fetching deal by id: ${e.message}`);
+    next(e);
+  }
+};
+
+export const fetchDealTransitions = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const transitions = await getDealTransitions(id);
+
+    res.json({
+      message: 'Deal stage history retrieved successfully',
+      transitions,
+      count: transitions.length,
+    });
+  } catch (e) {
+    logger.error(`Error fetching deal transitions: ${e.message}`);
+    next(e);
+  }
+};
+
+export const createNewDeal = async (req, res, next) => {
+  try {
+    const deal = await createDeal(req.body, req.user.id);
+
+    res.status(201).json({
+      message: 'Deal created successfully',
+      deal,
+    });
+  } catch (e) {
+    logger.error(`Error creating deal: ${e.message}`);
+    next(e);
+  }
+};
+
+export const updateDealById = async (req, res, next) => {
+  try {
+    logger.info(`Updating deal: ${req.params.id}`);
+
+    const { id } = req.params;
+    const deal = await updateDeal(id, req.body);
+
+    res.json({
+      message: 'Deal updated successfully',
+      deal,
+    });
+  } catch (e) {
+    logger.error(`Error updating deal: ${e.message}`);
+    next(e);
+  }
+};
+
+export const moveDealStage = async (req, res, next) => {
+  try {
+    logger.info(`Moving deal stage: ${req.params.id}`);
+
+    const { id } = req.params;
+    const deal = await transitionDealStage(id, req.body, req.user.id);
+
+    res.json({
+      message: 'Deal stage updated successfully',
+      deal,
+    });
+  } catch (e) {
+    logger.error(`Error moving deal stage: ${e.message}`);
+    next(e);
+  }
+};
+
+export const deleteDealById = async (req, res, next) => {
+  try {
+    logger.info(`Deleting deal: ${req.params.id}`);
+
+    const { id } = req.params;
+    const deal = await deleteDeal(id);
+
+    res.json({
+      message: 'Deal deleted successfully',
+      deal,
+    });
+  } catch (e) {
+    logger.error(`Error deleting deal: ${e.message}`);
+    next(e);
+  }
+};
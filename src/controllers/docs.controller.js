@@ -0,0 +1,5 @@
+import { getOpenApiDocument } from '../docs/openapi.js';
+
+export const fetchOpenApiDocument = (req, res) => {
+  res.json(getOpenApiDocument(req.app));
+};
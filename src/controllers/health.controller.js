@@ -0,0 +1,43 @@
+import logger from '../config/logger.js';
+import {
+  isShuttingDown,
+  readinessChecks,
+  runChecks,
+} from '../services/health.service.js';
+
+export const fetchHealth = (req, res) => {
+  res.status(200).json({
+    status: 'OK',
+    timestamp: new Date().toISOString(),
+    uptime: process.uptime(),
+  });
+};
+
+// Liveness only says the process can still serve requests; restarting it
+// would not fix an unreachable database
+export const fetchLiveness = (req, res) => {
+  res.status(200).json({ status: 'OK', uptime: process.uptime() });
+};
+
+export const fetchReadiness = async (req, res, next) => {
+  try {
+    if (isShuttingDown()) {
+      return res.status(503).json({
+        status: 'SHUTTING_DOWN',
+        timestamp: new Date().toISOString(),
+        checks: {},
+      });
+    }
+
+    const { status, checks } = await runChecks(readinessChecks);
+
+    res.status(status === 'UNAVAILABLE' ? 503 : 200).json({
+      status,
+      timestamp: new Date().toISOString(),
+      checks,
+    });
+  } catch (e) {
+    logger.error(`Error running readiness checks: ${e.message}`);
+    next(e);
+  }
+};
@@ -0,0 +1,66 @@
+import logger from '../config/logger.js';
+import {
+  getAllInvites,
+  createInvite,
+  revokeInvite,
+} from '../services/invites.services.js';
+import { canGrantRole } from '../middleware/rbac.middleware.js';
+import { requestContext } from '../utils/requestContext.js';
+import { ForbiddenError } from '../utils/errors.js';
+
+export const fetchAllInvites = async (req, res, next) => {
+  try {
+    logger.info('Getting invites...');
+
+    const allInvites = await getAllInvites();
+
+    res.json({
+      message: 'Successfully retrieved invites',
+      invites: allInvites,
+      count: allInvites.length,
+    });
+  } catch (e) {
+    logger.error(e);
+    next(e);
+  }
+};
+
+export const createNewInvite = async (req, res, next) => {
+  try {
+    // An invite assigns its role at sign-up, so the same limit applies
+    if (!canGrantRole(req.user.role, req.body.role)) {
+      return next(
+        new ForbiddenError(
+          'You can only assign roles whose permissions you hold'
+        )
+      );
+    }
+
+    const { invite, token } = await createInvite(req.body, requestContext(req));
+
+    // The token is only ever returned here; only its hash is stored
+    res.status(201).json({
+      message: 'Invite created successfully',
+      invite,
+      token,
+    });
+  } catch (e) {
+    logger.error(`Error creating invite: ${e.message}`);
+    next(e);
+  }
+};
+
+export const revokeInviteById = async (req, res, next) => {
+  try {
+    const invite = await revokeInvite(req.params.id, requestContext(req));
+
+    logger.info(`Invite ${invite.id} revoked by user ${req.user.id}`);
+    res.json({
+      message: 'Invite revoked successfully',
+      invite,
+    });
+  } catch (e) {
+    logger.error(`Error revoking invite: ${e.message}`);
+    next(e);
+  }
+};
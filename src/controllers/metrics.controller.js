@@ -0,0 +1,11 @@
+import logger from '../config/logger.js';
+import { registry } from '../config/metrics.js';
+
+export const fetchMetrics = async (req, res, next) => {
+  try {
+    res.type(registry.contentType).send(await registry.metrics());
+  } catch (e) {
+    logger.error(`Error collecting metrics: ${e.message}`);
+    next(e);
+  }
+};
@@ -0,0 +1,114 @@
+import logger from '../config/logger.js';
+import {
+  getAllRoles,
+  getRoleByName,
+  createRole,
+  updateRole,
+  deleteRole,
+} from '../services/roles.services.js';
+import {
+  canGrantRole,
+  hasAllPermissions,
+} from '../middleware/rbac.middleware.js';
+import { requestContext } from '../utils/requestContext.js';
+import { ForbiddenError } from '../utils/errors.js';
+
+// Editing a role is granting its permissions to everyone who holds it, so
+// callers can only touch roles, and grant permissions, within their own
+const roleAccessDenied = () =>
+  new ForbiddenError('You can only grant permissions you hold');
+
+export const fetchAllRoles = async (req, res, next) => {
+  try {
+    logger.info('Getting roles...');
+
+    const allRoles = await getAllRoles();
+
+    res.json({
+      message: 'Successfully retrieved roles',
+      roles: allRoles,
+      count: allRoles.length,
+    });
+  } catch (e) {
+    logger.error(e);
+    next(e);
+  }
+};
+
+export const fetchRoleByName = async (req, res, next) => {
+  try {
+    const role = await getRoleByName(req.params.name);
+
+    res.json({
+      message: 'Role retrieved successfully',
+      role,
+    });
+  } catch (e) {
+    logger.error(`Error fetching role: ${e.message}`);
+    next(e);
+  }
+};
+
+export const createNewRole = async (req, res, next) => {
+  try {
+    if (!hasAllPermissions(req.user.role, req.body.permissions)) {
+      return next(roleAccessDenied());
+    }
+
+    const role = await createRole(req.body, requestContext(req));
+
+    logger.info(`Role ${role.name} created by user ${req.user.id}`);
+    res.status(201).json({
+      message: 'Role created successfully',
+      role,
+    });
+  } catch (e) {
+    logger.error(`Error creating role: ${e.message}`);
+    next(e);
+  }
+};
+
+export const updateRoleByName = async (req, res, next) => {
+  try {
+    if (
+      !canGrantRole(req.user.role, req.params.name) ||
+      !hasAllPermissions(req.user.role, req.body.permissions)
+    ) {
+      return next(roleAccessDenied());
+    }
+
+    const role = await updateRole(
+      req.params.name,
+      req.body,
+      requestContext(req)
+    );
+
+    logger.info(`Role ${role.name} updated by user ${req.user.id}`);
+    res.json({
+      message: 'Role updated successfully',
+      role,
+    });
+  } catch (e) {
+    logger.error(`Error updating role: ${e.message}`);
+    next(e);
+  }
+};
+
+export const deleteRoleByName = async (req, res, next) => {
+  try {
+    if (!canGrantRole(req.user.role, req.params.name)) {
+      return next(roleAccessDenied());
+    }
+
+    const role = await deleteRole(req.params.name, requestContext(req));
+
+    logger.info(`Role ${role.name} deleted by user ${req.user.id}`);
+    res.json({
+      message: 'Role deleted successfully',
+      role,
+    });
+  } catch (e) {
+    logger.error(`Error deleting role: ${e.message}`);
+    next(e);
+  }
+};
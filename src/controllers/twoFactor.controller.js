@@ -0,0 +1,53 @@
+import logger from '../config/logger.js';
+import {
+  startEnrollment,
+  confirmEnrollment,
+  disableTwoFactor,
+} from '../services/twoFactor.service.js';
+import { requestContext } from '../utils/requestContext.js';
+
+export const enrollTwoFactor = async (req, res, next) => {
+  try {
+    const { secret, otpauthUri } = await startEnrollment(req.user.id);
+
+    res.status(200).json({
+      message: 'Scan the URI with an authenticator app, then confirm a code',
+      secret,
+      otpauthUri,
+    });
+  } catch (e) {
+    logger.error('Two-factor enrollment error', e);
+    next(e);
+  }
+};
+
+export const confirmTwoFactor = async (req, res, next) => {
+  try {
+    const recoveryCodes = await confirmEnrollment(
+      req.user.id,
+      req.body.code,
+      requestContext(req)
+    );
+
+    // Recovery codes are only stored hashed, so this is the only time they
+    // can be shown
+    res.status(200).json({
+      message: 'Two-factor authentication enabled',
+      recoveryCodes,
+    });
+  } catch (e) {
+    logger.error('Two-factor confirmation error', e);
+    next(e);
+  }
+};
+
+export const disableTwoFactorAuth = async (req, res, next) => {
+  try {
+    await disableTwoFactor(req.user.id, req.body, requestContext(req));
+
+    res.status(200).json({ message: 'Two-factor authentication disabled' });
+  } catch (e) {
+    logger.error('Two-factor disable error', e);
+    next(e);
+  }
+};
@@ -4,23 +4,53 @@ import {
   getUserById,
   updateUser,
   deleteUser,
+  restoreUser,
+  purgeDeletedUsers,
 } from '../services/users.services.js';
+import { unlockUser } from '../services/lockout.service.js';
+import { changePassword } from '../services/password.service.js';
+import { sendVerification } from '../services/account.service.js';
+import { requestContext } from '../utils/requestContext.js';
 import {
-  userIdSchema,
-  updateUserSchema,
-} from '../validations/users.validation.js';
-import { formatValidationError } from '../utils/format.js';
+  PERMISSIONS,
+  canGrantRole,
+  hasPermission,
+} from '../middleware/rbac.middleware.js';
+import { serializeUser, userViewFor } from '../serializers/user.serializer.js';
+import { ForbiddenError } from '../utils/errors.js';
+
+// Deleted accounts are only visible to those who may delete accounts
+const canSeeDeleted = user =>
+  hasPermission(user.role, PERMISSIONS.USERS.DELETE_ANY);
+
+const deletedAccessDenied = () =>
+  new ForbiddenError(
+    `Insufficient permissions. Required: ${PERMISSIONS.USERS.DELETE_ANY}`
+  );
 
 export const fetchAllUsers = async (req, res, next) => {
   try {
     logger.info('Getting users...');
 
-    const allUsers = await getAllUsers();
+    const { limit, offset, includeDeleted } = req.query;
+
+    if (includeDeleted && !canSeeDeleted(req.user)) {
+      return next(deletedAccessDenied());
+    }
+
+    const { users, total, nextCursor, prevCursor } = await getAllUsers(
+      req.query
+    );
 
     res.json({
       message: 'Successfully retrieved users',
-      users: allUsers,
-      count: allUsers.length,
+      users: users.map(user => serializeUser(user, 'full')),
+      count: users.length,
+      total,
+      limit,
+      offset: offset ?? null,
+      nextCursor,
+      prevCursor,
     });
   } catch (e) {
     logger.error(e);
@@ -32,31 +62,23 @@ export const fetchUserById = async (req, res, next) => {
   try {
     logger.info(`Getting user by id: ${req.params.id}`);
 
-    // Validate the user ID parameter
-    const validationResult = userIdSchema.safeParse({ id: req.params.id });
+    const { includeDeleted } = req.query;
 
-    if (!validationResult.success) {
-      return res.status(400).json({
-        error: 'Validation failed',
-        details: formatValidationError(validationResult.error),
-      });
+    if (includeDeleted && !canSeeDeleted(req.user)) {
+      return next(deletedAccessDenied());
     }
 
-    const { id } = validationResult.data;
-    const user = await getUserById(id);
+    const { id } = req.params;
+    const user = await getUserById(id, { includeDeleted });
 
+    // Other accounts get the public profile unless the caller may read all
     logger.info(`User ${user.email} retrieved successfully`);
     res.json({
       message: 'User retrieved successfully',
-      user,
+      user: serializeUser(user, userViewFor(req.user, id)),
     });
   } catch (e) {
     logger.error(`Error fetching user by id: ${e.message}`);
-
-    if (e.message === 'User not found') {
-      return res.status(404).json({ error: 'User not found' });
-    }
-
     next(e);
   }
 };
@@ -65,76 +87,56 @@ export const updateUserById = async (req, res, next) => {
   try {
     logger.info(`Updating user: ${req.params.id}`);
 
-    // Validate the user ID parameter
-    const idValidationResult = userIdSchema.safeParse({ id: req.params.id });
-
-    if (!idValidationResult.success) {
-      return res.status(400).json({
-        error: 'Validation failed',
-        details: formatValidationError(idValidationResult.error),
-      });
+    const { id } = req.params;
+    const updates = req.body;
+
+    // Ownership or users:update:any is enforced by the route; changing a
+    // role is a privilege escalation and needs its own permission
+    if (
+      updates.role &&
+      !hasPermission(req.user.role, PERMISSIONS.USERS.ASSIGN_ROLE)
+    ) {
+      return next(
+        new ForbiddenError('You do not have permission to change user roles')
+      );
     }
 
-    // Validate the update data
-    const updateValidationResult = updateUserSchema.safeParse(req.body);
-
-    if (!updateValidationResult.success) {
-      return res.status(400).json({
-        error: 'Validation failed',
-        details: formatValidationError(updateValidationResult.error),
-      });
+    // Neither the new role nor the one taken away may exceed the caller's,
+    // so an admin can neither make nor demote a superadmin
+    if (updates.role) {
+      const { role: currentRole } = await getUserById(id);
+
+      if (
+        !canGrantRole(req.user.role, updates.role) ||
+        !canGrantRole(req.user.role, currentRole)
+      ) {
+        return next(
+          new ForbiddenError(
+            'You can only assign roles whose permissions you hold'
+          )
+        );
+      }
     }
 
-    const { id } = idValidationResult.data;
-    const updates = updateValidationResult.data;
+    const updatedUser = await updateUser(id, updates, requestContext(req));
 
-    // Authorization checks
-    if (!req.user) {
-      return res.status(401).json({
-        error: 'Authentication required',
-        message: 'You must be logged in to update user information',
-      });
+    // The change went through either way; a mail outage only delays
+    // verifying the new address
+    if (updates.email && !updatedUser.email_verified_at) {
+      try {
+        await sendVerification(updatedUser);
+      } catch (mailError) {
+        logger.error('Failed to send verification email', mailError);
+      }
     }
 
-    // Allow users to update only their own information (except role)
-    if (req.user.role !== 'admin' && req.user.id !== id) {
-      return res.status(403).json({
-        error: 'Access denied',
-        message: 'You can only update your own information',
-      });
-    }
-
-    // Only admin users can change roles
-    if (updates.role && req.user.role !== 'admin') {
-      return res.status(403).json({
-        error: 'Access denied',
-        message: 'Only administrators can change user roles',
-      });
-    }
-
-    // Remove role from updates if non-admin user is trying to update their own profile
-    if (req.user.role !== 'admin') {
-      delete updates.role;
-    }
-
-    const updatedUser = await updateUser(id, updates);
-
     logger.info(`User ${updatedUser.email} updated successfully`);
     res.json({
       message: 'User updated successfully',
-      user: updatedUser,
+      user: serializeUser(updatedUser, userViewFor(req.user, id)),
     });
   } catch (e) {
     logger.error(`Error updating user: ${e.message}`);
-
-    if (e.message === 'User not found') {
-      return res.status(404).json({ error: 'User not found' });
-    }
-
-    if (e.message === 'Email already exists') {
-      return res.status(409).json({ error: 'Email already exists' });
-    }
-
     next(e);
   }
 };
@@ -143,56 +145,94 @@ export const deleteUserById = async (req, res, next) => {
   try {
     logger.info(`Deleting user: ${req.params.id}`);
 
-    // Validate the user ID parameter
-    const validationResult = userIdSchema.safeParse({ id: req.params.id });
-
-    if (!validationResult.success) {
-      return res.status(400).json({
-        error: 'Validation failed',
-        details: formatValidationError(validationResult.error),
-      });
-    }
-
-    const { id } = validationResult.data;
-
-    // Authorization checks
-    if (!req.user) {
-      return res.status(401).json({
-        error: 'Authentication required',
-        message: 'You must be logged in to delete users',
-      });
-    }
-
-    // Only admin users can delete users (prevent self-deletion or user deletion by non-admins)
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({
-        error: 'Access denied',
-        message: 'Only administrators can delete users',
-      });
-    }
+    const { id } = req.params;
 
     // Prevent admins from deleting themselves
     if (req.user.id === id) {
-      return res.status(403).json({
-        error: 'Operation denied',
-        message: 'You cannot delete your own account',
-      });
+      return next(new ForbiddenError('You cannot delete your own account'));
     }
 
-    const deletedUser = await deleteUser(id);
+    const deletedUser = await deleteUser(id, requestContext(req));
 
     logger.info(`User ${deletedUser.email} deleted successfully`);
     res.json({
       message: 'User deleted successfully',
-      user: deletedUser,
+      user: serializeUser(deletedUser, 'full'),
     });
   } catch (e) {
     logger.error(`Error deleting user: ${e.message}`);
+    next(e);
+  }
+};
+
+export const restoreUserById = async (req, res, next) => {
+  try {
+    logger.info(`Restoring user: ${req.params.id}`);
+
+    const { id } = req.params;
+    const restoredUser = await restoreUser(id, requestContext(req));
 
-    if (e.message === 'User not found') {
-      return res.status(404).json({ error: 'User not found' });
+    res.json({
+      message: 'User restored successfully',
+      user: serializeUser(restoredUser, 'full'),
+    });
+  } catch (e) {
+    logger.error(`Error restoring user: ${e.message}`);
+    next(e);
+  }
+};
+
+export const unlockUserById = async (req, res, next) => {
+  try {
+    logger.info(`Unlocking user: ${req.params.id}`);
+
+    const { id } = req.params;
+    const unlockedUser = await unlockUser(id, requestContext(req));
+
+    res.json({
+      message: 'User unlocked successfully',
+      user: unlockedUser,
+    });
+  } catch (e) {
+    logger.error(`Error unlocking user: ${e.message}`);
+    next(e);
+  }
+};
+
+export const changePasswordById = async (req, res, next) => {
+  try {
+    logger.info(`Changing password for user: ${req.params.id}`);
+
+    const { id } = req.params;
+
+    // Only the account holder knows the current password; a forgotten one
+    // goes through the reset email instead
+    if (req.user.id !== id) {
+      return next(new ForbiddenError('You can only change your own password'));
     }
 
+    await changePassword(id, req.body, requestContext(req));
+
+    res.json({
+      message: 'Password changed successfully, other sessions were signed out',
+    });
+  } catch (e) {
+    logger.error(`Error changing password: ${e.message}`);
+    next(e);
+  }
+};
+
+export const purgeUsers = async (req, res, next) => {
+  try {
+    const purgedIds = await purgeDeletedUsers(req.body, requestContext(req));
+
+    res.json({
+      message: 'Deleted users purged successfully',
+      purgedIds,
+      count: purgedIds.length,
+    });
+  } catch (e) {
+    logger.error(`Error purging users: ${e.message}`);
     next(e);
   }
 };
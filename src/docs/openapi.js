@@ -0,0 +1,229 @@
+import fs from 'fs';
+import { z } from 'zod';
+import { authenticateToken } from '../middleware/auth.middleware.js';
+import { operations } from './operations.js';
+
+const pkg = JSON.parse(
+  fs.readFileSync(new URL('../../package.json', import.meta.url), 'utf8')
+);
+
+// Request schemas are described as clients send them, before coercion and
+// transforms; refinements have no JSON Schema equivalent and are left out
+const withoutDialect = ({ $schema: _dialect, ...jsonSchema }) => jsonSchema;
+
+const toJsonSchema = schema =>
+  withoutDialect(
+    z.toJSONSchema(schema, { io: 'input', unrepresentable: 'any' })
+  );
+
+// Express `/users/:id` becomes OpenAPI `/users/{id}`
+export const toOpenApiPath = path => path.replace(/:(\w+)/g, '{$1}');
+
+const toParameters = (schema, location) => {
+  if (!schema) return [];
+
+  const { properties = {}, required = [] } = toJsonSchema(schema);
+
+  return Object.entries(properties).map(([name, property]) => ({
+    name,
+    in: location,
+    required: location === 'path' || required.includes(name),
+    schema: property,
+  }));
+};
+
+const problemResponse = (description, schema = 'Problem') => ({
+  description,
+  content: {
+    'application/problem+json': {
+      schema: { $ref: `#/components/schemas/${schema}` },
+    },
+  },
+});
+
+// Every path prefix the metadata knows about, e.g. /api, /api/users, ...
+const knownPrefixes = [
+  ...new Set(
+    Object.keys(operations).flatMap(key => {
+      const segments = key.split(' ')[1].split('/').filter(Boolean);
+      return segments.map((_, i) => `/${segments.slice(0, i + 1).join('/')}`);
+    })
+  ),
+];
+
+// Express 5 no longer keeps a mounted router's path, so it is recovered by
+// asking the layer which known prefix it matches exactly. A router mounted
+// anywhere else comes out as unknown, and its routes then have no metadata.
+const mountPathOf = layer =>
+  knownPrefixes.find(prefix => layer.match(prefix) && layer.path === prefix) ??
+  '<unknown mount path>';
+
+// Each route with the middleware it runs, in the order the app registers them
+export const collectRoutes = (stack, prefix = '') =>
+  stack.flatMap(layer => {
+    if (layer.route) {
+      const { path, methods, stack: handlers } = layer.route;
+      return Object.keys(methods).map(method => ({
+        method,
+        path: path === '/' && prefix ? prefix : `${prefix}${path}`,
+        handlers: handlers.map(({ handle }) => handle),
+      }));
+    }
+
+    if (layer.handle?.stack) {
+      return collectRoutes(
+        layer.handle.stack,
+        `${prefix}${mountPathOf(layer)}`
+      );
+    }
+
+    return [];
+  });
+
+// What the route enforces, read from its middleware: authenticateToken,
+// requirePermission (which records its permission) and validate (which
+// records its schemas)
+const describeRoute = ({ handlers }) => ({
+  auth: handlers.includes(authenticateToken),
+  permission: handlers.find(handler => handler.permission)?.permission,
+  request: handlers.find(handler => handler.schemas)?.schemas ?? {},
+});
+
+const toOperation = (
+  { operationId, tag, summary, description, status = 200 },
+  { auth, permission, request: { params, query, body } }
+) => {
+  const responses = { [status]: { description: 'Success' } };
+
+  if (params || query || body) {
+    responses[400] = problemResponse('Invalid input', 'ValidationProblem');
+  }
+  if (auth) {
+    responses[401] = problemResponse('Not signed in');
+  }
+  if (permission) {
+    responses[403] = problemResponse(`Requires ${permission}`);
+  }
+  if (params) {
+    responses[404] = problemResponse('Not found');
+  }
+
+  return {
+    operationId,
+    tags: [tag],
+    summary,
+    ...(description && { description }),
+    ...(permission && { 'x-required-permission': permission }),
+    security: auth ? [{ bearerAuth: [] }, { cookieAuth: [] }] : [],
+    parameters: [
+      ...toParameters(params, 'path'),
+      ...toParameters(query, 'query'),
+    ],
+    ...(body && {
+      requestBody: {
+        required: true,
+        content: { 'application/json': { schema: toJsonSchema(body) } },
+      },
+    }),
+    responses,
+  };
+};
+
+const problemSchema = {
+  type: 'object',
+  description: 'RFC 7807 problem details',
+  properties: {
+    type: { type: 'string' },
+    title: { type: 'string' },
+    status: { type: 'integer' },
+    detail: { type: 'string' },
+    instance: { type: 'string' },
+    code: { type: 'string' },
+    requestId: { type: ['string', 'null'] },
+  },
+  required: ['type', 'title', 'status', 'code'],
+};
+
+// Built from the routes `app` serves, so a route cannot go undocumented and
+// the document cannot describe a route that is gone
+export const buildOpenApiDocument = app => {
+  const paths = {};
+  const documented = new Set();
+
+  for (const route of collectRoutes(app.router.stack)) {
+    const key = `${route.method.toUpperCase()} ${route.path}`;
+    const metadata = operations[key];
+
+    if (!metadata) {
+      throw new Error(`No OpenAPI metadata for ${key}`);
+    }
+
+    const path = toOpenApiPath(route.path);
+    paths[path] = {
+      ...paths[path],
+      [route.method]: toOperation(metadata, describeRoute(route)),
+    };
+    documented.add(key);
+  }
+
+  const stale = Object.keys(operations).filter(key => !documented.has(key));
+  if (stale.length > 0) {
+    throw new Error(`OpenAPI metadata matches no route: ${stale.join(', ')}`);
+  }
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Mergers-acquisitions API',
+      version: pkg.version,
+      description: pkg.description || undefined,
+    },
+    tags: [...new Set(Object.values(operations).map(({ tag }) => tag))].map(
+      name => ({ name })
+    ),
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+        cookieAuth: { type: 'apiKey', in: 'cookie', name: 'token' },
+      },
+      schemas: {
+        Problem: problemSchema,
+        ValidationProblem: {
+          allOf: [
+            { $ref: '#/components/schemas/Problem' },
+            {
+              type: 'object',
+              properties: {
+                errors: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      in: {
+                        type: 'string',
+                        enum: ['params', 'query', 'body', 'headers'],
+                      },
+                      field: { type: 'string' },
+                      message: { type: 'string' },
+                      code: { type: 'string' },
+                    },
+                    required: ['field', 'message', 'code'],
+                  },
+                },
+              },
+            },
+          ],
+        },
+      },
+    },
+  };
+};
+
+let openApiDocument;
+
+// Built on first use; the routes and schemas do not change at runtime
+export const getOpenApiDocument = app => {
+  openApiDocument ??= buildOpenApiDocument(app);
+  return openApiDocument;
+};
@@ -0,0 +1,284 @@
+// What the router cannot say about each route, keyed by method and full
+// Express path. Everything else (authentication, the required permission and
+// the request schemas) is read from the route's own middleware by openapi.js,
+// which throws when a route has no entry here or an entry matches no route.
+//
+// `status` is the success status when it is not 200.
+export const operations = {
+  // System
+  'GET /': {
+    operationId: 'getGreeting',
+    tag: 'System',
+    summary: 'Plain-text greeting',
+  },
+  'GET /health': {
+    operationId: 'getHealth',
+    tag: 'System',
+    summary: 'Health check',
+  },
+  'GET /health/live': {
+    operationId: 'getLiveness',
+    tag: 'System',
+    summary: 'Liveness probe',
+  },
+  'GET /health/ready': {
+    operationId: 'getReadiness',
+    tag: 'System',
+    summary: 'Readiness probe',
+    description:
+      'Checks the database, pending migrations and the Arcjet configuration, reporting the status and latency of each. Responds 503 when a critical check fails.',
+  },
+  'GET /metrics': {
+    operationId: 'getMetrics',
+    tag: 'System',
+    summary: 'Prometheus metrics',
+    description:
+      'Text exposition format. Requires the METRICS_TOKEN bearer token or a caller address listed in METRICS_ALLOWED_IPS.',
+  },
+  'GET /api': {
+    operationId: 'getApiStatus',
+    tag: 'System',
+    summary: 'API status message',
+  },
+  'GET /api/openapi.json': {
+    operationId: 'getOpenApiDocument',
+    tag: 'System',
+    summary: 'This OpenAPI document',
+  },
+
+  // Auth
+  'POST /api/auth/sign-up': {
+    operationId: 'signup',
+    tag: 'Auth',
+    summary: 'Create an account',
+    description:
+      'Accounts get the default role unless an invite token for another role is supplied.',
+    status: 201,
+  },
+  'POST /api/auth/sign-in': {
+    operationId: 'signin',
+    tag: 'Auth',
+    summary: 'Sign in with email and password',
+    description:
+      'Returns an MFA token instead of a session when two-factor authentication is enabled.',
+  },
+  'POST /api/auth/refresh': {
+    operationId: 'refresh',
+    tag: 'Auth',
+    summary: 'Rotate the refresh token and issue a new access token',
+  },
+  'POST /api/auth/sign-out': {
+    operationId: 'signout',
+    tag: 'Auth',
+    summary: 'Revoke the current session',
+  },
+  'POST /api/auth/forgot-password': {
+    operationId: 'forgotPassword',
+    tag: 'Auth',
+    summary: 'Email a password reset link',
+    status: 202,
+  },
+  'POST /api/auth/reset-password': {
+    operationId: 'resetPassword',
+    tag: 'Auth',
+    summary: 'Set a new password with a reset token',
+    description:
+      'The new password must meet the password policy; the token stays usable if it does not.',
+  },
+  'POST /api/auth/verify-email': {
+    operationId: 'verifyEmail',
+    tag: 'Auth',
+    summary: 'Confirm an email address',
+  },
+  'POST /api/auth/resend-verification': {
+    operationId: 'resendVerification',
+    tag: 'Auth',
+    summary: 'Send the verification email again',
+    status: 202,
+  },
+  'POST /api/auth/2fa/verify': {
+    operationId: 'verifyTwoFactor',
+    tag: 'Auth',
+    summary: 'Complete a sign-in with a TOTP or recovery code',
+  },
+  'POST /api/auth/2fa/enroll': {
+    operationId: 'enrollTwoFactor',
+    tag: 'Auth',
+    summary: 'Start two-factor enrollment',
+  },
+  'POST /api/auth/2fa/confirm': {
+    operationId: 'confirmTwoFactor',
+    tag: 'Auth',
+    summary: 'Confirm enrollment and receive recovery codes',
+  },
+  'POST /api/auth/2fa/disable': {
+    operationId: 'disableTwoFactor',
+    tag: 'Auth',
+    summary: 'Turn off two-factor authentication',
+  },
+
+  // Users
+  'GET /api/users': {
+    operationId: 'fetchAllUsers',
+    tag: 'Users',
+    summary: 'List users',
+    description:
+      'Supports offset or cursor pagination; includeDeleted also needs users:delete:any.',
+  },
+  'GET /api/users/:id': {
+    operationId: 'fetchUserById',
+    tag: 'Users',
+    summary: 'Get a user',
+    description:
+      'Other accounts are returned as a public profile unless the caller has users:read:all.',
+  },
+  'PUT /api/users/:id': {
+    operationId: 'updateUserById',
+    tag: 'Users',
+    summary: 'Update a user',
+    description:
+      'Allowed for the account holder or with users:update:any; changing the role needs users:assign-role.',
+  },
+  'DELETE /api/users/:id': {
+    operationId: 'deleteUserById',
+    tag: 'Users',
+    summary: 'Soft delete a user',
+  },
+  'POST /api/users/:id/restore': {
+    operationId: 'restoreUserById',
+    tag: 'Users',
+    summary: 'Restore a soft-deleted user',
+  },
+  'POST /api/users/:id/unlock': {
+    operationId: 'unlockUserById',
+    tag: 'Users',
+    summary: 'Clear a sign-in lockout',
+  },
+  'POST /api/users/:id/password': {
+    operationId: 'changePasswordById',
+    tag: 'Users',
+    summary: 'Change your own password',
+    description:
+      'Requires the current password and signs out every other session. A new password that breaks the password policy is rejected with code WEAK_PASSWORD and one entry per failed rule.',
+  },
+
+  // Companies
+  'GET /api/companies': {
+    operationId: 'fetchAllCompanies',
+    tag: 'Companies',
+    summary: 'List companies',
+  },
+  'GET /api/companies/:id': {
+    operationId: 'fetchCompanyById',
+    tag: 'Companies',
+    summary: 'Get a company',
+  },
+  'POST /api/companies': {
+    operationId: 'createNewCompany',
+    tag: 'Companies',
+    summary: 'Create a company',
+    status: 201,
+  },
+  'PUT /api/companies/:id': {
+    operationId: 'updateCompanyById',
+    tag: 'Companies',
+    summary: 'Update a company',
+  },
+  'DELETE /api/companies/:id': {
+    operationId: 'deleteCompanyById',
+    tag: 'Companies',
+    summary: 'Delete a company no deal refers to',
+  },
+
+  // Deals (all require a verified email address)
+  'GET /api/deals': {
+    operationId: 'fetchAllDeals',
+    tag: 'Deals',
+    summary: 'List deals',
+  },
+  'GET /api/deals/:id': {
+    operationId: 'fetchDealById',
+    tag: 'Deals',
+    summary: 'Get a deal',
+  },
+  'GET /api/deals/:id/transitions': {
+    operationId: 'fetchDealTransitions',
+    tag: 'Deals',
+    summary: 'Get the stage history of a deal',
+  },
+  'POST /api/deals': {
+    operationId: 'createNewDeal',
+    tag: 'Deals',
+    summary: 'Create a deal in the sourcing stage',
+    status: 201,
+  },
+  'PUT /api/deals/:id': {
+    operationId: 'updateDealById',
+    tag: 'Deals',
+    summary: 'Update deal details',
+  },
+  'POST /api/deals/:id/stage': {
+    operationId: 'moveDealStage',
+    tag: 'Deals',
+    summary: 'Move a deal to its next pipeline stage',
+  },
+  'DELETE /api/deals/:id': {
+    operationId: 'deleteDealById',
+    tag: 'Deals',
+    summary: 'Delete a deal',
+  },
+
+  // Admin
+  'GET /api/admin/roles': {
+    operationId: 'fetchAllRoles',
+    tag: 'Admin',
+    summary: 'List roles with their permissions',
+  },
+  'GET /api/admin/roles/:name': {
+    operationId: 'fetchRoleByName',
+    tag: 'Admin',
+    summary: 'Get a role',
+  },
+  'POST /api/admin/roles': {
+    operationId: 'createNewRole',
+    tag: 'Admin',
+    summary: 'Create a role',
+    status: 201,
+  },
+  'PUT /api/admin/roles/:name': {
+    operationId: 'updateRoleByName',
+    tag: 'Admin',
+    summary: 'Update the description or permissions of a role',
+  },
+  'DELETE /api/admin/roles/:name': {
+    operationId: 'deleteRoleByName',
+    tag: 'Admin',
+    summary: 'Delete a role no user holds',
+  },
+  'GET /api/admin/invites': {
+    operationId: 'fetchAllInvites',
+    tag: 'Admin',
+    summary: 'List invites with their status',
+  },
+  'POST /api/admin/invites': {
+    operationId: 'createNewInvite',
+    tag: 'Admin',
+    summary: 'Create a single-use invite for a role',
+    status: 201,
+  },
+  'DELETE /api/admin/invites/:id': {
+    operationId: 'revokeInviteById',
+    tag: 'Admin',
+    summary: 'Revoke a pending invite',
+  },
+  'GET /api/admin/audit': {
+    operationId: 'fetchAuditEvents',
+    tag: 'Admin',
+    summary: 'Search the audit log',
+  },
+  'POST /api/admin/users/purge': {
+    operationId: 'purgeUsers',
+    tag: 'Admin',
+    summary: 'Anonymize users deleted past the retention period',
+  },
+};
@@ -1,2 +1 @@
-import 'dotenv/config';
 import './server.js';
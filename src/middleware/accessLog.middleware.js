@@ -0,0 +1,28 @@
+import logger from '../config/logger.js';
+import { routeOf } from '../utils/logContext.js';
+
+// One structured line per request, written once the response has been sent
+// with its status and how long it took
+export const accessLog = (req, res, next) => {
+  const startedAt = process.hrtime.bigint();
+
+  res.on('finish', () => {
+    const durationMs = Number(process.hrtime.bigint() - startedAt) / 1_000_000;
+
+    logger.log(res.statusCode >= 500 ? 'warn' : 'info', 'Request completed', {
+      type: 'access',
+      requestId: req.id,
+      userId: req.user?.id,
+      route: routeOf(req),
+      method: req.method,
+      path: req.originalUrl,
+      status: res.statusCode,
+      durationMs: Math.round(durationMs * 1000) / 1000,
+      contentLength: Number(res.get('Content-Length')) || 0,
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+    });
+  });
+
+  next();
+};
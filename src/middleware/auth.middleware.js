@@ -1,37 +1,67 @@
 import { jwttoken } from '../utils/jwt.js';
 import { cookies } from '../utils/cookies.js';
 import logger from '../config/logger.js';
+import { findActiveSession } from '../services/session.service.js';
+import { isEmailVerified } from '../services/account.service.js';
+import { ForbiddenError, UnauthorizedError } from '../utils/errors.js';
 
 // Middleware to authenticate JWT token
-export const authenticateToken = (req, res, next) => {
+export const authenticateToken = async (req, res, next) => {
   try {
     const token =
       cookies.get(req, 'token') || req.headers.authorization?.split(' ')[1];
 
     if (!token) {
-      return res.status(401).json({
-        error: 'Access denied',
-        message: 'No token provided',
-      });
+      return next(new UnauthorizedError('No token provided'));
     }
 
     const decoded = jwttoken.verify(token);
 
     if (!decoded) {
-      return res.status(401).json({
-        error: 'Access denied',
-        message: 'Invalid token',
-      });
+      return next(new UnauthorizedError('Invalid token'));
     }
 
-    req.user = decoded;
+    // Access tokens are short-lived, but a revoked session must stop working
+    // immediately rather than when the token expires
+    const session = decoded.sid && (await findActiveSession(decoded.sid));
+
+    if (!session) {
+      return next(new UnauthorizedError('Session has been revoked'));
+    }
+
+    // Permissions follow the role the user has now, not the one in the token
+    req.user = { ...decoded, role: session.role };
     next();
   } catch (error) {
     logger.error('Authentication error:', error);
-    return res.status(401).json({
-      error: 'Access denied',
-      message: 'Invalid token',
-    });
+    return next(new UnauthorizedError('Invalid token'));
+  }
+};
+
+// Middleware to require a verified email address. Must run after
+// authenticateToken; checked against the database so verifying takes effect
+// without waiting for a new access token.
+export const requireVerifiedEmail = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return next(
+        new UnauthorizedError('You must be logged in to access this resource')
+      );
+    }
+
+    if (!(await isEmailVerified(req.user.id))) {
+      return next(
+        new ForbiddenError(
+          'Please verify your email address to access this resource',
+          { code: 'EMAIL_NOT_VERIFIED' }
+        )
+      );
+    }
+
+    next();
+  } catch (error) {
+    logger.error('Email verification check error:', error);
+    next(error);
   }
 };
 
@@ -39,17 +69,17 @@ export const authenticateToken = (req, res, next) => {
 export const requireRole = roles => {
   return (req, res, next) => {
     if (!req.user) {
-      return res.status(401).json({
-        error: 'Authentication required',
-        message: 'You must be logged in to access this resource',
-      });
+      return next(
+        new UnauthorizedError('You must be logged in to access this resource')
+      );
     }
 
     if (!roles.includes(req.user.role)) {
-      return res.status(403).json({
-        error: 'Access denied',
-        message: `Insufficient permissions. Required role(s): ${roles.join(', ')}`,
-      });
+      return next(
+        new ForbiddenError(
+          `Insufficient permissions. Required role(s): ${roles.join(', ')}`
+        )
+      );
     }
 
     next();
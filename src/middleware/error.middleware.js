@@ -0,0 +1,87 @@
+import { STATUS_CODES } from 'http';
+import logger from '../config/logger.js';
+import { config } from '../config/env.js';
+import {
+  AppError,
+  ConflictError,
+  NotFoundError,
+  isUniqueViolation,
+} from '../utils/errors.js';
+import { requestContext } from '../utils/requestContext.js';
+
+const isProduction = () => config.isProduction;
+
+// Problem types are named after the error code, e.g. /problems/not-found
+const problemType = code =>
+  `/problems/${code.toLowerCase().replace(/_/g, '-')}`;
+
+// Errors raised by Express and body-parser (malformed JSON, payload too large)
+// carry their own 4xx status and a client-safe message
+const classify = err => {
+  if (err instanceof AppError) {
+    return { status: err.status, code: err.code };
+  }
+
+  if (err.expose && err.status < 500) {
+    const type = String(err.type || 'bad request');
+    return {
+      status: err.status,
+      code: type.replace(/\W+/g, '_').toUpperCase(),
+    };
+  }
+
+  return { status: 500, code: 'INTERNAL_ERROR' };
+};
+
+export const notFoundHandler = (req, res, next) => {
+  next(new NotFoundError('Route not found', { code: 'ROUTE_NOT_FOUND' }));
+};
+
+// Last middleware in the chain: every error passed to next() leaves the API
+// as an RFC 7807 application/problem+json document, extended with the error
+// code, the request id and, for validation failures, one entry per field.
+// Unexpected errors are logged in full but only described generically to the
+// client, and stacks never leave production.
+export const errorHandler = (error, req, res, next) => {
+  // Services map the duplicates they expect; any other one is still the
+  // client's conflict, but the constraint name stays out of the response
+  const err = isUniqueViolation(error)
+    ? new ConflictError('Resource already exists')
+    : error;
+  const { requestId } = requestContext(req);
+  const { status, code } = classify(err);
+  const message = status < 500 ? err.message : 'Internal server error';
+
+  if (status >= 500) {
+    logger.error(`Unhandled error on ${req.method} ${req.originalUrl}`, {
+      requestId,
+      error: err.message,
+      stack: err.stack,
+    });
+  }
+
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  if (err.retryAfter) {
+    res.set('Retry-After', String(err.retryAfter));
+  }
+
+  const body = {
+    type: problemType(code),
+    title: (status < 500 && err.title) || STATUS_CODES[status],
+    status,
+    detail: message,
+    instance: req.originalUrl,
+    code,
+    requestId,
+  };
+
+  if (err.errors !== undefined) body.errors = err.errors;
+  if (err.details !== undefined) body.details = err.details;
+  if (err.retryAfter) body.retryAfter = err.retryAfter;
+  if (status >= 500 && !isProduction()) body.stack = err.stack;
+
+  res.status(status).type('application/problem+json').json(body);
+};
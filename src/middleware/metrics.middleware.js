@@ -0,0 +1,55 @@
+import crypto from 'crypto';
+import { httpRequestDuration, httpRequestsTotal } from '../config/metrics.js';
+import { config } from '../config/env.js';
+import { routeOf } from '../utils/logContext.js';
+import { ForbiddenError, UnauthorizedError } from '../utils/errors.js';
+
+// Requests that match no route share one label instead of one per URL
+const UNMATCHED_ROUTE = 'unmatched';
+
+export const recordHttpMetrics = (req, res, next) => {
+  const end = httpRequestDuration.startTimer();
+
+  res.on('finish', () => {
+    const labels = {
+      method: req.method,
+      route: routeOf(req) ?? UNMATCHED_ROUTE,
+      status: res.statusCode,
+    };
+
+    end(labels);
+    httpRequestsTotal.inc(labels);
+  });
+
+  next();
+};
+
+const normalizeIp = ip => ip?.replace(/^::ffff:/, '');
+
+const tokenMatches = (provided, expected) => {
+  const a = Buffer.from(provided);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+// Scrapers are let in by METRICS_TOKEN (sent as a bearer token) or by
+// METRICS_ALLOWED_IPS; with neither set the endpoint is closed
+export const requireMetricsAccess = (req, res, next) => {
+  const { token, allowedIps } = config.metrics;
+
+  if (allowedIps.includes(normalizeIp(req.ip))) {
+    return next();
+  }
+
+  if (!token) {
+    return next(new ForbiddenError('Metrics access is not allowed'));
+  }
+
+  const [scheme, provided] = req.get('Authorization')?.split(' ') ?? [];
+
+  if (scheme !== 'Bearer' || !provided || !tokenMatches(provided, token)) {
+    return next(new UnauthorizedError('Invalid metrics token'));
+  }
+
+  next();
+};
@@ -1,4 +1,6 @@
 import logger from '../config/logger.js';
+import { ensureRoleCache, getCachedRoles } from '../services/roles.services.js';
+import { ForbiddenError, UnauthorizedError } from '../utils/errors.js';
 
 // Define permissions for different resources and actions
 export const PERMISSIONS = {
@@ -10,11 +12,25 @@ export const PERMISSIONS = {
     READ_ALL: 'users:read:all',
     UPDATE_ANY: 'users:update:any',
     DELETE_ANY: 'users:delete:any',
+    ASSIGN_ROLE: 'users:assign-role',
   },
   PROFILE: {
     READ: 'profile:read',
     UPDATE: 'profile:update',
   },
+  COMPANIES: {
+    CREATE: 'companies:create',
+    READ: 'companies:read',
+    UPDATE: 'companies:update',
+    DELETE: 'companies:delete',
+  },
+  DEALS: {
+    CREATE: 'deals:create',
+    READ: 'deals:read',
+    UPDATE: 'deals:update',
+    DELETE: 'deals:delete',
+    TRANSITION: 'deals:transition',
+  },
   ADMIN: {
     PANEL: 'admin:panel',
     LOGS: 'admin:logs',
@@ -22,7 +38,15 @@ export const PERMISSIONS = {
   },
 };
 
-// Define roles with their permissions
+// Every permission that can be granted to a role
+export const ALL_PERMISSIONS = [
+  '*',
+  ...Object.values(PERMISSIONS).flatMap(group => Object.values(group)),
+];
+
+// Built-in roles with their permissions. These are seeded into the `roles`
+// and `role_permissions` tables; at runtime the database is authoritative and
+// these are only used until the role cache has been loaded.
 export const ROLES = {
   guest: {
     permissions: [],
@@ -33,6 +57,8 @@ export const ROLES = {
       PERMISSIONS.PROFILE.READ,
       PERMISSIONS.PROFILE.UPDATE,
       PERMISSIONS.USERS.READ, // Can read own user info
+      PERMISSIONS.COMPANIES.READ,
+      PERMISSIONS.DEALS.READ,
     ],
     description: 'Regular user with basic permissions',
   },
@@ -43,6 +69,13 @@ export const ROLES = {
       PERMISSIONS.USERS.READ,
       PERMISSIONS.USERS.READ_ALL,
       PERMISSIONS.USERS.UPDATE, // Can update some user info
+      PERMISSIONS.COMPANIES.READ,
+      PERMISSIONS.COMPANIES.CREATE,
+      PERMISSIONS.COMPANIES.UPDATE,
+      PERMISSIONS.DEALS.READ,
+      PERMISSIONS.DEALS.CREATE,
+      PERMISSIONS.DEALS.UPDATE,
+      PERMISSIONS.DEALS.TRANSITION,
     ],
     description: 'Moderator with extended user management permissions',
   },
@@ -57,6 +90,16 @@ export const ROLES = {
       PERMISSIONS.USERS.READ_ALL,
       PERMISSIONS.USERS.UPDATE_ANY,
       PERMISSIONS.USERS.DELETE_ANY,
+      PERMISSIONS.USERS.ASSIGN_ROLE,
+      PERMISSIONS.COMPANIES.CREATE,
+      PERMISSIONS.COMPANIES.READ,
+      PERMISSIONS.COMPANIES.UPDATE,
+      PERMISSIONS.COMPANIES.DELETE,
+      PERMISSIONS.DEALS.CREATE,
+      PERMISSIONS.DEALS.READ,
+      PERMISSIONS.DEALS.UPDATE,
+      PERMISSIONS.DEALS.DELETE,
+      PERMISSIONS.DEALS.TRANSITION,
       PERMISSIONS.ADMIN.PANEL,
       PERMISSIONS.ADMIN.LOGS,
       PERMISSIONS.ADMIN.SYSTEM,
@@ -69,9 +112,11 @@ export const ROLES = {
   },
 };
 
+const activeRoles = () => getCachedRoles() || ROLES;
+
 // Check if a role has a specific permission
 export const hasPermission = (userRole, requiredPermission) => {
-  const role = ROLES[userRole];
+  const role = activeRoles()[userRole];
   if (!role) return false;
 
   // Super admin has all permissions
@@ -95,9 +140,14 @@ export const hasAllPermissions = (userRole, requiredPermissions = []) => {
   );
 };
 
+// A role can only be handed out by someone holding all of its permissions,
+// so granting it never gives anyone more than the grantor already has
+export const canGrantRole = (grantorRole, roleName) =>
+  hasAllPermissions(grantorRole, getUserPermissions(roleName));
+
 // Middleware to check for specific permissions
 export const requirePermission = requiredPermission => {
-  return (req, res, next) => {
+  const middleware = async (req, res, next) => {
     try {
       if (!req.user) {
         logger.warn('Permission check failed - no authenticated user', {
@@ -108,13 +158,13 @@ export const requirePermission = requiredPermission => {
           timestamp: new Date().toISOString(),
         });
 
-        return res.status(401).json({
-          error: 'Authentication required',
-          message: 'You must be logged in to access this resource',
-        });
+        return next(
+          new UnauthorizedError('You must be logged in to access this resource')
+        );
       }
 
       const { role, id } = req.user;
+      await ensureRoleCache();
 
       if (!hasPermission(role, requiredPermission)) {
         logger.warn('Permission denied', {
@@ -127,10 +177,11 @@ export const requirePermission = requiredPermission => {
           timestamp: new Date().toISOString(),
         });
 
-        return res.status(403).json({
-          error: 'Access denied',
-          message: `Insufficient permissions. Required: ${requiredPermission}`,
-        });
+        return next(
+          new ForbiddenError(
+            `Insufficient permissions. Required: ${requiredPermission}`
+          )
+        );
       }
 
       logger.info('Permission granted', {
@@ -144,26 +195,27 @@ export const requirePermission = requiredPermission => {
       next();
     } catch (error) {
       logger.error('Permission check error:', error);
-      return res.status(500).json({
-        error: 'Internal server error',
-        message: 'Error checking permissions',
-      });
+      next(error);
     }
   };
+
+  // Kept so the OpenAPI document can name the permission a route requires
+  middleware.permission = requiredPermission;
+  return middleware;
 };
 
 // Middleware to check for any of the required permissions
 export const requireAnyPermission = (requiredPermissions = []) => {
-  return (req, res, next) => {
+  return async (req, res, next) => {
     try {
       if (!req.user) {
-        return res.status(401).json({
-          error: 'Authentication required',
-          message: 'You must be logged in to access this resource',
-        });
+        return next(
+          new UnauthorizedError('You must be logged in to access this resource')
+        );
       }
 
       const { role, id } = req.user;
+      await ensureRoleCache();
 
       if (!hasAnyPermission(role, requiredPermissions)) {
         logger.warn('Permission denied - insufficient permissions', {
@@ -176,35 +228,33 @@ export const requireAnyPermission = (requiredPermissions = []) => {
           timestamp: new Date().toISOString(),
         });
 
-        return res.status(403).json({
-          error: 'Access denied',
-          message: `Insufficient permissions. Required any of: ${requiredPermissions.join(', ')}`,
-        });
+        return next(
+          new ForbiddenError(
+            `Insufficient permissions. Required any of: ${requiredPermissions.join(', ')}`
+          )
+        );
       }
 
       next();
     } catch (error) {
       logger.error('Permission check error:', error);
-      return res.status(500).json({
-        error: 'Internal server error',
-        message: 'Error checking permissions',
-      });
+      next(error);
     }
   };
 };
 
 // Middleware to check for all required permissions
 export const requireAllPermissions = (requiredPermissions = []) => {
-  return (req, res, next) => {
+  return async (req, res, next) => {
     try {
       if (!req.user) {
-        return res.status(401).json({
-          error: 'Authentication required',
-          message: 'You must be logged in to access this resource',
-        });
+        return next(
+          new UnauthorizedError('You must be logged in to access this resource')
+        );
       }
 
       const { role, id } = req.user;
+      await ensureRoleCache();
 
       if (!hasAllPermissions(role, requiredPermissions)) {
         logger.warn('Permission denied - missing required permissions', {
@@ -217,19 +267,17 @@ export const requireAllPermissions = (requiredPermissions = []) => {
           timestamp: new Date().toISOString(),
         });
 
-        return res.status(403).json({
-          error: 'Access denied',
-          message: `Insufficient permissions. Required all of: ${requiredPermissions.join(', ')}`,
-        });
+        return next(
+          new ForbiddenError(
+            `Insufficient permissions. Required all of: ${requiredPermissions.join(', ')}`
+          )
+        );
       }
 
       next();
     } catch (error) {
       logger.error('Permission check error:', error);
-      return res.status(500).json({
-        error: 'Internal server error',
-        message: 'Error checking permissions',
-      });
+      next(error);
     }
   };
 };
@@ -239,10 +287,9 @@ export const requireOwnership = (resourceIdParam = 'id') => {
   return (req, res, next) => {
     try {
       if (!req.user) {
-        return res.status(401).json({
-          error: 'Authentication required',
-          message: 'You must be logged in to access this resource',
-        });
+        return next(
+          new UnauthorizedError('You must be logged in to access this resource')
+        );
       }
 
       const { role, id: userId } = req.user;
@@ -265,19 +312,15 @@ export const requireOwnership = (resourceIdParam = 'id') => {
           timestamp: new Date().toISOString(),
         });
 
-        return res.status(403).json({
-          error: 'Access denied',
-          message: 'You can only access your own resources',
-        });
+        return next(
+          new ForbiddenError('You can only access your own resources')
+        );
       }
 
       next();
     } catch (error) {
       logger.error('Ownership check error:', error);
-      return res.status(500).json({
-        error: 'Internal server error',
-        message: 'Error checking resource ownership',
-      });
+      next(error);
     }
   };
 };
@@ -287,17 +330,17 @@ export const requireOwnershipOrPermission = (
   requiredPermission,
   resourceIdParam = 'id'
 ) => {
-  return (req, res, next) => {
+  return async (req, res, next) => {
     try {
       if (!req.user) {
-        return res.status(401).json({
-          error: 'Authentication required',
-          message: 'You must be logged in to access this resource',
-        });
+        return next(
+          new UnauthorizedError('You must be logged in to access this resource')
+        );
       }
 
       const { role, id: userId } = req.user;
       const resourceId = req.params[resourceIdParam];
+      await ensureRoleCache();
 
       // Check if user has the required permission (e.g., admin)
       if (hasPermission(role, requiredPermission)) {
@@ -320,33 +363,30 @@ export const requireOwnershipOrPermission = (
         timestamp: new Date().toISOString(),
       });
 
-      return res.status(403).json({
-        error: 'Access denied',
-        message:
-          'You can only access your own resources or need higher permissions',
-      });
+      return next(
+        new ForbiddenError(
+          'You can only access your own resources or need higher permissions'
+        )
+      );
     } catch (error) {
       logger.error('Ownership/permission check error:', error);
-      return res.status(500).json({
-        error: 'Internal server error',
-        message: 'Error checking access rights',
-      });
+      next(error);
     }
   };
 };
 
 // Utility function to get user permissions
 export const getUserPermissions = userRole => {
-  const role = ROLES[userRole];
+  const role = activeRoles()[userRole];
   return role ? role.permissions : [];
 };
 
 // Utility function to get all available roles
 export const getAvailableRoles = () => {
-  return Object.keys(ROLES);
+  return Object.keys(activeRoles());
 };
 
 // Utility function to get role information
 export const getRoleInfo = roleName => {
-  return ROLES[roleName] || null;
+  return activeRoles()[roleName] || null;
 };
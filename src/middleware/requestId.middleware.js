@@ -0,0 +1,18 @@
+import crypto from 'crypto';
+import { runWithRequest, trackRoute } from '../utils/logContext.js';
+
+// Incoming ids are reused so a request can be followed across services, but
+// only when they are short and plain enough to be safe in logs and headers
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+export const requestId = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+
+  req.id = VALID_REQUEST_ID.test(incoming ?? '')
+    ? incoming
+    : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  trackRoute(req);
+
+  runWithRequest(req, next);
+};
@@ -1,6 +1,7 @@
 import { slidingWindow } from '@arcjet/node';
 import aj from '../config/arcjet.js';
 import logger from '../config/logger.js';
+import { arcjetDecisionsTotal } from '../config/metrics.js';
 
 const securityMiddleware = async (req, res, next) => {
   try {
@@ -30,6 +31,10 @@ const securityMiddleware = async (req, res, next) => {
     );
 
     const decision = await client.protect(req);
+    arcjetDecisionsTotal.inc({
+      conclusion: decision.conclusion,
+      reason: decision.reason.type,
+    });
 
     if (decision.isDenied() && decision.reason.isBot()) {
       logger.warn('Bot request blocked', {
@@ -0,0 +1,64 @@
+import { formatValidationIssues } from '../utils/format.js';
+import { ValidationError } from '../utils/errors.js';
+
+const LOCATIONS = ['params', 'query', 'body', 'headers'];
+
+// Express 5 exposes req.query through a getter, so the parsed value has to be
+// defined on the request itself to shadow it
+const assign = (req, location, value) => {
+  if (location === 'query') {
+    Object.defineProperty(req, 'query', {
+      value,
+      writable: true,
+      configurable: true,
+      enumerable: true,
+    });
+  } else if (location === 'headers') {
+    // Only the declared headers are parsed; the rest must stay in place
+    Object.assign(req.headers, value);
+  } else {
+    req[location] = value;
+  }
+};
+
+// Validates each part of the request against its zod schema, e.g.
+// `validate({ params: userIdSchema, body: updateUserSchema })`. Every failing
+// part is reported at once; on success the parsed (coerced, defaulted) values
+// replace the raw ones so controllers can trust req.params/query/body.
+export const validate = schemas => {
+  const middleware = (req, res, next) => {
+    const parsed = {};
+    const errors = [];
+    const messages = [];
+
+    for (const location of LOCATIONS) {
+      if (!schemas[location]) continue;
+
+      const result = schemas[location].safeParse(req[location] ?? {});
+
+      if (result.success) {
+        parsed[location] = result.data;
+        continue;
+      }
+
+      for (const issue of formatValidationIssues(result.error)) {
+        errors.push({ in: location, ...issue });
+        messages.push(issue.message);
+      }
+    }
+
+    if (errors.length > 0) {
+      return next(new ValidationError(messages.join(', '), { errors }));
+    }
+
+    for (const [location, value] of Object.entries(parsed)) {
+      assign(req, location, value);
+    }
+
+    next();
+  };
+
+  // Kept so the OpenAPI document can describe the same request shape
+  middleware.schemas = schemas;
+  return middleware;
+};
@@ -0,0 +1,36 @@
+import {
+  index,
+  integer,
+  jsonb,
+  pgTable,
+  serial,
+  timestamp,
+  varchar,
+} from 'drizzle-orm/pg-core';
+
+// Append-only: a database trigger rejects UPDATE, DELETE and TRUNCATE. The
+// actor is not a foreign key so events outlive the accounts they mention.
+export const auditEvents = pgTable(
+  'audit_events',
+  {
+    id: serial('id').primaryKey(),
+    actor_id: integer('actor_id'),
+    actor_role: varchar('actor_role', { length: 50 }),
+    action: varchar('action', { length: 100 }).notNull(),
+    resource_type: varchar('resource_type', { length: 50 }).notNull(),
+    resource_id: varchar('resource_id', { length: 100 }),
+    changes: jsonb('changes'),
+    metadata: jsonb('metadata'),
+    ip_address: varchar('ip_address', { length: 64 }),
+    request_id: varchar('request_id', { length: 100 }),
+    created_at: timestamp().defaultNow().notNull(),
+  },
+  table => [
+    index('audit_events_actor_idx').on(table.actor_id),
+    index('audit_events_resource_idx').on(
+      table.resource_type,
+      table.resource_id
+    ),
+    index('audit_events_created_at_idx').on(table.created_at),
+  ]
+);
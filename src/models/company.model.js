@@ -0,0 +1,34 @@
+import {
+  integer,
+  numeric,
+  pgTable,
+  serial,
+  timestamp,
+  unique,
+  varchar,
+} from 'drizzle-orm/pg-core';
+
+export const companies = pgTable(
+  'companies',
+  {
+    id: serial('id').primaryKey(),
+    legal_name: varchar('legal_name', { length: 255 }).notNull(),
+    registration_number: varchar('registration_number', {
+      length: 100,
+    }).notNull(),
+    jurisdiction: varchar('jurisdiction', { length: 100 }).notNull(),
+    industry_code: varchar('industry_code', { length: 20 }),
+    headcount: integer('headcount'),
+    revenue: numeric('revenue', { precision: 18, scale: 2, mode: 'number' }),
+    website: varchar('website', { length: 255 }),
+    created_at: timestamp().defaultNow().notNull(),
+    updated_at: timestamp().defaultNow().notNull(),
+  },
+  table => [
+    // Registration numbers are only unique within the issuing registry
+    unique('companies_registration_unique').on(
+      table.jurisdiction,
+      table.registration_number
+    ),
+  ]
+);
@@ -0,0 +1,50 @@
+import {
+  integer,
+  numeric,
+  pgTable,
+  serial,
+  timestamp,
+  varchar,
+} from 'drizzle-orm/pg-core';
+import { companies } from './company.model.js';
+import { users } from './user.model.js';
+
+export const deals = pgTable('deals', {
+  id: serial('id').primaryKey(),
+  name: varchar('name', { length: 255 }).notNull(),
+  acquirer_id: integer('acquirer_id')
+    .notNull()
+    .references(() => companies.id, { onDelete: 'restrict' }),
+  target_id: integer('target_id')
+    .notNull()
+    .references(() => companies.id, { onDelete: 'restrict' }),
+  deal_type: varchar('deal_type', { length: 30 }).notNull(),
+  proposed_valuation: numeric('proposed_valuation', {
+    precision: 20,
+    scale: 2,
+    mode: 'number',
+  }),
+  currency: varchar('currency', { length: 3 }).notNull().default('USD'),
+  stage: varchar('stage', { length: 30 }).notNull().default('sourcing'),
+  created_by: integer('created_by').references(() => users.id, {
+    onDelete: 'set null',
+  }),
+  created_at: timestamp().defaultNow().notNull(),
+  updated_at: timestamp().defaultNow().notNull(),
+  deleted_at: timestamp(),
+});
+
+// Append-only history of every stage change, including the initial stage
+export const dealStageTransitions = pgTable('deal_stage_transitions', {
+  id: serial('id').primaryKey(),
+  deal_id: integer('deal_id')
+    .notNull()
+    .references(() => deals.id, { onDelete: 'restrict' }),
+  from_stage: varchar('from_stage', { length: 30 }),
+  to_stage: varchar('to_stage', { length: 30 }).notNull(),
+  moved_by: integer('moved_by').references(() => users.id, {
+    onDelete: 'set null',
+  }),
+  note: varchar('note', { length: 1000 }),
+  created_at: timestamp().defaultNow().notNull(),
+});
@@ -0,0 +1,29 @@
+import {
+  integer,
+  pgTable,
+  serial,
+  timestamp,
+  varchar,
+} from 'drizzle-orm/pg-core';
+import { roles } from './role.model.js';
+import { users } from './user.model.js';
+
+export const invites = pgTable('invites', {
+  id: serial('id').primaryKey(),
+  token_hash: varchar('token_hash', { length: 255 }).notNull().unique(),
+  role: varchar('role', { length: 50 })
+    .notNull()
+    .references(() => roles.name, { onDelete: 'cascade' }),
+  // When set, only this address can redeem the invite
+  email: varchar('email', { length: 255 }),
+  created_by: integer('created_by').references(() => users.id, {
+    onDelete: 'set null',
+  }),
+  used_by: integer('used_by').references(() => users.id, {
+    onDelete: 'set null',
+  }),
+  expires_at: timestamp().notNull(),
+  used_at: timestamp(),
+  revoked_at: timestamp(),
+  created_at: timestamp().defaultNow().notNull(),
+});
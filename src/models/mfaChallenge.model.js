@@ -0,0 +1,16 @@
+import { integer, pgTable, timestamp, uuid } from 'drizzle-orm/pg-core';
+import { users } from './user.model.js';
+
+// One row per MFA token handed out after a correct password; the id is the
+// token's jti. Counts the codes tried against it so the token is retired
+// after a few wrong ones instead of allowing guesses until it expires.
+export const mfaChallenges = pgTable('mfa_challenges', {
+  id: uuid('id').primaryKey(),
+  user_id: integer('user_id')
+    .notNull()
+    .references(() => users.id, { onDelete: 'cascade' }),
+  attempts: integer('attempts').notNull().default(0),
+  expires_at: timestamp().notNull(),
+  completed_at: timestamp(),
+  created_at: timestamp().defaultNow().notNull(),
+});
@@ -0,0 +1,23 @@
+import {
+  index,
+  integer,
+  pgTable,
+  serial,
+  timestamp,
+  varchar,
+} from 'drizzle-orm/pg-core';
+import { users } from './user.model.js';
+
+// Hashes of passwords a user has replaced, so recent ones cannot be reused
+export const passwordHistory = pgTable(
+  'password_history',
+  {
+    id: serial('id').primaryKey(),
+    user_id: integer('user_id')
+      .notNull()
+      .references(() => users.id, { onDelete: 'cascade' }),
+    password_hash: varchar('password_hash', { length: 255 }).notNull(),
+    created_at: timestamp().defaultNow().notNull(),
+  },
+  table => [index('password_history_user_idx').on(table.user_id)]
+);
@@ -0,0 +1,18 @@
+import {
+  integer,
+  pgTable,
+  serial,
+  timestamp,
+  varchar,
+} from 'drizzle-orm/pg-core';
+import { users } from './user.model.js';
+
+export const recoveryCodes = pgTable('two_factor_recovery_codes', {
+  id: serial('id').primaryKey(),
+  user_id: integer('user_id')
+    .notNull()
+    .references(() => users.id, { onDelete: 'cascade' }),
+  code_hash: varchar('code_hash', { length: 255 }).notNull(),
+  used_at: timestamp(),
+  created_at: timestamp().defaultNow().notNull(),
+});
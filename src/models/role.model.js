@@ -0,0 +1,20 @@
+import { pgTable, primaryKey, timestamp, varchar } from 'drizzle-orm/pg-core';
+
+export const roles = pgTable('roles', {
+  name: varchar('name', { length: 50 }).primaryKey(),
+  description: varchar('description', { length: 255 }),
+  created_at: timestamp().defaultNow().notNull(),
+  updated_at: timestamp().defaultNow().notNull(),
+});
+
+export const rolePermissions = pgTable(
+  'role_permissions',
+  {
+    role: varchar('role', { length: 50 })
+      .notNull()
+      .references(() => roles.name, { onDelete: 'cascade' }),
+    permission: varchar('permission', { length: 100 }).notNull(),
+    created_at: timestamp().defaultNow().notNull(),
+  },
+  table => [primaryKey({ columns: [table.role, table.permission] })]
+);
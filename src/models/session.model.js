@@ -0,0 +1,26 @@
+import {
+  integer,
+  pgTable,
+  timestamp,
+  uuid,
+  varchar,
+} from 'drizzle-orm/pg-core';
+import { users } from './user.model.js';
+
+// One row per login. Every refresh rotates `refresh_token_hash`, so the row
+// represents the whole refresh-token family issued from that login.
+export const sessions = pgTable('sessions', {
+  id: uuid('id').primaryKey().defaultRandom(),
+  user_id: integer('user_id')
+    .notNull()
+    .references(() => users.id, { onDelete: 'cascade' }),
+  refresh_token_hash: varchar('refresh_token_hash', { length: 255 }).notNull(),
+  user_agent: varchar('user_agent', { length: 512 }),
+  ip_address: varchar('ip_address', { length: 64 }),
+  expires_at: timestamp().notNull(),
+  last_used_at: timestamp().defaultNow().notNull(),
+  revoked_at: timestamp(),
+  revoked_reason: varchar('revoked_reason', { length: 50 }),
+  created_at: timestamp().defaultNow().notNull(),
+  updated_at: timestamp().defaultNow().notNull(),
+});
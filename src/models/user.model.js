@@ -1,11 +1,35 @@
-import { pgTable, serial, timestamp, varchar } from 'drizzle-orm/pg-core';
+import {
+  boolean,
+  integer,
+  pgTable,
+  serial,
+  timestamp,
+  varchar,
+} from 'drizzle-orm/pg-core';
+import { roles } from './role.model.js';
 
 export const users = pgTable('users', {
   id: serial('id').primaryKey(),
   name: varchar('name', { length: 255 }).notNull(),
   email: varchar('email', { length: 255 }).notNull().unique(),
   password: varchar('password', { length: 255 }).notNull(),
-  role: varchar('role', { length: 50 }).notNull().default('user'),
+  role: varchar('role', { length: 50 })
+    .notNull()
+    .default('user')
+    .references(() => roles.name, { onDelete: 'restrict' }),
+  email_verified_at: timestamp(),
+  two_factor_enabled: boolean('two_factor_enabled').notNull().default(false),
+  // Set during enrollment, only trusted once two_factor_enabled is true
+  two_factor_secret: varchar('two_factor_secret', { length: 255 }),
+  // Last accepted TOTP time step, so a code cannot be replayed
+  two_factor_last_step: integer('two_factor_last_step'),
+  failed_login_attempts: integer('failed_login_attempts').notNull().default(0),
+  last_failed_login_at: timestamp(),
+  locked_until: timestamp(),
+  // Soft-deleted accounts keep their row so deals and audit events still
+  // resolve; personal fields are anonymized once the retention period ends
+  deleted_at: timestamp(),
+  anonymized_at: timestamp(),
   created_at: timestamp().defaultNow().notNull(),
   updated_at: timestamp().defaultNow().notNull(),
 });
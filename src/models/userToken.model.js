@@ -0,0 +1,22 @@
+import {
+  integer,
+  pgTable,
+  serial,
+  timestamp,
+  varchar,
+} from 'drizzle-orm/pg-core';
+import { users } from './user.model.js';
+
+// Hashed one-time tokens sent to a user's inbox (password reset, email
+// verification). The plaintext token only ever exists in the email.
+export const userTokens = pgTable('user_tokens', {
+  id: serial('id').primaryKey(),
+  user_id: integer('user_id')
+    .notNull()
+    .references(() => users.id, { onDelete: 'cascade' }),
+  purpose: varchar('purpose', { length: 30 }).notNull(),
+  token_hash: varchar('token_hash', { length: 255 }).notNull().unique(),
+  expires_at: timestamp().notNull(),
+  used_at: timestamp(),
+  created_at: timestamp().defaultNow().notNull(),
+});
@@ -0,0 +1,124 @@
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.middleware.js';
+import {
+  PERMISSIONS,
+  requirePermission,
+} from '../middleware/rbac.middleware.js';
+import {
+  fetchAllRoles,
+  fetchRoleByName,
+  createNewRole,
+  updateRoleByName,
+  deleteRoleByName,
+} from '../controllers/roles.controller.js';
+import {
+  fetchAllInvites,
+  createNewInvite,
+  revokeInviteById,
+} from '../controllers/invites.controller.js';
+import { fetchAuditEvents } from '../controllers/audit.controller.js';
+import { purgeUsers } from '../controllers/users.controller.js';
+import { validate } from '../middleware/validate.middleware.js';
+import {
+  roleNameRequest,
+  createRoleRequest,
+  updateRoleRequest,
+} from '../validations/roles.validation.js';
+import {
+  inviteIdRequest,
+  createInviteRequest,
+} from '../validations/invites.validation.js';
+import { auditQueryRequest } from '../validations/audit.validation.js';
+import { purgeUsersRequest } from '../validations/users.validation.js';
+
+const router = express.Router();
+
+// GET /admin/roles - List roles with their permissions
+router.get(
+  '/roles',
+  authenticateToken,
+  requirePermission(PERMISSIONS.ADMIN.SYSTEM),
+  fetchAllRoles
+);
+
+// GET /admin/roles/:name - Get a role with its permissions
+router.get(
+  '/roles/:name',
+  authenticateToken,
+  requirePermission(PERMISSIONS.ADMIN.SYSTEM),
+  validate(roleNameRequest),
+  fetchRoleByName
+);
+
+// POST /admin/roles - Create a role
+router.post(
+  '/roles',
+  authenticateToken,
+  requirePermission(PERMISSIONS.ADMIN.SYSTEM),
+  validate(createRoleRequest),
+  createNewRole
+);
+
+// PUT /admin/roles/:name - Update a role's description or permission grants
+router.put(
+  '/roles/:name',
+  authenticateToken,
+  requirePermission(PERMISSIONS.ADMIN.SYSTEM),
+  validate(updateRoleRequest),
+  updateRoleByName
+);
+
+// DELETE /admin/roles/:name - Delete a role that no user holds
+router.delete(
+  '/roles/:name',
+  authenticateToken,
+  requirePermission(PERMISSIONS.ADMIN.SYSTEM),
+  validate(roleNameRequest),
+  deleteRoleByName
+);
+
+// GET /admin/invites - List invites with their status
+router.get(
+  '/invites',
+  authenticateToken,
+  requirePermission(PERMISSIONS.USERS.CREATE),
+  fetchAllInvites
+);
+
+// POST /admin/invites - Create a single-use invite for a role
+router.post(
+  '/invites',
+  authenticateToken,
+  requirePermission(PERMISSIONS.USERS.CREATE),
+  validate(createInviteRequest),
+  createNewInvite
+);
+
+// DELETE /admin/invites/:id - Revoke a pending invite
+router.delete(
+  '/invites/:id',
+  authenticateToken,
+  requirePermission(PERMISSIONS.USERS.CREATE),
+  validate(inviteIdRequest),
+  revokeInviteById
+);
+
+// GET /admin/audit - Search the audit log by actor, resource and date range
+router.get(
+  '/audit',
+  authenticateToken,
+  requirePermission(PERMISSIONS.ADMIN.LOGS),
+  validate(auditQueryRequest),
+  fetchAuditEvents
+);
+
+// POST /admin/users/purge - Anonymize users deleted past the retention period
+router.post(
+  '/users/purge',
+  authenticateToken,
+  requirePermission(PERMISSIONS.ADMIN.SYSTEM),
+  validate(purgeUsersRequest),
+  purgeUsers
+);
+
+export default router;
@@ -1,9 +1,65 @@
 import express from 'express';
-import { signup, signin, signout } from '../controllers/auth.controller.js';
+import {
+  signup,
+  signin,
+  refresh,
+  signout,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  verifyTwoFactor,
+} from '../controllers/auth.controller.js';
+import {
+  enrollTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactorAuth,
+} from '../controllers/twoFactor.controller.js';
+import { authenticateToken } from '../middleware/auth.middleware.js';
+import { validate } from '../middleware/validate.middleware.js';
+import {
+  signupRequest,
+  signInRequest,
+  forgotPasswordRequest,
+  resetPasswordRequest,
+  verifyEmailRequest,
+  twoFactorChallengeRequest,
+  twoFactorConfirmRequest,
+  twoFactorDisableRequest,
+} from '../validations/auth.validation.js';
+
 const router = express.Router();
 
-router.post('/sign-up', signup);
-router.post('/sign-in', signin);
+router.post('/sign-up', validate(signupRequest), signup);
+router.post('/sign-in', validate(signInRequest), signin);
+router.post('/refresh', refresh);
 router.post('/sign-out', signout);
+router.post(
+  '/forgot-password',
+  validate(forgotPasswordRequest),
+  forgotPassword
+);
+router.post('/reset-password', validate(resetPasswordRequest), resetPassword);
+router.post('/verify-email', validate(verifyEmailRequest), verifyEmail);
+router.post('/resend-verification', authenticateToken, resendVerification);
+
+router.post(
+  '/2fa/verify',
+  validate(twoFactorChallengeRequest),
+  verifyTwoFactor
+);
+router.post('/2fa/enroll', authenticateToken, enrollTwoFactor);
+router.post(
+  '/2fa/confirm',
+  authenticateToken,
+  validate(twoFactorConfirmRequest),
+  confirmTwoFactor
+);
+router.post(
+  '/2fa/disable',
+  authenticateToken,
+  validate(twoFactorDisableRequest),
+  disableTwoFactorAuth
+);
 
 export default router;
@@ -0,0 +1,67 @@
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.middleware.js';
+import {
+  PERMISSIONS,
+  requirePermission,
+} from '../middleware/rbac.middleware.js';
+import {
+  fetchAllCompanies,
+  fetchCompanyById,
+  createNewCompany,
+  updateCompanyById,
+  deleteCompanyById,
+} from '../controllers/companies.controller.js';
+import { validate } from '../middleware/validate.middleware.js';
+import {
+  companyIdRequest,
+  createCompanyRequest,
+  updateCompanyRequest,
+} from '../validations/companies.validation.js';
+
+const router = express.Router();
+
+// GET /companies - Get all companies
+router.get(
+  '/',
+  authenticateToken,
+  requirePermission(PERMISSIONS.COMPANIES.READ),
+  fetchAllCompanies
+);
+
+// GET /companies/:id - Get company by ID
+router.get(
+  '/:id',
+  authenticateToken,
+  requirePermission(PERMISSIONS.COMPANIES.READ),
+  validate(companyIdRequest),
+  fetchCompanyById
+);
+
+// POST /companies - Create a company
+router.post(
+  '/',
+  authenticateToken,
+  requirePermission(PERMISSIONS.COMPANIES.CREATE),
+  validate(createCompanyRequest),
+  createNewCompany
+);
+
+// PUT /companies/:id - Update company by ID
+router.put(
+  '/:id',
+  authenticateToken,
+  requirePermission(PERMISSIONS.COMPANIES.UPDATE),
+  validate(updateCompanyRequest),
+  updateCompanyById
+);
+
+// DELETE /companies/:id - Delete company by ID
+router.delete(
+  '/:id',
+  authenticateToken,
+  requirePermission(PERMISSIONS.COMPANIES.DELETE),
+  validate(companyIdRequest),
+  deleteCompanyById
+);
+
+export default router;
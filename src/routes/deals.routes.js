@@ -0,0 +1,98 @@
+import express from 'express';
+import {
+  authenticateToken,
+  requireVerifiedEmail,
+} from '../middleware/auth.middleware.js';
+import {
+  PERMISSIONS,
+  requirePermission,
+} from '../middleware/rbac.middleware.js';
+import {
+  fetchAllDeals,
+  fetchDealById,
+  fetchDealTransitions,
+  createNewDeal,
+  updateDealById,
+  moveDealStage,
+  deleteDealById,
+} from '../controllers/deals.controller.js';
+import { validate } from '../middleware/validate.middleware.js';
+import {
+  dealIdRequest,
+  createDealRequest,
+  updateDealRequest,
+  dealStageRequest,
+} from '../validations/deals.validation.js';
+
+const router = express.Router();
+
+// GET /deals - Get all deals
+router.get(
+  '/',
+  authenticateToken,
+  requireVerifiedEmail,
+  requirePermission(PERMISSIONS.DEALS.READ),
+  fetchAllDeals
+);
+
+// GET /deals/:id - Get deal by ID
+router.get(
+  '/:id',
+  authenticateToken,
+  requireVerifiedEmail,
+  requirePermission(PERMISSIONS.DEALS.READ),
+  validate(dealIdRequest),
+  fetchDealById
+);
+
+// GET /deals/:id/transitions - Get the stage history of a deal
+router.get(
+  '/:id/transitions',
+  authenticateToken,
+  requireVerifiedEmail,
+  requirePermission(PERMISSIONS.DEALS.READ),
+  validate(dealIdRequest),
+  fetchDealTransitions
+);
+
+// POST /deals - Create a deal (always starts in sourcing)
+router.post(
+  '/',
+  authenticateToken,
+  requireVerifiedEmail,
+  requirePermission(PERMISSIONS.DEALS.CREATE),
+  validate(createDealRequest),
+  createNewDeal
+);
+
+// PUT /deals/:id - Update deal details (not the stage)
+router.put(
+  '/:id',
+  authenticateToken,
+  requireVerifiedEmail,
+  requirePermission(PERMISSIONS.DEALS.UPDATE),
+  validate(updateDealRequest),
+  updateDealById
+);
+
+// POST /deals/:id/stage - Move a deal to its next pipeline stage
+router.post(
+  '/:id/stage',
+  authenticateToken,
+  requireVerifiedEmail,
+  requirePermission(PERMISSIONS.DEALS.TRANSITION),
+  validate(dealStageRequest),
+  moveDealStage
+);
+
+// DELETE /deals/:id - Delete deal by ID
+router.delete(
+  '/:id',
+  authenticateToken,
+  requireVerifiedEmail,
+  requirePermission(PERMISSIONS.DEALS.DELETE),
+  validate(dealIdRequest),
+  deleteDealById
+);
+
+export default router;
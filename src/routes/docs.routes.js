@@ -0,0 +1,20 @@
+import express from 'express';
+import swaggerUi from 'swagger-ui-express';
+import { fetchOpenApiDocument } from '../controllers/docs.controller.js';
+
+const router = express.Router();
+
+// GET /openapi.json - The OpenAPI 3.1 document for this API
+router.get('/openapi.json', fetchOpenApiDocument);
+
+// GET /docs - Swagger UI, loading the document above
+router.use(
+  '/docs',
+  swaggerUi.serve,
+  swaggerUi.setup(null, {
+    customSiteTitle: 'Mergers-acquisitions API',
+    swaggerOptions: { url: '/api/openapi.json' },
+  })
+);
+
+export default router;
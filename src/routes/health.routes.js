@@ -0,0 +1,20 @@
+import express from 'express';
+import {
+  fetchHealth,
+  fetchLiveness,
+  fetchReadiness,
+} from '../controllers/health.controller.js';
+
+const router = express.Router();
+
+// GET /health - Basic health status with uptime
+router.get('/', fetchHealth);
+
+// GET /health/live - The process is up (liveness probe)
+router.get('/live', fetchLiveness);
+
+// GET /health/ready - Database, migrations and Arcjet are usable (readiness
+// probe); 503 when a critical check fails
+router.get('/ready', fetchReadiness);
+
+export default router;
@@ -1,32 +1,91 @@
 import express from 'express';
+import { authenticateToken } from '../middleware/auth.middleware.js';
 import {
-  authenticateToken,
-  requireRole,
-} from '../middleware/auth.middleware.js';
+  PERMISSIONS,
+  requirePermission,
+  requireOwnershipOrPermission,
+} from '../middleware/rbac.middleware.js';
 import {
   fetchAllUsers,
   fetchUserById,
   updateUserById,
   deleteUserById,
+  restoreUserById,
+  unlockUserById,
+  changePasswordById,
 } from '../controllers/users.controller.js';
+import { validate } from '../middleware/validate.middleware.js';
+import {
+  userIdRequest,
+  getUserRequest,
+  listUsersRequest,
+  updateUserRequest,
+  changePasswordRequest,
+} from '../validations/users.validation.js';
 
 const router = express.Router();
 
-// GET /users - Get all users (admin only)
-router.get('/', authenticateToken, fetchAllUsers);
+// GET /users - List users (requires users:read:all)
+router.get(
+  '/',
+  authenticateToken,
+  requirePermission(PERMISSIONS.USERS.READ_ALL),
+  validate(listUsersRequest),
+  fetchAllUsers
+);
 
-// GET /users/:id - Get user by ID (authenticated users only)
-router.get('/:id', authenticateToken, fetchUserById);
+// GET /users/:id - Get user by ID (full profile for the owner or with
+// users:read:all, public profile otherwise)
+router.get(
+  '/:id',
+  authenticateToken,
+  requirePermission(PERMISSIONS.USERS.READ),
+  validate(getUserRequest),
+  fetchUserById
+);
 
-// PUT /users/:id - Update user by ID (authenticated users can update own profile, admin can update any)
-router.put('/:id', authenticateToken, updateUserById);
+// PUT /users/:id - Update a user (own profile, or any with users:update:any)
+router.put(
+  '/:id',
+  authenticateToken,
+  requireOwnershipOrPermission(PERMISSIONS.USERS.UPDATE_ANY),
+  validate(updateUserRequest),
+  updateUserById
+);
 
-// DELETE /users/:id - Delete user by ID (admin only)
+// DELETE /users/:id - Soft delete user by ID (admin only)
 router.delete(
   '/:id',
   authenticateToken,
-  requireRole(['admin']),
+  requirePermission(PERMISSIONS.USERS.DELETE_ANY),
+  validate(userIdRequest),
   deleteUserById
 );
 
+// POST /users/:id/restore - Restore a soft-deleted user (admin only)
+router.post(
+  '/:id/restore',
+  authenticateToken,
+  requirePermission(PERMISSIONS.USERS.DELETE_ANY),
+  validate(userIdRequest),
+  restoreUserById
+);
+
+// POST /users/:id/unlock - Clear a sign-in lockout (admin only)
+router.post(
+  '/:id/unlock',
+  authenticateToken,
+  requirePermission(PERMISSIONS.USERS.UPDATE_ANY),
+  validate(userIdRequest),
+  unlockUserById
+);
+
+// POST /users/:id/password - Change own password (requires the current one)
+router.post(
+  '/:id/password',
+  authenticateToken,
+  validate(changePasswordRequest),
+  changePasswordById
+);
+
 export default router;
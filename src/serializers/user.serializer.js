@@ -0,0 +1,54 @@
+import { users } from '../models/user.model.js';
+import { PERMISSIONS, hasPermission } from '../middleware/rbac.middleware.js';
+
+// The fields each kind of viewer may see of a user. Secrets (password hash,
+// TOTP secret) are in none of them and are never selected for responses.
+export const USER_VIEWS = {
+  // Anyone signed in, e.g. to show who owns a deal
+  public: ['id', 'name', 'created_at'],
+  // The account holder
+  self: [
+    'id',
+    'name',
+    'email',
+    'role',
+    'email_verified_at',
+    'two_factor_enabled',
+    'created_at',
+    'updated_at',
+  ],
+  // Holders of users:read:all, who also need the sign-in lockout state
+  full: [
+    'id',
+    'name',
+    'email',
+    'role',
+    'email_verified_at',
+    'two_factor_enabled',
+    'failed_login_attempts',
+    'locked_until',
+    'deleted_at',
+    'anonymized_at',
+    'created_at',
+    'updated_at',
+  ],
+};
+
+// Drizzle select/returning shape covering every view, so services load a
+// user once and controllers pick the view
+export const userColumns = Object.fromEntries(
+  USER_VIEWS.full.map(field => [field, users[field]])
+);
+
+export const userViewFor = (viewer, userId) => {
+  if (hasPermission(viewer.role, PERMISSIONS.USERS.READ_ALL)) return 'full';
+  if (viewer.id === userId) return 'self';
+  return 'public';
+};
+
+export const serializeUser = (user, view = 'public') =>
+  Object.fromEntries(
+    USER_VIEWS[view]
+      .filter(field => field in user)
+      .map(field => [field, user[field]])
+  );
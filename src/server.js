@@ -1,7 +1,20 @@
 import app from './app.js';
+import logger from './config/logger.js';
+import { config, summarizeConfig } from './config/env.js';
+import { closeDatabase } from './config/database.js';
+import { createGracefulShutdown } from './utils/shutdown.js';
 
-const PORT = process.env.PORT || 5000;
+logger.info('Configuration loaded', { config: summarizeConfig(config) });
 
-app.listen(PORT, () => {
-  console.log(`Listening on http://localhost:${PORT}`);
+const server = app.listen(config.port, () => {
+  console.log(`Listening on http://localhost:${config.port}`);
 });
+
+const shutdown = createGracefulShutdown(server, {
+  timeoutMs: config.shutdownTimeoutMs,
+  graceMs: config.shutdownGraceMs,
+  closeDatabase,
+});
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
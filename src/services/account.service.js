@@ -0,0 +1,251 @@
+import crypto from 'crypto';
+import { and, eq, gt, isNull } from 'drizzle-orm';
+import logger from '../config/logger.js';
+import { db, withTransaction } from '../config/database.js';
+import { users } from '../models/user.model.js';
+import { userTokens } from '../models/userToken.model.js';
+import { hashToken } from '../utils/jwt.js';
+import { hashPassword } from './auth.service.js';
+import { revokeUserSessions } from './session.service.js';
+import {
+  assertPasswordAllowed,
+  findPasswordOwner,
+  storePassword,
+} from './password.service.js';
+import { recordAuditEvent } from './audit.service.js';
+import {
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+} from './mail.service.js';
+import {
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+} from '../utils/errors.js';
+
+export const TOKEN_PURPOSES = {
+  PASSWORD_RESET: 'password_reset',
+  EMAIL_VERIFICATION: 'email_verification',
+};
+
+const TOKEN_TTL_MS = {
+  [TOKEN_PURPOSES.PASSWORD_RESET]: 60 * 60 * 1000,
+  [TOKEN_PURPOSES.EMAIL_VERIFICATION]: 24 * 60 * 60 * 1000,
+};
+
+const issueUserToken = async (userId, purpose) => {
+  // Only the most recently issued token for a purpose stays usable
+  await db
+    .update(userTokens)
+    .set({ used_at: new Date() })
+    .where(
+      and(
+        eq(userTokens.user_id, userId),
+        eq(userTokens.purpose, purpose),
+        isNull(userTokens.used_at)
+      )
+    );
+
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  await db.insert(userTokens).values({
+    user_id: userId,
+    purpose,
+    token_hash: hashToken(token),
+    expires_at: new Date(Date.now() + TOKEN_TTL_MS[purpose]),
+  });
+
+  return token;
+};
+
+const usableToken = (token, purpose) =>
+  and(
+    eq(userTokens.token_hash, hashToken(token)),
+    eq(userTokens.purpose, purpose),
+    isNull(userTokens.used_at),
+    gt(userTokens.expires_at, new Date())
+  );
+
+// Looks a token up without using it, e.g. to check the request it comes
+// with before committing to it
+const findUserToken = async (token, purpose) => {
+  const [userToken] = await db
+    .select({ user_id: userTokens.user_id })
+    .from(userTokens)
+    .where(usableToken(token, purpose))
+    .limit(1);
+
+  if (!userToken) {
+    throw new ValidationError('Invalid or expired token');
+  }
+
+  return userToken;
+};
+
+// Marks the token used in the same statement that checks it, so a token can
+// only ever be redeemed once
+const consumeUserToken = async (token, purpose) => {
+  const [userToken] = await db
+    .update(userTokens)
+    .set({ used_at: new Date() })
+    .where(usableToken(token, purpose))
+    .returning({ user_id: userTokens.user_id });
+
+  if (!userToken) {
+    throw new ValidationError('Invalid or expired token');
+  }
+
+  return userToken;
+};
+
+const findUser = async condition => {
+  const [user] = await db
+    .select({
+      id: users.id,
+      name: users.name,
+      email: users.email,
+      email_verified_at: users.email_verified_at,
+    })
+    .from(users)
+    .where(and(condition, isNull(users.deleted_at)))
+    .limit(1);
+
+  return user;
+};
+
+export const sendVerification = async user => {
+  try {
+    const token = await issueUserToken(
+      user.id,
+      TOKEN_PURPOSES.EMAIL_VERIFICATION
+    );
+    await sendVerificationEmail(user, token);
+  } catch (e) {
+    logger.error(`Error sending verification to user ${user.id}: ${e}`);
+    throw e;
+  }
+};
+
+export const resendVerification = async userId => {
+  try {
+    const user = await findUser(eq(users.id, userId));
+
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    if (user.email_verified_at) {
+      throw new ConflictError('Email is already verified');
+    }
+
+    await sendVerification(user);
+  } catch (e) {
+    logger.error(`Error resending verification for user ${userId}: ${e}`);
+    throw e;
+  }
+};
+
+export const verifyEmail = async (token, context = {}) => {
+  try {
+    const userId = await withTransaction(async () => {
+      const { user_id } = await consumeUserToken(
+        token,
+        TOKEN_PURPOSES.EMAIL_VERIFICATION
+      );
+
+      await db
+        .update(users)
+        .set({ email_verified_at: new Date(), updated_at: new Date() })
+        .where(eq(users.id, user_id));
+
+      await recordAuditEvent({
+        action: 'auth.email_verified',
+        resourceType: 'user',
+        resourceId: user_id,
+        context: { ...context, actorId: context.actorId ?? user_id },
+      });
+
+      return user_id;
+    });
+
+    logger.info(`Email verified for user ${userId}`);
+  } catch (e) {
+    logger.error(`Error verifying email: ${e}`);
+    throw e;
+  }
+};
+
+export const requestPasswordReset = async (email, context = {}) => {
+  try {
+    const user = await findUser(eq(users.email, email));
+
+    if (!user) {
+      logger.info('Password reset requested for unknown email');
+      return;
+    }
+
+    // Only mailed once the token and its audit event are both stored
+    const token = await withTransaction(async () => {
+      const issued = await issueUserToken(
+        user.id,
+        TOKEN_PURPOSES.PASSWORD_RESET
+      );
+
+      await recordAuditEvent({
+        action: 'auth.password_reset_requested',
+        resourceType: 'user',
+        resourceId: user.id,
+        context,
+      });
+
+      return issued;
+    });
+
+    await sendPasswordResetEmail(user, token);
+  } catch (e) {
+    logger.error(`Error requesting password reset: ${e}`);
+    throw e;
+  }
+};
+
+// The new password is checked before the token is spent, so a rejected
+// password can be corrected with the same link
+export const resetPassword = async (token, password, context = {}) => {
+  try {
+    const { user_id } = await findUserToken(
+      token,
+      TOKEN_PURPOSES.PASSWORD_RESET
+    );
+    const user = await findPasswordOwner(user_id);
+
+    await assertPasswordAllowed(user, password);
+
+    const password_hash = await hashPassword(password);
+
+    await withTransaction(async () => {
+      // Still the real guard: another request may have used it meanwhile
+      await consumeUserToken(token, TOKEN_PURPOSES.PASSWORD_RESET);
+      await storePassword(user, password_hash);
+
+      // Whoever held the old password may still have live sessions
+      const userContext = { ...context, actorId: context.actorId ?? user.id };
+      await recordAuditEvent({
+        action: 'auth.password_reset',
+        resourceType: 'user',
+        resourceId: user.id,
+        context: userContext,
+      });
+      await revokeUserSessions(user.id, 'password_reset', userContext);
+    });
+
+    logger.info(`Password reset for user ${user.id}`);
+  } catch (e) {
+    logger.error(`Error resetting password: ${e}`);
+    throw e;
+  }
+};
+
+export const isEmailVerified = async userId => {
+  const user = await findUser(eq(users.id, userId));
+  return Boolean(user?.email_verified_at);
+};
@@ -0,0 +1,130 @@
+import { and, count, desc, eq, gte, lte } from 'drizzle-orm';
+import logger from '../config/logger.js';
+import { db } from '../config/database.js';
+import { auditEvents } from '../models/auditEvent.model.js';
+
+// Never copied into an audit record, only noted as changed. Besides secrets
+// this covers personal data: audit_events is append-only, so whatever
+// identifies someone here would outlive the anonymization of their account.
+// Events point at people through ids instead.
+const REDACTED_FIELDS = [
+  'password',
+  'two_factor_secret',
+  'token_hash',
+  'refresh_token_hash',
+  'name',
+  'email',
+];
+
+const redactMetadata = metadata =>
+  metadata &&
+  Object.fromEntries(
+    Object.entries(metadata).map(([key, value]) => [
+      key,
+      REDACTED_FIELDS.includes(key) ? '[REDACTED]' : value,
+    ])
+  );
+
+const normalize = value =>
+  value instanceof Date ? value.toISOString() : value;
+
+// Field-level before/after for the fields that differ between two snapshots
+export const diffChanges = (before, after) => {
+  const fields = new Set([
+    ...Object.keys(before || {}),
+    ...Object.keys(after || {}),
+  ]);
+  const changes = {};
+
+  for (const field of fields) {
+    const from = normalize(before?.[field] ?? null);
+    const to = normalize(after?.[field] ?? null);
+
+    if (JSON.stringify(from) === JSON.stringify(to)) continue;
+
+    changes[field] = REDACTED_FIELDS.includes(field)
+      ? { before: '[REDACTED]', after: '[REDACTED]' }
+      : { before: from, after: to };
+  }
+
+  return changes;
+};
+
+// Fails closed: when the event cannot be written the error propagates, and a
+// change recorded inside the same withTransaction rolls back with it, so no
+// mutation is left without its record. Callers that change data therefore
+// write the event in the transaction that makes the change. Session
+// revocations and lockouts are the exception: undoing them would reopen
+// access, so they stand on their own and only the request fails.
+export const recordAuditEvent = async ({
+  action,
+  resourceType,
+  resourceId,
+  before,
+  after,
+  metadata,
+  context = {},
+}) => {
+  try {
+    await db.insert(auditEvents).values({
+      actor_id: context.actorId ?? null,
+      actor_role: context.actorRole ?? null,
+      action,
+      resource_type: resourceType,
+      resource_id: resourceId == null ? null : String(resourceId),
+      changes: before || after ? diffChanges(before, after) : null,
+      metadata: redactMetadata(metadata) ?? null,
+      ip_address: context.ip ?? null,
+      request_id: context.requestId ?? null,
+    });
+  } catch (e) {
+    logger.error(`Failed to record audit event ${action}: ${e}`, {
+      action,
+      resourceType,
+      resourceId,
+      actorId: context.actorId,
+    });
+    throw e;
+  }
+};
+
+export const getAuditEvents = async ({
+  actorId,
+  action,
+  resourceType,
+  resourceId,
+  from,
+  to,
+  limit,
+  offset,
+}) => {
+  try {
+    const conditions = [
+      actorId !== undefined && eq(auditEvents.actor_id, actorId),
+      action && eq(auditEvents.action, action),
+      resourceType && eq(auditEvents.resource_type, resourceType),
+      resourceId && eq(auditEvents.resource_id, resourceId),
+      from && gte(auditEvents.created_at, from),
+      to && lte(auditEvents.created_at, to),
+    ].filter(Boolean);
+    const where = conditions.length ? and(...conditions) : undefined;
+
+    const events = await db
+      .select()
+      .from(auditEvents)
+      .where(where)
+      .orderBy(desc(auditEvents.created_at), desc(auditEvents.id))
+      .limit(limit)
+      .offset(offset);
+
+    const [{ total }] = await db
+      .select({ total: count() })
+      .from(auditEvents)
+      .where(where);
+
+    return { events, total };
+  } catch (e) {
+    logger.error('Error getting audit events', e);
+    throw e;
+  }
+};
@@ -1,12 +1,44 @@
 import logger from '../config/logger.js';
-import bcrypt from 'bcrypt';
 import { users } from '../models/user.model.js';
-import { db } from '../config/database.js';
-import { eq } from 'drizzle-orm';
+import { db, withTransaction } from '../config/database.js';
+import { and, eq, isNull } from 'drizzle-orm';
+import {
+  claimInvite,
+  completeInvite,
+  releaseInvite,
+} from './invites.services.js';
+import {
+  assertNotLockedOut,
+  recordFailedLogin,
+  resetFailedLogins,
+} from './lockout.service.js';
+import { recordAuditEvent } from './audit.service.js';
+import { authEventsTotal } from '../config/metrics.js';
+import { assertPasswordPolicy } from '../utils/passwordPolicy.js';
+import {
+  createPasswordHash,
+  needsRehash,
+  verifyPasswordHash,
+} from '../utils/passwordHashing.js';
+import {
+  ConflictError,
+  UnauthorizedError,
+  isUniqueViolation,
+} from '../utils/errors.js';
+
+// Compared against when the email is unknown, so a missing account costs the
+// same hashing work as a wrong password and response times do not reveal it.
+// Made on first use with the configured scheme and costs.
+let dummyPasswordHash = null;
+
+const getDummyPasswordHash = () => {
+  dummyPasswordHash ??= createPasswordHash('timing-equalization-only');
+  return dummyPasswordHash;
+};
 
 export const hashPassword = async password => {
   try {
-    return await bcrypt.hash(password, 10);
+    return await createPasswordHash(password);
   } catch (e) {
     logger.error(`Error hashing the password: ${e}`);
     throw new Error('Error hashing the password');
@@ -15,61 +47,180 @@ export const hashPassword = async password => {
 
 export const comparePassword = async (password, hashedPassword) => {
   try {
-    return await bcrypt.compare(password, hashedPassword);
+    return await verifyPasswordHash(password, hashedPassword);
   } catch (e) {
     logger.error(`Error comparing password: ${e}`);
     throw new Error('Error comparing password');
   }
 };
 
-export const createUser = async ({ name, email, password, role = 'user' }) => {
+// Replaces a hash made with an older scheme or lower costs now that the
+// password is known. Only swaps the exact hash that was verified, so a
+// password changed in the meantime is left alone. Failing here must not
+// fail the sign-in; the next one tries again.
+const upgradePasswordHash = async (user, password) => {
   try {
-    const existingUser = await db
-      .select()
-      .from(users)
-      .where(eq(users.email, email))
-      .limit(1);
+    const password_hash = await hashPassword(password);
 
-    if (existingUser.length > 0)
-      throw new Error('User with this email already exists');
+    const [upgraded] = await db
+      .update(users)
+      .set({ password: password_hash })
+      .where(and(eq(users.id, user.id), eq(users.password, user.password)))
+      .returning({ id: users.id });
 
+    if (upgraded) {
+      authEventsTotal.inc({ event: 'password_rehashed' });
+      logger.info(`Upgraded the password hash of user ${user.id}`);
+    }
+  } catch (e) {
+    logger.error(`Error upgrading the password hash of user ${user.id}: ${e}`);
+  }
+};
+
+export const createUser = async (
+  { name, email, password, role = 'user' },
+  context = {}
+) => {
+  try {
     const password_hash = await hashPassword(password);
 
-    const [newUser] = await db
-      .insert(users)
-      .values({ name, email, password: password_hash, role })
-      .returning({
-        id: users.id,
-        name: users.name,
-        email: users.email,
-        role: users.role,
-        created_at: users.created_at,
+    // No lookup first: the unique constraint is the only check that holds
+    // when two sign-ups for the same address arrive together
+    const newUser = await withTransaction(async () => {
+      const [createdUser] = await db
+        .insert(users)
+        .values({ name, email, password: password_hash, role })
+        .returning({
+          id: users.id,
+          name: users.name,
+          email: users.email,
+          role: users.role,
+          created_at: users.created_at,
+        });
+
+      await recordAuditEvent({
+        action: 'user.created',
+        resourceType: 'user',
+        resourceId: createdUser.id,
+        after: createdUser,
+        // Self-service sign-ups are their own actor
+        context: { ...context, actorId: context.actorId ?? createdUser.id },
       });
 
+      return createdUser;
+    });
+
     logger.info(`User ${newUser.email} created successfully`);
     return newUser;
   } catch (e) {
     logger.error(`Error creating the user: ${e}`);
+
+    if (isUniqueViolation(e, 'users_email_unique')) {
+      throw new ConflictError('User with this email already exists');
+    }
+
     throw e;
   }
 };
 
-export const authenticateUser = async ({ email, password }) => {
+// Self-service sign-up always gets the default role; any other role has to
+// come from an invite issued by an administrator. The password policy is
+// checked before an invite is claimed.
+export const registerUser = async (
+  { name, email, password, inviteToken },
+  context = {}
+) => {
+  assertPasswordPolicy(password, { name, email });
+
+  if (!inviteToken) {
+    return createUser({ name, email, password, role: 'user' }, context);
+  }
+
+  const invite = await claimInvite(inviteToken, email);
+
+  try {
+    return await withTransaction(async () => {
+      const newUser = await createUser(
+        { name, email, password, role: invite.role },
+        context
+      );
+
+      await completeInvite(invite.id, newUser.id);
+      return newUser;
+    });
+  } catch (e) {
+    // The claim is committed on its own so it can fence off other sign-ups
+    await releaseInvite(invite.id);
+    throw e;
+  }
+};
+
+// Called once every factor has passed. Until then failures keep counting
+// toward the lockout and no successful sign-in is recorded.
+export const completeSignIn = async (user, context = {}) => {
+  await withTransaction(async () => {
+    await resetFailedLogins(user);
+
+    await recordAuditEvent({
+      action: 'auth.signin',
+      resourceType: 'user',
+      resourceId: user.id,
+      context,
+    });
+  });
+
+  authEventsTotal.inc({ event: 'signin_success' });
+};
+
+export const authenticateUser = async ({ email, password }, context = {}) => {
   try {
     const [user] = await db
       .select()
       .from(users)
-      .where(eq(users.email, email))
+      .where(and(eq(users.email, email), isNull(users.deleted_at)))
       .limit(1);
 
+    const isPasswordValid = await comparePassword(
+      password,
+      user?.password ?? (await getDummyPasswordHash())
+    );
+
     if (!user) {
-      throw new Error('Invalid email or password');
+      authEventsTotal.inc({ event: 'signin_failure' });
+      await recordAuditEvent({
+        action: 'auth.signin_failed',
+        resourceType: 'user',
+        metadata: { reason: 'unknown_email' },
+        context,
+      });
+      throw new UnauthorizedError('Invalid email or password');
     }
 
-    const isPasswordValid = await comparePassword(password, user.password);
+    const userContext = { ...context, actorId: user.id, actorRole: user.role };
+
+    await assertNotLockedOut(user, userContext);
 
     if (!isPasswordValid) {
-      throw new Error('Invalid email or password');
+      authEventsTotal.inc({ event: 'signin_failure' });
+      await recordAuditEvent({
+        action: 'auth.signin_failed',
+        resourceType: 'user',
+        resourceId: user.id,
+        metadata: { reason: 'invalid_password' },
+        context: userContext,
+      });
+      await recordFailedLogin(user, userContext);
+      throw new UnauthorizedError('Invalid email or password');
+    }
+
+    if (needsRehash(user.password)) {
+      await upgradePasswordHash(user, password);
+    }
+
+    // With two-factor enabled the password is only the first step; the
+    // sign-in completes once the second factor passes as well
+    if (!user.two_factor_enabled) {
+      await completeSignIn(user, userContext);
     }
 
     logger.info(`User ${user.email} authenticated successfully`);
@@ -78,6 +229,7 @@ export const authenticateUser = async ({ email, password }) => {
       name: user.name,
       email: user.email,
       role: user.role,
+      two_factor_enabled: user.two_factor_enabled,
       created_at: user.created_at,
     };
   } catch (e) {
@@ -0,0 +1,118 @@
+import logger from '../config/logger.js';
+import { companies } from '../models/company.model.js';
+import { deals } from '../models/deal.model.js';
+import { eq, or } from 'drizzle-orm';
+import { db } from '../config/database.js';
+import {
+  ConflictError,
+  NotFoundError,
+  isUniqueViolation,
+} from '../utils/errors.js';
+
+const DUPLICATE_REGISTRATION =
+  'Company with this registration number already exists';
+
+export const getAllCompanies = async () => {
+  try {
+    return await db.select().from(companies);
+  } catch (e) {
+    logger.error('Error getting companies', e);
+    throw e;
+  }
+};
+
+export const getCompanyById = async id => {
+  try {
+    const [company] = await db
+      .select()
+      .from(companies)
+      .where(eq(companies.id, id))
+      .limit(1);
+
+    if (!company) {
+      throw new NotFoundError('Company not found');
+    }
+
+    return company;
+  } catch (e) {
+    logger.error(`Error getting company by id ${id}:`, e);
+    throw e;
+  }
+};
+
+// A taken registration number is caught by its unique constraint, which
+// unlike a lookup beforehand also holds for concurrent writes
+export const createCompany = async data => {
+  try {
+    const [newCompany] = await db.insert(companies).values(data).returning();
+
+    logger.info(`Company ${newCompany.legal_name} created successfully`);
+    return newCompany;
+  } catch (e) {
+    logger.error(`Error creating company: ${e}`);
+
+    if (isUniqueViolation(e, 'companies_registration_unique')) {
+      throw new ConflictError(DUPLICATE_REGISTRATION);
+    }
+
+    throw e;
+  }
+};
+
+export const updateCompany = async (id, updates) => {
+  try {
+    // First check if company exists
+    await getCompanyById(id);
+
+    const [updatedCompany] = await db
+      .update(companies)
+      .set({ ...updates, updated_at: new Date() })
+      .where(eq(companies.id, id))
+      .returning();
+
+    logger.info(`Company ${updatedCompany.legal_name} updated successfully`);
+    return updatedCompany;
+  } catch (e) {
+    logger.error(`Error updating company ${id}:`, e);
+
+    if (isUniqueViolation(e, 'companies_registration_unique')) {
+      throw new ConflictError(DUPLICATE_REGISTRATION);
+    }
+
+    throw e;
+  }
+};
+
+export const deleteCompany = async id => {
+  try {
+    // First check if company exists
+    await getCompanyById(id);
+
+    // Deals keep a hard reference to both parties, deleted deals included
+    const [referencingDeal] = await db
+      .select({ id: deals.id })
+      .from(deals)
+      .where(or(eq(deals.acquirer_id, id), eq(deals.target_id, id)))
+      .limit(1);
+
+    if (referencingDeal) {
+      throw new ConflictError('Company is referenced by existing deals');
+    }
+
+    const [deletedCompany] = await db
+      .delete(companies)
+      .where(eq(companies.id, id))
+      .returning({
+        id: companies.id,
+        legal_name: companies.legal_name,
+        registration_number: companies.registration_number,
+        jurisdiction: companies.jurisdiction,
+      });
+
+    logger.info(`Company ${deletedCompany.legal_name} deleted successfully`);
+    return deletedCompany;
+  } catch (e) {
+    logger.error(`Error deleting company ${id}:`, e);
+    throw e;
+  }
+};
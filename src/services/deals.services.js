@@ -0,0 +1,203 @@
+import logger from '../config/logger.js';
+import { deals, dealStageTransitions } from '../models/deal.model.js';
+import { companies } from '../models/company.model.js';
+import { and, asc, eq, isNull } from 'drizzle-orm';
+import { db, withTransaction } from '../config/database.js';
+import { canTransition, INITIAL_DEAL_STAGE } from '../utils/dealStages.js';
+import {
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+} from '../utils/errors.js';
+
+const assertCompanyExists = async (id, label) => {
+  const [company] = await db
+    .select({ id: companies.id })
+    .from(companies)
+    .where(eq(companies.id, id))
+    .limit(1);
+
+  if (!company) {
+    throw new NotFoundError(`${label} company not found`);
+  }
+};
+
+export const getAllDeals = async () => {
+  try {
+    return await db.select().from(deals).where(isNull(deals.deleted_at));
+  } catch (e) {
+    logger.error('Error getting deals', e);
+    throw e;
+  }
+};
+
+export const getDealById = async id => {
+  try {
+    const [deal] = await db
+      .select()
+      .from(deals)
+      .where(and(eq(deals.id, id), isNull(deals.deleted_at)))
+      .limit(1);
+
+    if (!deal) {
+      throw new NotFoundError('Deal not found');
+    }
+
+    return deal;
+  } catch (e) {
+    logger.error(`Error getting deal by id ${id}:`, e);
+    throw e;
+  }
+};
+
+export const getDealTransitions = async id => {
+  try {
+    await getDealById(id);
+
+    return await db
+      .select()
+      .from(dealStageTransitions)
+      .where(eq(dealStageTransitions.deal_id, id))
+      .orderBy(
+        asc(dealStageTransitions.created_at),
+        asc(dealStageTransitions.id)
+      );
+  } catch (e) {
+    logger.error(`Error getting transitions for deal ${id}:`, e);
+    throw e;
+  }
+};
+
+export const createDeal = async (data, userId) => {
+  try {
+    await assertCompanyExists(data.acquirer_id, 'Acquirer');
+    await assertCompanyExists(data.target_id, 'Target');
+
+    const newDeal = await withTransaction(async () => {
+      const [deal] = await db
+        .insert(deals)
+        .values({ ...data, stage: INITIAL_DEAL_STAGE, created_by: userId })
+        .returning();
+
+      await db.insert(dealStageTransitions).values({
+        deal_id: deal.id,
+        from_stage: null,
+        to_stage: INITIAL_DEAL_STAGE,
+        moved_by: userId,
+      });
+
+      return deal;
+    });
+
+    logger.info(`Deal ${newDeal.name} created successfully`);
+    return newDeal;
+  } catch (e) {
+    logger.error(`Error creating deal: ${e}`);
+    throw e;
+  }
+};
+
+export const updateDeal = async (id, updates) => {
+  try {
+    // First check if deal exists
+    const existingDeal = await getDealById(id);
+
+    if (updates.acquirer_id) {
+      await assertCompanyExists(updates.acquirer_id, 'Acquirer');
+    }
+
+    if (updates.target_id) {
+      await assertCompanyExists(updates.target_id, 'Target');
+    }
+
+    const acquirerId = updates.acquirer_id ?? existingDeal.acquirer_id;
+    const targetId = updates.target_id ?? existingDeal.target_id;
+
+    if (acquirerId === targetId) {
+      throw new ValidationError(
+        'Acquirer and target must be different companies'
+      );
+    }
+
+    const [updatedDeal] = await db
+      .update(deals)
+      .set({ ...updates, updated_at: new Date() })
+      .where(eq(deals.id, id))
+      .returning();
+
+    logger.info(`Deal ${updatedDeal.name} updated successfully`);
+    return updatedDeal;
+  } catch (e) {
+    logger.error(`Error updating deal ${id}:`, e);
+    throw e;
+  }
+};
+
+export const transitionDealStage = async (id, { stage, note }, userId) => {
+  try {
+    const deal = await getDealById(id);
+
+    if (!canTransition(deal.stage, stage)) {
+      throw new ConflictError(
+        `Invalid stage transition from ${deal.stage} to ${stage}`
+      );
+    }
+
+    // Guard on the stage we validated against so two concurrent moves from
+    // the same stage cannot both be applied
+    const updatedDeal = await withTransaction(async () => {
+      const [row] = await db
+        .update(deals)
+        .set({ stage, updated_at: new Date() })
+        .where(
+          and(
+            eq(deals.id, id),
+            eq(deals.stage, deal.stage),
+            isNull(deals.deleted_at)
+          )
+        )
+        .returning();
+
+      if (!row) {
+        throw new ConflictError('Deal stage was changed by another request');
+      }
+
+      await db.insert(dealStageTransitions).values({
+        deal_id: id,
+        from_stage: deal.stage,
+        to_stage: stage,
+        moved_by: userId,
+        note,
+      });
+
+      return row;
+    });
+
+    logger.info(`Deal ${id} moved from ${deal.stage} to ${stage}`);
+    return updatedDeal;
+  } catch (e) {
+    logger.error(`Error transitioning deal ${id}:`, e);
+    throw e;
+  }
+};
+
+// Deals are soft deleted so their stage history is kept
+export const deleteDeal = async id => {
+  try {
+    const [deletedDeal] = await db
+      .update(deals)
+      .set({ deleted_at: new Date(), updated_at: new Date() })
+      .where(and(eq(deals.id, id), isNull(deals.deleted_at)))
+      .returning({ id: deals.id, name: deals.name, stage: deals.stage });
+
+    if (!deletedDeal) {
+      throw new NotFoundError('Deal not found');
+    }
+
+    logger.info(`Deal ${deletedDeal.name} deleted successfully`);
+    return deletedDeal;
+  } catch (e) {
+    logger.error(`Error deleting deal ${id}:`, e);
+    throw e;
+  }
+};
@@ -0,0 +1,119 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { performance } from 'perf_hooks';
+import logger from '../config/logger.js';
+import { config } from '../config/env.js';
+import { sql } from 'drizzle-orm';
+import { db } from '../config/database.js';
+
+const CHECK_TIMEOUT_MS = config.health.checkTimeoutMs;
+const MIGRATIONS_JOURNAL = path.resolve('drizzle/meta/_journal.json');
+
+const withTimeout = (promise, ms) => {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// Set once the process starts shutting down so readiness fails and load
+// balancers stop routing new requests here while in-flight ones drain
+let shuttingDown = false;
+
+export const markShuttingDown = () => {
+  shuttingDown = true;
+};
+
+export const isShuttingDown = () => shuttingDown;
+
+// Migrations are applied in journal order, so anything newer than the last
+// applied one is still pending (the same rule drizzle's migrator uses)
+export const findPendingMigrations = (journalEntries, lastAppliedAt) =>
+  journalEntries
+    .filter(entry => lastAppliedAt == null || entry.when > lastAppliedAt)
+    .map(entry => entry.tag);
+
+const checkDatabase = async () => {
+  await db.execute(sql`select 1`);
+};
+
+const checkMigrations = async () => {
+  const journal = JSON.parse(await fs.readFile(MIGRATIONS_JOURNAL, 'utf8'));
+  const {
+    rows: [lastApplied],
+  } = await db.execute(sql`
+    select created_at from drizzle.__drizzle_migrations
+    order by created_at desc limit 1
+  `);
+
+  const pending = findPendingMigrations(
+    journal.entries,
+    lastApplied ? Number(lastApplied.created_at) : null
+  );
+
+  if (pending.length > 0) {
+    throw new Error(`Pending migrations: ${pending.join(', ')}`);
+  }
+
+  return { applied: journal.entries.length };
+};
+
+// Arcjet fails open without a key, so a missing one would silently turn off
+// bot detection and rate limiting
+const checkArcjet = async () => {
+  if (!config.arcjet.key?.startsWith('ajkey_')) {
+    throw new Error('ARCJET_KEY is missing or malformed');
+  }
+};
+
+export const readinessChecks = [
+  { name: 'database', critical: true, run: checkDatabase },
+  { name: 'migrations', critical: true, run: checkMigrations },
+  { name: 'arcjet', critical: true, run: checkArcjet },
+];
+
+const overallStatus = results => {
+  const failed = results.filter(result => result.status === 'fail');
+
+  if (failed.some(result => result.critical)) return 'UNAVAILABLE';
+  return failed.length > 0 ? 'DEGRADED' : 'OK';
+};
+
+// Runs every check concurrently, each with its own time limit. Non-critical
+// failures only degrade the result; a critical one makes the instance unready.
+export const runChecks = async (checks, timeoutMs = CHECK_TIMEOUT_MS) => {
+  const results = await Promise.all(
+    checks.map(async ({ name, critical, run }) => {
+      const startedAt = performance.now();
+      const latencyMs = () => Math.round(performance.now() - startedAt);
+
+      try {
+        const details = await withTimeout(run(), timeoutMs);
+        return {
+          name,
+          status: 'pass',
+          critical,
+          latencyMs: latencyMs(),
+          ...details,
+        };
+      } catch (e) {
+        logger.warn(`Readiness check ${name} failed: ${e.message}`);
+        return {
+          name,
+          status: 'fail',
+          critical,
+          latencyMs: latencyMs(),
+          error: e.message,
+        };
+      }
+    })
+  );
+
+  return {
+    status: overallStatus(results),
+    checks: Object.fromEntries(
+      results.map(({ name, ...result }) => [name, result])
+    ),
+  };
+};
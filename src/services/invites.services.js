@@ -0,0 +1,189 @@
+import logger from '../config/logger.js';
+import { db, withTransaction } from '../config/database.js';
+import { invites } from '../models/invite.model.js';
+import { and, desc, eq, gt, isNull } from 'drizzle-orm';
+import { jwttoken, hashToken } from '../utils/jwt.js';
+import { roleExists } from './roles.services.js';
+import { recordAuditEvent } from './audit.service.js';
+import {
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+  ValidationError,
+} from '../utils/errors.js';
+
+const inviteStatus = invite => {
+  if (invite.revoked_at) return 'revoked';
+  if (invite.used_at) return 'used';
+  if (invite.expires_at < new Date()) return 'expired';
+  return 'pending';
+};
+
+const toInviteResponse = ({ token_hash: _tokenHash, ...invite }) => ({
+  ...invite,
+  status: inviteStatus(invite),
+});
+
+export const getAllInvites = async () => {
+  try {
+    const rows = await db
+      .select()
+      .from(invites)
+      .orderBy(desc(invites.created_at));
+
+    return rows.map(toInviteResponse);
+  } catch (e) {
+    logger.error('Error getting invites', e);
+    throw e;
+  }
+};
+
+export const createInvite = async (
+  { role, email, expiresInHours },
+  context = {}
+) => {
+  try {
+    if (!(await roleExists(role))) {
+      throw new ValidationError('Role does not exist');
+    }
+
+    const expiresInSeconds = expiresInHours * 60 * 60;
+    const token = jwttoken.signInvite({ role, email }, expiresInSeconds);
+
+    const invite = await withTransaction(async () => {
+      const [row] = await db
+        .insert(invites)
+        .values({
+          token_hash: hashToken(token),
+          role,
+          email,
+          created_by: context.actorId,
+          expires_at: new Date(Date.now() + expiresInSeconds * 1000),
+        })
+        .returning();
+
+      // The invitee's address stays out of the append-only log
+      await recordAuditEvent({
+        action: 'invite.created',
+        resourceType: 'invite',
+        resourceId: row.id,
+        metadata: {
+          role,
+          emailBound: Boolean(email),
+          expiresAt: row.expires_at.toISOString(),
+        },
+        context,
+      });
+
+      return row;
+    });
+
+    logger.info(
+      `Invite ${invite.id} for role ${role} created by ${context.actorId}`
+    );
+    return { invite: toInviteResponse(invite), token };
+  } catch (e) {
+    logger.error(`Error creating invite: ${e}`);
+    throw e;
+  }
+};
+
+export const revokeInvite = async (id, context = {}) => {
+  try {
+    const [invite] = await db
+      .select()
+      .from(invites)
+      .where(eq(invites.id, id))
+      .limit(1);
+
+    if (!invite) {
+      throw new NotFoundError('Invite not found');
+    }
+
+    if (inviteStatus(invite) !== 'pending') {
+      throw new ConflictError('Invite is no longer pending');
+    }
+
+    const revokedInvite = await withTransaction(async () => {
+      const [row] = await db
+        .update(invites)
+        .set({ revoked_at: new Date() })
+        .where(eq(invites.id, id))
+        .returning();
+
+      await recordAuditEvent({
+        action: 'invite.revoked',
+        resourceType: 'invite',
+        resourceId: id,
+        metadata: { role: invite.role },
+        context,
+      });
+
+      return row;
+    });
+
+    logger.info(`Invite ${id} revoked`);
+    return toInviteResponse(revokedInvite);
+  } catch (e) {
+    logger.error(`Error revoking invite ${id}: ${e}`);
+    throw e;
+  }
+};
+
+// Atomically claims a pending invite for `email`. The claim happens before the
+// account is created so two sign-ups cannot share one invite; callers must
+// release it if account creation fails.
+export const claimInvite = async (token, email) => {
+  try {
+    const decoded = jwttoken.verifyInvite(token);
+
+    if (!decoded || (decoded.email && decoded.email !== email)) {
+      throw new ForbiddenError('Invalid or expired invite');
+    }
+
+    const [invite] = await db
+      .update(invites)
+      .set({ used_at: new Date() })
+      .where(
+        and(
+          eq(invites.token_hash, hashToken(token)),
+          isNull(invites.used_at),
+          isNull(invites.revoked_at),
+          gt(invites.expires_at, new Date())
+        )
+      )
+      .returning();
+
+    if (!invite) {
+      throw new ForbiddenError('Invalid or expired invite');
+    }
+
+    return invite;
+  } catch (e) {
+    logger.error(`Error claiming invite: ${e}`);
+    throw e;
+  }
+};
+
+export const releaseInvite = async id => {
+  try {
+    await db
+      .update(invites)
+      .set({ used_at: null })
+      .where(and(eq(invites.id, id), isNull(invites.used_by)));
+  } catch (e) {
+    logger.error(`Error releasing invite ${id}: ${e}`);
+    throw e;
+  }
+};
+
+export const completeInvite = async (id, userId) => {
+  try {
+    await db.update(invites).set({ used_by: userId }).where(eq(invites.id, id));
+
+    logger.info(`Invite ${id} redeemed by user ${userId}`);
+  } catch (e) {
+    logger.error(`Error completing invite ${id}: ${e}`);
+    throw e;
+  }
+};
@@ -0,0 +1,147 @@
+import { eq, sql } from 'drizzle-orm';
+import logger from '../config/logger.js';
+import { config } from '../config/env.js';
+import { db, withTransaction } from '../config/database.js';
+import { users } from '../models/user.model.js';
+import { recordAuditEvent } from './audit.service.js';
+import { authEventsTotal } from '../config/metrics.js';
+import { NotFoundError, TooManyRequestsError } from '../utils/errors.js';
+
+const MAX_FAILED_ATTEMPTS = config.lockout.maxAttempts;
+const LOCKOUT_MS = config.lockout.lockoutMinutes * 60 * 1000;
+
+// Failures allowed before each further attempt has to wait; the wait then
+// doubles with every failure (1s, 2s, 4s, ...) until the account locks
+const FREE_ATTEMPTS = 2;
+
+export const backoffSeconds = failedAttempts =>
+  failedAttempts > FREE_ATTEMPTS
+    ? 2 ** (failedAttempts - FREE_ATTEMPTS - 1)
+    : 0;
+
+// Seconds the account must wait before the next sign-in attempt is checked
+export const getRetryAfterSeconds = (user, now = new Date()) => {
+  if (user.locked_until && user.locked_until > now) {
+    return Math.ceil((user.locked_until - now) / 1000);
+  }
+
+  if (user.last_failed_login_at) {
+    const waitMs =
+      backoffSeconds(user.failed_login_attempts) * 1000 -
+      (now - user.last_failed_login_at);
+
+    if (waitMs > 0) return Math.ceil(waitMs / 1000);
+  }
+
+  return 0;
+};
+
+// Guards every check of a credential the account's owner alone should know.
+// Attempts during a backoff window or lockout are not checked or counted.
+export const assertNotLockedOut = async (user, context = {}) => {
+  const retryAfter = getRetryAfterSeconds(user);
+
+  if (retryAfter === 0) return;
+
+  authEventsTotal.inc({ event: 'signin_blocked' });
+  await recordAuditEvent({
+    action: 'auth.signin_blocked',
+    resourceType: 'user',
+    resourceId: user.id,
+    metadata: { retryAfter },
+    context,
+  });
+
+  throw new TooManyRequestsError('Too many failed sign-in attempts', {
+    retryAfter,
+  });
+};
+
+export const recordFailedLogin = async (user, context = {}) => {
+  try {
+    const [updated] = await db
+      .update(users)
+      .set({
+        failed_login_attempts: sql`${users.failed_login_attempts} + 1`,
+        last_failed_login_at: new Date(),
+      })
+      .where(eq(users.id, user.id))
+      .returning({ failed_login_attempts: users.failed_login_attempts });
+
+    if (updated.failed_login_attempts < MAX_FAILED_ATTEMPTS) {
+      return;
+    }
+
+    // Counting starts over once the lock expires
+    const lockedUntil = new Date(Date.now() + LOCKOUT_MS);
+    await db
+      .update(users)
+      .set({ locked_until: lockedUntil, failed_login_attempts: 0 })
+      .where(eq(users.id, user.id));
+
+    logger.warn(`Account ${user.id} locked after repeated failed sign-ins`);
+    authEventsTotal.inc({ event: 'account_locked' });
+    await recordAuditEvent({
+      action: 'account.locked',
+      resourceType: 'user',
+      resourceId: user.id,
+      metadata: {
+        failedAttempts: updated.failed_login_attempts,
+        lockedUntil: lockedUntil.toISOString(),
+      },
+      context,
+    });
+  } catch (e) {
+    logger.error(`Error recording failed sign-in for user ${user.id}: ${e}`);
+    throw e;
+  }
+};
+
+export const resetFailedLogins = async user => {
+  if (user.failed_login_attempts === 0 && !user.locked_until) return;
+
+  await db
+    .update(users)
+    .set({
+      failed_login_attempts: 0,
+      last_failed_login_at: null,
+      locked_until: null,
+    })
+    .where(eq(users.id, user.id));
+};
+
+export const unlockUser = async (id, context = {}) => {
+  try {
+    const unlocked = await withTransaction(async () => {
+      const [row] = await db
+        .update(users)
+        .set({
+          failed_login_attempts: 0,
+          last_failed_login_at: null,
+          locked_until: null,
+          updated_at: new Date(),
+        })
+        .where(eq(users.id, id))
+        .returning({ id: users.id, email: users.email });
+
+      if (!row) {
+        throw new NotFoundError('User not found');
+      }
+
+      await recordAuditEvent({
+        action: 'account.unlocked',
+        resourceType: 'user',
+        resourceId: id,
+        context,
+      });
+
+      return row;
+    });
+
+    logger.info(`Account ${unlocked.email} unlocked`);
+    return unlocked;
+  } catch (e) {
+    logger.error(`Error unlocking user ${id}: ${e}`);
+    throw e;
+  }
+};
@@ -0,0 +1,42 @@
+import logger from '../config/logger.js';
+import { config } from '../config/env.js';
+import mailer from '../config/mailer.js';
+
+const APP_URL = config.appUrl;
+
+const HTML_ENTITIES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  '\u0027': '&#39;',
+};
+
+const escapeHtml = value =>
+  String(value).replace(/[&<>"']/g, char => HTML_ENTITIES[char]);
+
+export const sendVerificationEmail = async (user, token) => {
+  const link = `${APP_URL}/verify-email?token=${encodeURIComponent(token)}`;
+
+  await mailer.send({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.name},\n\nPlease confirm your email address by opening the link below:\n\n${link}\n\nThis link expires in 24 hours.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>Please confirm your email address by opening the link below:</p><p><a href="${link}">Verify email</a></p><p>This link expires in 24 hours.</p>`,
+  });
+
+  logger.info(`Verification email sent to ${user.email}`);
+};
+
+export const sendPasswordResetEmail = async (user, token) => {
+  const link = `${APP_URL}/reset-password?token=${encodeURIComponent(token)}`;
+
+  await mailer.send({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.name},\n\nWe received a request to reset your password. Open the link below to choose a new one:\n\n${link}\n\nThis link expires in 1 hour. If you did not ask for this, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>We received a request to reset your password. Open the link below to choose a new one:</p><p><a href="${link}">Reset password</a></p><p>This link expires in 1 hour. If you did not ask for this, you can ignore this email.</p>`,
+  });
+
+  logger.info(`Password reset email sent to ${user.email}`);
+};
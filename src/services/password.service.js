@@ -0,0 +1,173 @@
+import { and, desc, eq, isNull, notInArray } from 'drizzle-orm';
+import logger from '../config/logger.js';
+import { config } from '../config/env.js';
+import { db, withTransaction } from '../config/database.js';
+import { users } from '../models/user.model.js';
+import { passwordHistory } from '../models/passwordHistory.model.js';
+import { comparePassword, hashPassword } from './auth.service.js';
+import { revokeUserSessions } from './session.service.js';
+import { assertNotLockedOut, recordFailedLogin } from './lockout.service.js';
+import { recordAuditEvent } from './audit.service.js';
+import {
+  checkPasswordPolicy,
+  passwordPolicyError,
+} from '../utils/passwordPolicy.js';
+import { NotFoundError, ValidationError } from '../utils/errors.js';
+
+// Recent passwords that cannot be reused, counting the current one; the
+// history table only has to keep the ones before it
+const HISTORY_COUNT = config.password.historyCount;
+
+export const findPasswordOwner = async userId => {
+  const [user] = await db
+    .select({
+      id: users.id,
+      name: users.name,
+      email: users.email,
+      password: users.password,
+      failed_login_attempts: users.failed_login_attempts,
+      last_failed_login_at: users.last_failed_login_at,
+      locked_until: users.locked_until,
+    })
+    .from(users)
+    .where(and(eq(users.id, userId), isNull(users.deleted_at)))
+    .limit(1);
+
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  return user;
+};
+
+const isRecentPassword = async (user, password) => {
+  if (HISTORY_COUNT === 0) return false;
+
+  const previous = await db
+    .select({ password_hash: passwordHistory.password_hash })
+    .from(passwordHistory)
+    .where(eq(passwordHistory.user_id, user.id))
+    .orderBy(desc(passwordHistory.id))
+    .limit(HISTORY_COUNT - 1);
+
+  const hashes = [user.password, ...previous.map(row => row.password_hash)];
+
+  for (const hash of hashes) {
+    if (await comparePassword(password, hash)) return true;
+  }
+
+  return false;
+};
+
+// Applies the policy and the reuse check together so every failed rule is
+// reported at once. `field` names the input the errors point at.
+export const assertPasswordAllowed = async (
+  user,
+  password,
+  field = 'password'
+) => {
+  const violations = checkPasswordPolicy(password, user);
+
+  if (await isRecentPassword(user, password)) {
+    violations.push({
+      code: 'recently_used',
+      message: `Must differ from your last ${HISTORY_COUNT} password(s)`,
+    });
+  }
+
+  if (violations.length > 0) {
+    throw passwordPolicyError(violations, field);
+  }
+};
+
+// Replaces the user's password hash and moves the old one into the history,
+// trimmed to what the reuse check still looks at
+export const storePassword = async (user, passwordHash) => {
+  await withTransaction(async () => {
+    await db
+      .update(users)
+      .set({ password: passwordHash, updated_at: new Date() })
+      .where(eq(users.id, user.id));
+
+    if (HISTORY_COUNT <= 1) {
+      await db
+        .delete(passwordHistory)
+        .where(eq(passwordHistory.user_id, user.id));
+      return;
+    }
+
+    await db
+      .insert(passwordHistory)
+      .values({ user_id: user.id, password_hash: user.password });
+
+    const kept = db
+      .select({ id: passwordHistory.id })
+      .from(passwordHistory)
+      .where(eq(passwordHistory.user_id, user.id))
+      .orderBy(desc(passwordHistory.id))
+      .limit(HISTORY_COUNT - 1);
+
+    await db
+      .delete(passwordHistory)
+      .where(
+        and(
+          eq(passwordHistory.user_id, user.id),
+          notInArray(passwordHistory.id, kept)
+        )
+      );
+  });
+};
+
+// Signs out every other session: whoever knew the old password may be
+// using one of them. The session making the change stays signed in. Wrong
+// current passwords count toward the lockout, as they do at sign-in, so a
+// stolen session cannot be used to guess it.
+export const changePassword = async (
+  userId,
+  { currentPassword, newPassword },
+  context = {}
+) => {
+  try {
+    const user = await findPasswordOwner(userId);
+
+    await assertNotLockedOut(user, context);
+
+    if (!(await comparePassword(currentPassword, user.password))) {
+      await recordFailedLogin(user, context);
+      throw new ValidationError('Current password is incorrect', {
+        code: 'INVALID_CURRENT_PASSWORD',
+        errors: [
+          {
+            field: 'currentPassword',
+            code: 'incorrect',
+            message: 'Current password is incorrect',
+          },
+        ],
+      });
+    }
+
+    await assertPasswordAllowed(user, newPassword, 'newPassword');
+
+    const password_hash = await hashPassword(newPassword);
+
+    await withTransaction(async () => {
+      await storePassword(user, password_hash);
+
+      await recordAuditEvent({
+        action: 'auth.password_changed',
+        resourceType: 'user',
+        resourceId: user.id,
+        context,
+      });
+
+      await revokeUserSessions(user.id, 'password_changed', context, {
+        except: context.sessionId,
+      });
+    });
+
+    logger.info(`Password changed for user ${user.id}`);
+  } catch (e) {
+    logger.error(`Error changing password for user ${userId}: ${e}`);
+    throw e;
+  }
+};
@@ -0,0 +1,233 @@
+import logger from '../config/logger.js';
+import { config } from '../config/env.js';
+import { db, withTransaction } from '../config/database.js';
+import { roles, rolePermissions } from '../models/role.model.js';
+import { users } from '../models/user.model.js';
+import { asc, eq } from 'drizzle-orm';
+import { recordAuditEvent } from './audit.service.js';
+import { ConflictError, NotFoundError } from '../utils/errors.js';
+
+// Role definitions are read on nearly every request, so they are cached in
+// memory and reloaded after edits or once the TTL passes (other instances
+// pick up changes within the TTL).
+const ROLE_CACHE_TTL_MS = config.roleCacheTtlMs;
+
+// Roles that must always exist: `user` is the default for new accounts
+const PROTECTED_ROLES = ['user'];
+
+let roleCache = null;
+let roleCacheLoadedAt = 0;
+
+const buildRoleMap = (roleRows, permissionRows) => {
+  const roleMap = {};
+
+  for (const role of roleRows) {
+    roleMap[role.name] = { description: role.description, permissions: [] };
+  }
+
+  for (const { role, permission } of permissionRows) {
+    roleMap[role]?.permissions.push(permission);
+  }
+
+  return roleMap;
+};
+
+export const loadRoleCache = async () => {
+  try {
+    const roleRows = await db.select().from(roles).orderBy(asc(roles.name));
+    const permissionRows = await db
+      .select({
+        role: rolePermissions.role,
+        permission: rolePermissions.permission,
+      })
+      .from(rolePermissions);
+
+    roleCache = buildRoleMap(roleRows, permissionRows);
+    roleCacheLoadedAt = Date.now();
+
+    logger.debug(`Loaded ${roleRows.length} role(s) into cache`);
+    return roleCache;
+  } catch (e) {
+    logger.error('Error loading roles', e);
+    throw e;
+  }
+};
+
+export const ensureRoleCache = async () => {
+  if (!roleCache || Date.now() - roleCacheLoadedAt > ROLE_CACHE_TTL_MS) {
+    await loadRoleCache();
+  }
+  return roleCache;
+};
+
+export const getCachedRoles = () => roleCache;
+
+export const invalidateRoleCache = () => {
+  roleCache = null;
+};
+
+export const getAllRoles = async () => {
+  try {
+    const roleMap = await loadRoleCache();
+
+    return Object.entries(roleMap).map(([name, role]) => ({ name, ...role }));
+  } catch (e) {
+    logger.error('Error getting roles', e);
+    throw e;
+  }
+};
+
+export const getRoleByName = async name => {
+  try {
+    const roleMap = await loadRoleCache();
+
+    if (!roleMap[name]) {
+      throw new NotFoundError('Role not found');
+    }
+
+    return { name, ...roleMap[name] };
+  } catch (e) {
+    logger.error(`Error getting role ${name}:`, e);
+    throw e;
+  }
+};
+
+export const roleExists = async name => {
+  const roleMap = await ensureRoleCache();
+  return Boolean(roleMap[name]);
+};
+
+// What the audit log records of a role; the name is the resource id
+const roleSnapshot = ({ description, permissions }) => ({
+  description: description ?? null,
+  permissions,
+});
+
+const replacePermissions = async (name, permissions) => {
+  await db.delete(rolePermissions).where(eq(rolePermissions.role, name));
+
+  if (permissions.length > 0) {
+    await db
+      .insert(rolePermissions)
+      .values(permissions.map(permission => ({ role: name, permission })));
+  }
+};
+
+export const createRole = async (
+  { name, description, permissions = [] },
+  context = {}
+) => {
+  try {
+    const [existingRole] = await db
+      .select({ name: roles.name })
+      .from(roles)
+      .where(eq(roles.name, name))
+      .limit(1);
+
+    if (existingRole) {
+      throw new ConflictError('Role already exists');
+    }
+
+    await withTransaction(async () => {
+      await db.insert(roles).values({ name, description });
+      await replacePermissions(name, permissions);
+
+      await recordAuditEvent({
+        action: 'role.created',
+        resourceType: 'role',
+        resourceId: name,
+        after: roleSnapshot({ description, permissions }),
+        context,
+      });
+    });
+
+    invalidateRoleCache();
+    logger.info(`Role ${name} created successfully`);
+    return await getRoleByName(name);
+  } catch (e) {
+    logger.error(`Error creating role ${name}: ${e}`);
+    throw e;
+  }
+};
+
+export const updateRole = async (
+  name,
+  { description, permissions },
+  context = {}
+) => {
+  try {
+    // First check if role exists
+    const existingRole = await getRoleByName(name);
+
+    await withTransaction(async () => {
+      if (description !== undefined) {
+        await db
+          .update(roles)
+          .set({ description, updated_at: new Date() })
+          .where(eq(roles.name, name));
+      }
+
+      if (permissions !== undefined) {
+        await replacePermissions(name, permissions);
+      }
+
+      await recordAuditEvent({
+        action: 'role.updated',
+        resourceType: 'role',
+        resourceId: name,
+        before: roleSnapshot(existingRole),
+        after: roleSnapshot({
+          description: description ?? existingRole.description,
+          permissions: permissions ?? existingRole.permissions,
+        }),
+        context,
+      });
+    });
+
+    invalidateRoleCache();
+    logger.info(`Role ${name} updated successfully`);
+    return await getRoleByName(name);
+  } catch (e) {
+    logger.error(`Error updating role ${name}: ${e}`);
+    throw e;
+  }
+};
+
+export const deleteRole = async (name, context = {}) => {
+  try {
+    const role = await getRoleByName(name);
+
+    if (PROTECTED_ROLES.includes(name)) {
+      throw new ConflictError('Role cannot be deleted');
+    }
+
+    const [assignedUser] = await db
+      .select({ id: users.id })
+      .from(users)
+      .where(eq(users.role, name))
+      .limit(1);
+
+    if (assignedUser) {
+      throw new ConflictError('Role is assigned to users');
+    }
+
+    await withTransaction(async () => {
+      await db.delete(roles).where(eq(roles.name, name));
+
+      await recordAuditEvent({
+        action: 'role.deleted',
+        resourceType: 'role',
+        resourceId: name,
+        before: roleSnapshot(role),
+        context,
+      });
+    });
+
+    invalidateRoleCache();
+    logger.info(`Role ${name} deleted successfully`);
+    return role;
+  } catch (e) {
+    logger.error(`Error deleting role ${name}: ${e}`);
+    throw e;
+  }
+};
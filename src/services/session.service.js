@@ -0,0 +1,208 @@
+import crypto from 'crypto';
+import { and, eq, isNull, ne } from 'drizzle-orm';
+import logger from '../config/logger.js';
+import { db } from '../config/database.js';
+import { sessions } from '../models/session.model.js';
+import { users } from '../models/user.model.js';
+import { jwttoken, hashToken, REFRESH_TOKEN_TTL_MS } from '../utils/jwt.js';
+import { recordAuditEvent } from './audit.service.js';
+import { UnauthorizedError } from '../utils/errors.js';
+
+const signTokens = (user, sessionId) => ({
+  accessToken: jwttoken.sign({
+    id: user.id,
+    name: user.name,
+    email: user.email,
+    role: user.role,
+    sid: sessionId,
+  }),
+  refreshToken: jwttoken.signRefresh({ sid: sessionId, sub: String(user.id) }),
+});
+
+export const createSession = async (user, { userAgent, ip } = {}) => {
+  try {
+    const sessionId = crypto.randomUUID();
+    const tokens = signTokens(user, sessionId);
+
+    await db.insert(sessions).values({
+      id: sessionId,
+      user_id: user.id,
+      refresh_token_hash: hashToken(tokens.refreshToken),
+      user_agent: userAgent?.slice(0, 512),
+      ip_address: ip,
+      expires_at: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+    });
+
+    logger.info(`Session ${sessionId} created for user ${user.id}`);
+    return { sessionId, ...tokens };
+  } catch (e) {
+    logger.error(`Error creating session: ${e}`);
+    throw e;
+  }
+};
+
+export const revokeSession = async (
+  sessionId,
+  reason = 'signout',
+  context = {}
+) => {
+  try {
+    const [revoked] = await db
+      .update(sessions)
+      .set({ revoked_at: new Date(), revoked_reason: reason })
+      .where(and(eq(sessions.id, sessionId), isNull(sessions.revoked_at)))
+      .returning({ id: sessions.id, user_id: sessions.user_id });
+
+    if (revoked) {
+      await recordAuditEvent({
+        action: 'session.revoked',
+        resourceType: 'session',
+        resourceId: sessionId,
+        metadata: { reason, userId: revoked.user_id },
+        context,
+      });
+      logger.info(`Session ${sessionId} revoked (${reason})`);
+    }
+    return revoked;
+  } catch (e) {
+    logger.error(`Error revoking session ${sessionId}: ${e}`);
+    throw e;
+  }
+};
+
+// `except` keeps one session (usually the caller's own) signed in
+export const revokeUserSessions = async (
+  userId,
+  reason = 'revoked',
+  context = {},
+  { except } = {}
+) => {
+  try {
+    const revoked = await db
+      .update(sessions)
+      .set({ revoked_at: new Date(), revoked_reason: reason })
+      .where(
+        and(
+          eq(sessions.user_id, userId),
+          isNull(sessions.revoked_at),
+          except ? ne(sessions.id, except) : undefined
+        )
+      )
+      .returning({ id: sessions.id });
+
+    if (revoked.length > 0) {
+      await recordAuditEvent({
+        action: 'session.revoked_all',
+        resourceType: 'user',
+        resourceId: userId,
+        metadata: { reason, count: revoked.length },
+        context,
+      });
+    }
+
+    logger.info(`Revoked ${revoked.length} session(s) for user ${userId}`);
+    return revoked.length;
+  } catch (e) {
+    logger.error(`Error revoking sessions for user ${userId}: ${e}`);
+    throw e;
+  }
+};
+
+export const rotateSession = async (refreshToken, context = {}) => {
+  const { userAgent, ip } = context;
+  try {
+    const decoded = jwttoken.verifyRefresh(refreshToken);
+
+    if (!decoded?.sid) {
+      throw new UnauthorizedError('Invalid refresh token');
+    }
+
+    const [session] = await db
+      .select()
+      .from(sessions)
+      .where(eq(sessions.id, decoded.sid))
+      .limit(1);
+
+    if (!session || session.revoked_at || session.expires_at < new Date()) {
+      throw new UnauthorizedError('Invalid refresh token');
+    }
+
+    const [user] = await db
+      .select({
+        id: users.id,
+        name: users.name,
+        email: users.email,
+        role: users.role,
+      })
+      .from(users)
+      .where(and(eq(users.id, session.user_id), isNull(users.deleted_at)))
+      .limit(1);
+
+    if (!user) {
+      await revokeSession(session.id, 'user_missing');
+      throw new UnauthorizedError('Invalid refresh token');
+    }
+
+    const tokens = signTokens(user, session.id);
+
+    // Compare-and-swap on the current hash: a signed token that is no longer
+    // the current one (or loses a concurrent race) has already been used.
+    const [rotated] = await db
+      .update(sessions)
+      .set({
+        refresh_token_hash: hashToken(tokens.refreshToken),
+        user_agent: userAgent?.slice(0, 512),
+        ip_address: ip,
+        last_used_at: new Date(),
+        expires_at: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+        updated_at: new Date(),
+      })
+      .where(
+        and(
+          eq(sessions.id, session.id),
+          eq(sessions.refresh_token_hash, hashToken(refreshToken)),
+          isNull(sessions.revoked_at)
+        )
+      )
+      .returning({ id: sessions.id });
+
+    if (!rotated) {
+      logger.warn('Refresh token reuse detected, revoking session family', {
+        sessionId: session.id,
+        userId: session.user_id,
+        ip,
+      });
+      await revokeSession(session.id, 'token_reuse', {
+        ...context,
+        actorId: session.user_id,
+      });
+      throw new UnauthorizedError('Refresh token reuse detected');
+    }
+
+    return { user, sessionId: session.id, ...tokens };
+  } catch (e) {
+    logger.error(`Error rotating session: ${e}`);
+    throw e;
+  }
+};
+
+// The user's current role comes along with the session check: a role change
+// has to apply to the tokens already issued, not only to the next one
+export const findActiveSession = async sessionId => {
+  const [session] = await db
+    .select({
+      revoked_at: sessions.revoked_at,
+      expires_at: sessions.expires_at,
+      role: users.role,
+    })
+    .from(sessions)
+    .innerJoin(users, eq(users.id, sessions.user_id))
+    .where(eq(sessions.id, sessionId))
+    .limit(1);
+
+  if (!session || session.revoked_at || session.expires_at <= new Date()) {
+    return null;
+  }
+
+  return { role: session.role };
+};
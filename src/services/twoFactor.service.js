@@ -0,0 +1,370 @@
+import crypto from 'crypto';
+import { and, eq, gt, isNull, lt, or, sql } from 'drizzle-orm';
+import { generateSecret, generateURI, verify } from 'otplib';
+import logger from '../config/logger.js';
+import { config } from '../config/env.js';
+import { db, withTransaction } from '../config/database.js';
+import { users } from '../models/user.model.js';
+import { recoveryCodes } from '../models/recoveryCode.model.js';
+import { mfaChallenges } from '../models/mfaChallenge.model.js';
+import { hashToken, jwttoken, MFA_TOKEN_TTL_MS } from '../utils/jwt.js';
+import { recordAuditEvent } from './audit.service.js';
+import { completeSignIn } from './auth.service.js';
+import { assertNotLockedOut, recordFailedLogin } from './lockout.service.js';
+import { authEventsTotal } from '../config/metrics.js';
+import {
+  ConflictError,
+  NotFoundError,
+  UnauthorizedError,
+  ValidationError,
+} from '../utils/errors.js';
+
+const TOTP_ISSUER = config.totpIssuer;
+const RECOVERY_CODE_COUNT = 10;
+
+// Codes that may be tried against one MFA token before it stops working
+const MAX_CHALLENGE_ATTEMPTS = 3;
+
+// Accept the previous and next 30s step to allow for clock drift
+const TOTP_EPOCH_TOLERANCE = 30;
+
+const normalizeRecoveryCode = code => code.toLowerCase().replace(/[\s-]/g, '');
+
+const getTwoFactorState = async userId => {
+  const [user] = await db
+    .select({
+      id: users.id,
+      email: users.email,
+      two_factor_enabled: users.two_factor_enabled,
+      two_factor_secret: users.two_factor_secret,
+    })
+    .from(users)
+    .where(eq(users.id, userId))
+    .limit(1);
+
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  return user;
+};
+
+const verifyTotp = async (user, code) => {
+  if (!user.two_factor_secret) return false;
+
+  const result = await verify({
+    secret: user.two_factor_secret,
+    token: code,
+    epochTolerance: TOTP_EPOCH_TOLERANCE,
+  });
+
+  if (!result.valid) return false;
+
+  // Only advance the last accepted step, so concurrent or repeated use of the
+  // same code matches nothing here
+  const [accepted] = await db
+    .update(users)
+    .set({ two_factor_last_step: result.timeStep })
+    .where(
+      and(
+        eq(users.id, user.id),
+        or(
+          isNull(users.two_factor_last_step),
+          lt(users.two_factor_last_step, result.timeStep)
+        )
+      )
+    )
+    .returning({ id: users.id });
+
+  if (!accepted) {
+    logger.warn(`Replayed TOTP code rejected for user ${user.id}`);
+    return false;
+  }
+
+  return true;
+};
+
+const consumeRecoveryCode = async (userId, code) => {
+  const [usedCode] = await db
+    .update(recoveryCodes)
+    .set({ used_at: new Date() })
+    .where(
+      and(
+        eq(recoveryCodes.user_id, userId),
+        eq(recoveryCodes.code_hash, hashToken(normalizeRecoveryCode(code))),
+        isNull(recoveryCodes.used_at)
+      )
+    )
+    .returning({ id: recoveryCodes.id });
+
+  if (usedCode) {
+    logger.info(`Recovery code used by user ${userId}`);
+  }
+  return Boolean(usedCode);
+};
+
+const replaceRecoveryCodes = async userId => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  await db.delete(recoveryCodes).where(eq(recoveryCodes.user_id, userId));
+  await db.insert(recoveryCodes).values(
+    codes.map(code => ({
+      user_id: userId,
+      code_hash: hashToken(normalizeRecoveryCode(code)),
+    }))
+  );
+
+  return codes;
+};
+
+export const startEnrollment = async userId => {
+  try {
+    const user = await getTwoFactorState(userId);
+
+    if (user.two_factor_enabled) {
+      throw new ConflictError('Two-factor authentication is already enabled');
+    }
+
+    const secret = generateSecret();
+
+    await db
+      .update(users)
+      .set({ two_factor_secret: secret, two_factor_last_step: null })
+      .where(eq(users.id, userId));
+
+    logger.info(`Two-factor enrollment started for user ${userId}`);
+    return {
+      secret,
+      otpauthUri: generateURI({
+        issuer: TOTP_ISSUER,
+        label: user.email,
+        secret,
+      }),
+    };
+  } catch (e) {
+    logger.error(`Error starting two-factor enrollment: ${e}`);
+    throw e;
+  }
+};
+
+export const confirmEnrollment = async (userId, code, context = {}) => {
+  try {
+    const user = await getTwoFactorState(userId);
+
+    if (user.two_factor_enabled) {
+      throw new ConflictError('Two-factor authentication is already enabled');
+    }
+
+    if (!user.two_factor_secret) {
+      throw new ValidationError('Two-factor enrollment has not been started');
+    }
+
+    if (!(await verifyTotp(user, code))) {
+      throw new ValidationError('Invalid two-factor code');
+    }
+
+    const codes = await withTransaction(async () => {
+      await db
+        .update(users)
+        .set({ two_factor_enabled: true, updated_at: new Date() })
+        .where(eq(users.id, userId));
+
+      const recoveryCodeList = await replaceRecoveryCodes(userId);
+
+      await recordAuditEvent({
+        action: 'auth.2fa_enabled',
+        resourceType: 'user',
+        resourceId: userId,
+        context,
+      });
+
+      return recoveryCodeList;
+    });
+
+    logger.info(`Two-factor authentication enabled for user ${userId}`);
+    return codes;
+  } catch (e) {
+    logger.error(`Error confirming two-factor enrollment: ${e}`);
+    throw e;
+  }
+};
+
+// Checks either a TOTP code or a recovery code for a user with 2FA enabled
+export const verifySecondFactor = async (userId, { code, recoveryCode }) => {
+  try {
+    const user = await getTwoFactorState(userId);
+
+    if (!user.two_factor_enabled) {
+      throw new ConflictError('Two-factor authentication is not enabled');
+    }
+
+    const valid = recoveryCode
+      ? await consumeRecoveryCode(userId, recoveryCode)
+      : await verifyTotp(user, code);
+
+    if (!valid) {
+      throw new ValidationError('Invalid two-factor code');
+    }
+  } catch (e) {
+    logger.error(`Error verifying second factor: ${e}`);
+    throw e;
+  }
+};
+
+// Issued once the password is right; the returned MFA token is exchanged for
+// a session at /2fa/verify
+export const startChallenge = async userId => {
+  const challengeId = crypto.randomUUID();
+
+  await db.insert(mfaChallenges).values({
+    id: challengeId,
+    user_id: userId,
+    expires_at: new Date(Date.now() + MFA_TOKEN_TTL_MS),
+  });
+
+  return jwttoken.signMfa({ sub: String(userId) }, challengeId);
+};
+
+// Spends one of the token's attempts up front, so parallel guesses cannot
+// get past the limit by all reading the count before any of them fails
+const reserveChallengeAttempt = async (challengeId, userId) => {
+  const [challenge] = await db
+    .update(mfaChallenges)
+    .set({ attempts: sql`${mfaChallenges.attempts} + 1` })
+    .where(
+      and(
+        eq(mfaChallenges.id, challengeId),
+        eq(mfaChallenges.user_id, userId),
+        isNull(mfaChallenges.completed_at),
+        gt(mfaChallenges.expires_at, new Date()),
+        lt(mfaChallenges.attempts, MAX_CHALLENGE_ATTEMPTS)
+      )
+    )
+    .returning({ id: mfaChallenges.id });
+
+  return Boolean(challenge);
+};
+
+const findSignInUser = async userId => {
+  const [user] = await db
+    .select()
+    .from(users)
+    .where(and(eq(users.id, userId), isNull(users.deleted_at)))
+    .limit(1);
+
+  return user;
+};
+
+// Second step of a sign-in with 2FA. Wrong codes count toward the account
+// lockout like wrong passwords, and the token is single use.
+export const completeChallenge = async (mfaToken, factor, context = {}) => {
+  try {
+    const decoded = jwttoken.verifyMfa(mfaToken);
+    const userId = Number(decoded?.sub);
+    const user = decoded?.jti && (await findSignInUser(userId));
+
+    if (!user) {
+      throw new UnauthorizedError('Invalid or expired MFA token');
+    }
+
+    const userContext = { ...context, actorId: user.id, actorRole: user.role };
+    await assertNotLockedOut(user, userContext);
+
+    if (!(await reserveChallengeAttempt(decoded.jti, user.id))) {
+      throw new UnauthorizedError('Invalid or expired MFA token');
+    }
+
+    try {
+      await verifySecondFactor(user.id, factor);
+    } catch (e) {
+      if (!(e instanceof ValidationError)) throw e;
+
+      authEventsTotal.inc({ event: 'signin_failure' });
+      await recordAuditEvent({
+        action: 'auth.signin_failed',
+        resourceType: 'user',
+        resourceId: user.id,
+        metadata: { reason: 'invalid_second_factor' },
+        context: userContext,
+      });
+      await recordFailedLogin(user, userContext);
+      throw e;
+    }
+
+    const [completed] = await db
+      .update(mfaChallenges)
+      .set({ completed_at: new Date() })
+      .where(
+        and(
+          eq(mfaChallenges.id, decoded.jti),
+          isNull(mfaChallenges.completed_at)
+        )
+      )
+      .returning({ id: mfaChallenges.id });
+
+    if (!completed) {
+      throw new UnauthorizedError('Invalid or expired MFA token');
+    }
+
+    await completeSignIn(user, userContext);
+
+    logger.info(`Two-factor challenge completed for user ${user.id}`);
+    return { id: user.id, name: user.name, email: user.email, role: user.role };
+  } catch (e) {
+    logger.error(`Error completing two-factor challenge: ${e}`);
+    throw e;
+  }
+};
+
+// Wrong codes count toward the lockout, so a stolen access token cannot be
+// used to guess codes until two-factor is off
+export const disableTwoFactor = async (userId, factor, context = {}) => {
+  try {
+    const user = await findSignInUser(userId);
+
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    await assertNotLockedOut(user, context);
+
+    try {
+      await withTransaction(async () => {
+        await verifySecondFactor(userId, factor);
+
+        await db
+          .update(users)
+          .set({
+            two_factor_enabled: false,
+            two_factor_secret: null,
+            two_factor_last_step: null,
+            updated_at: new Date(),
+          })
+          .where(eq(users.id, userId));
+
+        await db.delete(recoveryCodes).where(eq(recoveryCodes.user_id, userId));
+
+        await recordAuditEvent({
+          action: 'auth.2fa_disabled',
+          resourceType: 'user',
+          resourceId: userId,
+          context,
+        });
+      });
+    } catch (e) {
+      // Counted outside the transaction, which a wrong code rolls back
+      if (e instanceof ValidationError) {
+        await recordFailedLogin(user, context);
+      }
+      throw e;
+    }
+
+    logger.info(`Two-factor authentication disabled for user ${userId}`);
+  } catch (e) {
+    logger.error(`Error disabling two-factor authentication: ${e}`);
+    throw e;
+  }
+};
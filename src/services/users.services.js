@@ -1,43 +1,153 @@
 import logger from '../config/logger.js';
+import { config } from '../config/env.js';
 import { users } from '../models/user.model.js';
-import { eq } from 'drizzle-orm';
-import { db } from '../config/database.js';
+import { sessions } from '../models/session.model.js';
+import { userTokens } from '../models/userToken.model.js';
+import { recoveryCodes } from '../models/recoveryCode.model.js';
+import { passwordHistory } from '../models/passwordHistory.model.js';
+import { mfaChallenges } from '../models/mfaChallenge.model.js';
+import {
+  and,
+  asc,
+  count,
+  desc,
+  eq,
+  gt,
+  gte,
+  ilike,
+  inArray,
+  isNull,
+  lt,
+  lte,
+  or,
+  sql,
+} from 'drizzle-orm';
+import { db, withTransaction } from '../config/database.js';
+import { roleExists } from './roles.services.js';
+import { encodeCursor, escapeLike } from '../utils/pagination.js';
+import { userColumns } from '../serializers/user.serializer.js';
+import { recordAuditEvent } from './audit.service.js';
+import { revokeUserSessions } from './session.service.js';
+import {
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+  isUniqueViolation,
+} from '../utils/errors.js';
 
-export const getAllUsers = async () => {
+// Days a soft-deleted account can still be restored before it is anonymized
+const USER_RETENTION_DAYS = config.userRetentionDays;
+
+// Not a hash in any supported scheme, so no password can ever match it
+const PURGED_PASSWORD = '!purged';
+
+const TIMESTAMP_SORT_FIELDS = ['created_at', 'updated_at'];
+
+// Timestamps are compared at millisecond precision, the most a cursor
+// carrying a JS date can represent
+const sortExpression = sort =>
+  TIMESTAMP_SORT_FIELDS.includes(sort)
+    ? sql`date_trunc('milliseconds', ${users[sort]})`
+    : users[sort];
+
+// Rows strictly after the cursor row in the direction being read
+const afterCursor = (sort, cursor, ascending) => {
+  const column = sortExpression(sort);
+  const value = TIMESTAMP_SORT_FIELDS.includes(sort)
+    ? new Date(cursor.value)
+    : cursor.value;
+  const past = ascending ? gt : lt;
+
+  return or(
+    past(column, value),
+    and(eq(column, value), past(users.id, cursor.id))
+  );
+};
+
+export const getAllUsers = async ({
+  limit = 20,
+  offset,
+  cursor,
+  sort = 'created_at',
+  order = 'desc',
+  role,
+  createdFrom,
+  createdTo,
+  search,
+  includeDeleted = false,
+} = {}) => {
   try {
-    return await db
-      .select({
-        id: users.id,
-        email: users.email,
-        name: users.name,
-        role: users.role,
-        created_at: users.created_at,
-        updated_at: users.updated_at,
-      })
-      .from(users);
+    const pattern = search && `%${escapeLike(search)}%`;
+    const filters = and(
+      ...[
+        !includeDeleted && isNull(users.deleted_at),
+        role && eq(users.role, role),
+        createdFrom && gte(users.created_at, createdFrom),
+        createdTo && lte(users.created_at, createdTo),
+        pattern && or(ilike(users.name, pattern), ilike(users.email, pattern)),
+      ].filter(Boolean)
+    );
+
+    // Paging backwards reads the preceding rows in reverse, then flips them
+    const backwards = cursor?.direction === 'prev';
+    const ascending = (order === 'asc') !== backwards;
+    const direction = ascending ? asc : desc;
+
+    let query = db
+      .select(userColumns)
+      .from(users)
+      .where(
+        cursor ? and(filters, afterCursor(sort, cursor, ascending)) : filters
+      )
+      .orderBy(direction(sortExpression(sort)), direction(users.id))
+      .limit(limit + 1);
+
+    if (!cursor && offset) {
+      query = query.offset(offset);
+    }
+
+    const rows = await query;
+    const hasMore = rows.length > limit;
+    const page = rows.slice(0, limit);
+    if (backwards) page.reverse();
+
+    const [{ total }] = await db
+      .select({ total: count() })
+      .from(users)
+      .where(filters);
+
+    const hasNext = backwards ? Boolean(cursor) : hasMore;
+    const hasPrev = backwards ? hasMore : Boolean(cursor || offset);
+    const cursorFor = (row, dir) =>
+      row &&
+      encodeCursor({ sort, value: row[sort], id: row.id, direction: dir });
+
+    return {
+      users: page,
+      total,
+      nextCursor: (hasNext && cursorFor(page.at(-1), 'next')) || null,
+      prevCursor: (hasPrev && cursorFor(page[0], 'prev')) || null,
+    };
   } catch (e) {
     logger.error('Error getting users', e);
     throw e;
   }
 };
 
-export const getUserById = async id => {
+export const getUserById = async (id, { includeDeleted = false } = {}) => {
   try {
     const [user] = await db
-      .select({
-        id: users.id,
-        email: users.email,
-        name: users.name,
-        role: users.role,
-        created_at: users.created_at,
-        updated_at: users.updated_at,
-      })
+      .select(userColumns)
       .from(users)
-      .where(eq(users.id, id))
+      .where(
+        includeDeleted
+          ? eq(users.id, id)
+          : and(eq(users.id, id), isNull(users.deleted_at))
+      )
       .limit(1);
 
     if (!user) {
-      throw new Error('User not found');
+      throw new NotFoundError('User not found');
     }
 
     return user;
@@ -47,21 +157,13 @@ export const getUserById = async id => {
   }
 };
 
-export const updateUser = async (id, updates) => {
+export const updateUser = async (id, updates, context = {}) => {
   try {
     // First check if user exists
     const existingUser = await getUserById(id);
 
-    // Check if email is being updated and if it already exists
-    if (updates.email && updates.email !== existingUser.email) {
-      const [emailExists] = await db
-        .select()
-        .from(users)
-        .where(eq(users.email, updates.email))
-        .limit(1);
-      if (emailExists) {
-        throw new Error('Email already exists');
-      }
+    if (updates.role && !(await roleExists(updates.role))) {
+      throw new ValidationError('Role does not exist');
     }
 
     // Add updated_at timestamp
@@ -70,42 +172,90 @@ export const updateUser = async (id, updates) => {
       updated_at: new Date(),
     };
 
-    const [updatedUser] = await db
-      .update(users)
-      .set(updateData)
-      .where(eq(users.id, id))
-      .returning({
-        id: users.id,
-        email: users.email,
-        name: users.name,
-        role: users.role,
-        created_at: users.created_at,
-        updated_at: users.updated_at,
+    // Verification belongs to the address, not the account: a new address
+    // has to be proven again before verified-only routes open up
+    if (updates.email && updates.email !== existingUser.email) {
+      updateData.email_verified_at = null;
+    }
+
+    // A taken email is caught by its unique constraint, which unlike a
+    // lookup beforehand also holds for concurrent updates
+    const updatedUser = await withTransaction(async () => {
+      const [row] = await db
+        .update(users)
+        .set(updateData)
+        .where(eq(users.id, id))
+        .returning(userColumns);
+
+      await recordAuditEvent({
+        action: 'user.updated',
+        resourceType: 'user',
+        resourceId: id,
+        before: existingUser,
+        after: row,
+        context,
       });
 
+      // Its own action so role grants can be searched for directly
+      if (row.role !== existingUser.role) {
+        await recordAuditEvent({
+          action: 'user.role_changed',
+          resourceType: 'user',
+          resourceId: id,
+          before: { role: existingUser.role },
+          after: { role: row.role },
+          context,
+        });
+      }
+
+      return row;
+    });
+
     logger.info(`User ${updatedUser.email} updated successfully`);
     return updatedUser;
   } catch (e) {
     logger.error(`Error updating user ${id}:`, e);
+
+    if (isUniqueViolation(e, 'users_email_unique')) {
+      throw new ConflictError('Email already exists');
+    }
+
     throw e;
   }
 };
 
-export const deleteUser = async id => {
+// Soft delete: the account can no longer sign in or be listed, but the row
+// stays for deals and audit history until purgeDeletedUsers anonymizes it
+export const deleteUser = async (id, context = {}) => {
   try {
     // First check if user exists
-    await getUserById(id);
-
-    const [deletedUser] = await db
-      .delete(users)
-      .where(eq(users.id, id))
-      .returning({
-        id: users.id,
-        email: users.email,
-        name: users.name,
-        role: users.role,
+    const existingUser = await getUserById(id);
+
+    const deletedUser = await withTransaction(async () => {
+      const [row] = await db
+        .update(users)
+        .set({ deleted_at: new Date(), updated_at: new Date() })
+        .where(and(eq(users.id, id), isNull(users.deleted_at)))
+        .returning(userColumns);
+
+      if (!row) {
+        throw new NotFoundError('User not found');
+      }
+
+      await revokeUserSessions(id, 'account_deleted', context);
+
+      await recordAuditEvent({
+        action: 'user.deleted',
+        resourceType: 'user',
+        resourceId: id,
+        before: existingUser,
+        after: row,
+        context,
       });
 
+      return row;
+    });
+
     logger.info(`User ${deletedUser.email} deleted successfully`);
     return deletedUser;
   } catch (e) {
@@ -113,3 +263,108 @@ export const deleteUser = async id => {
     throw e;
   }
 };
+
+export const restoreUser = async (id, context = {}) => {
+  try {
+    const existingUser = await getUserById(id, { includeDeleted: true });
+
+    if (!existingUser.deleted_at) {
+      throw new ConflictError('User is not deleted');
+    }
+
+    if (existingUser.anonymized_at) {
+      throw new ConflictError('User has been purged');
+    }
+
+    const restoredUser = await withTransaction(async () => {
+      const [row] = await db
+        .update(users)
+        .set({ deleted_at: null, updated_at: new Date() })
+        .where(and(eq(users.id, id), isNull(users.anonymized_at)))
+        .returning(userColumns);
+
+      await recordAuditEvent({
+        action: 'user.restored',
+        resourceType: 'user',
+        resourceId: id,
+        before: existingUser,
+        after: row,
+        context,
+      });
+
+      return row;
+    });
+
+    logger.info(`User ${restoredUser.email} restored successfully`);
+    return restoredUser;
+  } catch (e) {
+    logger.error(`Error restoring user ${id}:`, e);
+    throw e;
+  }
+};
+
+// Anonymizes accounts deleted more than `retentionDays` ago. The row and id
+// survive so references resolve; nothing in it identifies the person.
+export const purgeDeletedUsers = async (
+  { retentionDays = USER_RETENTION_DAYS } = {},
+  context = {}
+) => {
+  try {
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+
+    const purgedIds = await withTransaction(async () => {
+      const purged = await db
+        .update(users)
+        .set({
+          name: 'Deleted user',
+          email: sql`'deleted-' || ${users.id} || '@users.invalid'`,
+          password: PURGED_PASSWORD,
+          email_verified_at: null,
+          two_factor_enabled: false,
+          two_factor_secret: null,
+          two_factor_last_step: null,
+          failed_login_attempts: 0,
+          last_failed_login_at: null,
+          locked_until: null,
+          anonymized_at: new Date(),
+          updated_at: new Date(),
+        })
+        .where(and(lte(users.deleted_at, cutoff), isNull(users.anonymized_at)))
+        .returning({ id: users.id });
+
+      const ids = purged.map(({ id }) => id);
+
+      if (ids.length > 0) {
+        await db.delete(userTokens).where(inArray(userTokens.user_id, ids));
+        await db
+          .delete(passwordHistory)
+          .where(inArray(passwordHistory.user_id, ids));
+        await db
+          .delete(recoveryCodes)
+          .where(inArray(recoveryCodes.user_id, ids));
+        await db
+          .delete(mfaChallenges)
+          .where(inArray(mfaChallenges.user_id, ids));
+        await db.delete(sessions).where(inArray(sessions.user_id, ids));
+      }
+
+      for (const id of ids) {
+        await recordAuditEvent({
+          action: 'user.purged',
+          resourceType: 'user',
+          resourceId: id,
+          metadata: { retentionDays },
+          context,
+        });
+      }
+
+      return ids;
+    });
+
+    logger.info(`Purged ${purgedIds.length} deleted user(s)`);
+    return purgedIds;
+  } catch (e) {
+    logger.error(`Error purging deleted users: ${e}`);
+    throw e;
+  }
+};
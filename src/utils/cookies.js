@@ -1,9 +1,12 @@
+import { config } from '../config/env.js';
+
 export const cookies = {
   getOptions: () => ({
     httpOnly: true,
-    secure: process.env.NODE_ENV === 'production',
+    secure: config.isProduction,
     sameSite: 'strict',
-    maxAge: 15 * 60 * 1000,
+    // The access token cookie lives as long as the token; others override it
+    maxAge: config.jwt.expiresInMs,
   }),
 
   set: (res, name, value, options = {}) => {
@@ -0,0 +1,36 @@
+export const DEAL_TYPES = [
+  'merger',
+  'acquisition',
+  'asset_purchase',
+  'joint_venture',
+];
+
+// Stages in pipeline order; `closed` and `abandoned` are terminal
+export const DEAL_STAGES = [
+  'sourcing',
+  'nda',
+  'loi',
+  'due_diligence',
+  'signing',
+  'closing',
+  'closed',
+  'abandoned',
+];
+
+export const INITIAL_DEAL_STAGE = 'sourcing';
+
+// Allowed moves from each stage. A deal advances one stage at a time and can
+// be abandoned from any open stage.
+export const STAGE_TRANSITIONS = {
+  sourcing: ['nda', 'abandoned'],
+  nda: ['loi', 'abandoned'],
+  loi: ['due_diligence', 'abandoned'],
+  due_diligence: ['signing', 'abandoned'],
+  signing: ['closing', 'abandoned'],
+  closing: ['closed', 'abandoned'],
+  closed: [],
+  abandoned: [],
+};
+
+export const canTransition = (fromStage, toStage) =>
+  (STAGE_TRANSITIONS[fromStage] || []).includes(toStage);
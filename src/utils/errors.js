@@ -0,0 +1,77 @@
+// Errors services throw for expected failures. Each carries the HTTP status
+// and a stable machine-readable code; the error middleware turns them into
+// responses, so controllers no longer need to match on messages.
+
+export class AppError extends Error {
+  constructor(
+    message,
+    { status = 500, code = 'INTERNAL_ERROR', details } = {}
+  ) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+export class ValidationError extends AppError {
+  constructor(message = 'Validation failed', { code, details, errors } = {}) {
+    super(message, { status: 400, code: code ?? 'VALIDATION_FAILED', details });
+    this.title = 'Validation failed';
+    this.errors = errors;
+  }
+}
+
+export class UnauthorizedError extends AppError {
+  constructor(message = 'Authentication required', { code, details } = {}) {
+    super(message, { status: 401, code: code ?? 'UNAUTHORIZED', details });
+  }
+}
+
+export class ForbiddenError extends AppError {
+  constructor(message = 'Access denied', { code, details } = {}) {
+    super(message, { status: 403, code: code ?? 'FORBIDDEN', details });
+  }
+}
+
+export class NotFoundError extends AppError {
+  constructor(message = 'Resource not found', { code, details } = {}) {
+    super(message, { status: 404, code: code ?? 'NOT_FOUND', details });
+  }
+}
+
+export class ConflictError extends AppError {
+  constructor(message = 'Conflict', { code, details } = {}) {
+    super(message, { status: 409, code: code ?? 'CONFLICT', details });
+  }
+}
+
+// `retryAfter` (seconds) is sent back as the Retry-After header
+export class TooManyRequestsError extends AppError {
+  constructor(
+    message = 'Too many requests',
+    { code, details, retryAfter } = {}
+  ) {
+    super(message, {
+      status: 429,
+      code: code ?? 'TOO_MANY_REQUESTS',
+      details,
+    });
+    this.retryAfter = retryAfter;
+  }
+}
+
+// Postgres SQLSTATE for a duplicate key
+const UNIQUE_VIOLATION = '23505';
+
+// True when `error` is a unique-constraint violation, optionally on one named
+// constraint. Drizzle wraps the driver error, so its `cause` is checked too.
+export const isUniqueViolation = (error, constraint) => {
+  const pgError = error?.cause?.code ? error.cause : error;
+
+  return (
+    pgError?.code === UNIQUE_VIOLATION &&
+    (!constraint || pgError.constraint === constraint)
+  );
+};
@@ -1,8 +1,8 @@
-export const formatValidationError = errors => {
-  if (!errors || !errors.issues) return 'Validation failed';
-
-  if (Array.isArray(errors.issues))
-    return errors.issues.map(i => i.message).join(', ');
-
-  return JSON.stringify(errors);
-};
+// One entry per zod issue, keyed by the dotted path of the failing field so
+// clients can attach each message to its input
+export const formatValidationIssues = errors =>
+  (errors?.issues ?? []).map(issue => ({
+    field: issue.path.join('.'),
+    message: issue.message,
+    code: issue.code,
+  }));
@@ -1,24 +1,61 @@
 import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
 import logger from '../config/logger.js';
+import { config } from '../config/env.js';
 
-const JWT_SECRET =
-  process.env.JWT_SECRET || 'your-secret-key-please-change in production';
-const JWT_EXPIRES_IN = '1d';
+const JWT_SECRET = config.jwt.secret;
+const JWT_EXPIRES_IN = config.jwt.expiresIn;
+
+export const REFRESH_TOKEN_TTL_MS =
+  config.jwt.refreshTtlDays * 24 * 60 * 60 * 1000;
+
+export const MFA_TOKEN_TTL_MS = 5 * 60 * 1000;
+
+// Every token carries a `type` claim so one kind can never be accepted where
+// another is expected (e.g. a refresh token used as an access token)
+const signTyped = (type, payload, options) => {
+  try {
+    return jwt.sign({ ...payload, type }, JWT_SECRET, options);
+  } catch (e) {
+    logger.error(`Failed to sign ${type} token`, e);
+    throw new Error(`Failed to sign ${type} token`);
+  }
+};
+
+const verifyTyped = (type, token) => {
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    return decoded.type === type ? decoded : undefined;
+  } catch (e) {
+    logger.error(`Failed to verify ${type} token`, e);
+  }
+};
 
 export const jwttoken = {
-  sign: payload => {
-    try {
-      return jwt.sign(payload, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
-    } catch (e) {
-      logger.error('Failed to authenticate token', e);
-      throw new Error('Failed to authenticate token');
-    }
-  },
-  verify: token => {
-    try {
-      return jwt.verify(token, JWT_SECRET);
-    } catch (e) {
-      logger.error('Failed to authenticate token', e);
-    }
-  },
+  sign: payload => signTyped('access', payload, { expiresIn: JWT_EXPIRES_IN }),
+  verify: token => verifyTyped('access', token),
+  // jti makes every rotated token unique even when issued in the same second
+  signRefresh: payload =>
+    signTyped('refresh', payload, {
+      expiresIn: Math.floor(REFRESH_TOKEN_TTL_MS / 1000),
+      jwtid: crypto.randomUUID(),
+    }),
+  verifyRefresh: token => verifyTyped('refresh', token),
+  signInvite: (payload, expiresInSeconds) =>
+    signTyped('invite', payload, {
+      expiresIn: expiresInSeconds,
+      jwtid: crypto.randomUUID(),
+    }),
+  verifyInvite: token => verifyTyped('invite', token),
+  // Proves the password step of a sign-in; only exchangeable for a session
+  // together with a second factor
+  signMfa: (payload, challengeId) =>
+    signTyped('mfa', payload, {
+      expiresIn: MFA_TOKEN_TTL_MS / 1000,
+      jwtid: challengeId,
+    }),
+  verifyMfa: token => verifyTyped('mfa', token),
 };
+
+export const hashToken = token =>
+  crypto.createHash('sha256').update(token).digest('hex');
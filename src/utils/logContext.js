@@ -0,0 +1,39 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+// Carries the current request through every async call made while handling
+// it, so log lines written deep inside services still say which request,
+// user and route they belong to without passing `req` around.
+const storage = new AsyncLocalStorage();
+
+export const runWithRequest = (req, callback) => storage.run({ req }, callback);
+
+// Express only knows the matched route once routing reaches it, and a router
+// that hands an error back up resets req.baseUrl on the way out. The template
+// is therefore taken at the moment Express assigns req.route, while baseUrl
+// still holds the mount path.
+export const trackRoute = req => {
+  let route;
+
+  Object.defineProperty(req, 'route', {
+    configurable: true,
+    enumerable: true,
+    get: () => route,
+    set: value => {
+      route = value;
+      req.routeTemplate = value && `${req.baseUrl}${value.path}`;
+    },
+  });
+};
+
+export const routeOf = req => req.routeTemplate;
+
+export const getLogContext = () => {
+  const req = storage.getStore()?.req;
+  if (!req) return {};
+
+  return {
+    requestId: req.id,
+    userId: req.user?.id,
+    route: routeOf(req),
+  };
+};
@@ -0,0 +1,45 @@
+// Cursors are opaque to clients: base64url JSON holding the sort column, the
+// boundary row's value for it and its id (the tie-breaker), and which way to
+// page from that row
+export const encodeCursor = ({ sort, value, id, direction }) =>
+  Buffer.from(
+    JSON.stringify({
+      s: sort,
+      v: value instanceof Date ? value.toISOString() : value,
+      id,
+      d: direction,
+    })
+  ).toString('base64url');
+
+// What a cursor value must look like for each kind of sort column; anything
+// else would only fail once it reached the database
+const CURSOR_VALUE_CHECKS = {
+  integer: value => Number.isInteger(value),
+  string: value => typeof value === 'string',
+  timestamp: value =>
+    typeof value === 'string' && !Number.isNaN(Date.parse(value)),
+};
+
+// `columns` maps each sortable column to its kind (integer, string or
+// timestamp); cursors for other columns or with a mismatched value decode to
+// null
+export const decodeCursor = (cursor, columns) => {
+  try {
+    const { s, v, id, d } = JSON.parse(
+      Buffer.from(cursor, 'base64url').toString('utf8')
+    );
+
+    if (typeof s !== 'string' || !Number.isInteger(id)) return null;
+    if (d !== 'next' && d !== 'prev') return null;
+    if (!Object.hasOwn(columns, s) || !CURSOR_VALUE_CHECKS[columns[s]](v)) {
+      return null;
+    }
+
+    return { sort: s, value: v, id, direction: d };
+  } catch {
+    return null;
+  }
+};
+
+// Escapes LIKE wildcards so user input only ever matches literally
+export const escapeLike = value => value.replace(/[\\%_]/g, '\\$&');
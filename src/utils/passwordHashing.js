@@ -0,0 +1,46 @@
+import argon2 from 'argon2';
+import bcrypt from 'bcrypt';
+import { config } from '../config/env.js';
+
+// Stored hashes describe themselves: the prefix names the scheme and the
+// parameters follow it ($argon2id$v=19$m=19456,p=1,t=2$... or $2b$12$...).
+// Raising a cost in the configuration therefore needs no migration; hashes
+// made with older settings are spotted by needsRehash and replaced the next
+// time their password is known (at sign-in).
+const schemes = {
+  argon2id: {
+    matches: hash => hash.startsWith('$argon2id$'),
+    hash: (password, { argon2: params }) =>
+      argon2.hash(password, { type: argon2.argon2id, ...params }),
+    verify: (hash, password) => argon2.verify(hash, password),
+    isCurrent: (hash, { argon2: params }) => !argon2.needsRehash(hash, params),
+  },
+  bcrypt: {
+    matches: hash => /^\$2[aby]\$\d{2}\$/.test(hash),
+    hash: (password, { bcryptCost }) => bcrypt.hash(password, bcryptCost),
+    verify: (hash, password) => bcrypt.compare(password, hash),
+    isCurrent: (hash, { bcryptCost }) => bcrypt.getRounds(hash) === bcryptCost,
+  },
+};
+
+export const schemeOf = hash =>
+  Object.keys(schemes).find(name => schemes[name].matches(hash ?? ''));
+
+export const createPasswordHash = (password, options = config.passwordHash) =>
+  schemes[options.algorithm].hash(password, options);
+
+// Unknown formats (e.g. the placeholder left by anonymization) never match
+export const verifyPasswordHash = async (password, hash) => {
+  const scheme = schemeOf(hash);
+  return scheme ? schemes[scheme].verify(hash, password) : false;
+};
+
+// True when `hash` was made with another scheme or other costs than the
+// configured ones
+export const needsRehash = (hash, options = config.passwordHash) => {
+  const scheme = schemeOf(hash);
+
+  return (
+    scheme !== options.algorithm || !schemes[scheme].isCurrent(hash, options)
+  );
+};
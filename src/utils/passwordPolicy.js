@@ -0,0 +1,126 @@
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { config } from '../config/env.js';
+import { ValidationError } from './errors.js';
+
+const BUNDLED_BLOCKLIST = fileURLToPath(
+  new URL('../data/common-passwords.txt', import.meta.url)
+);
+
+export const CHARACTER_CLASSES = {
+  lowercase: { pattern: /\p{Ll}/u, message: 'Must contain a lowercase letter' },
+  uppercase: {
+    pattern: /\p{Lu}/u,
+    message: 'Must contain an uppercase letter',
+  },
+  digit: { pattern: /\p{Nd}/u, message: 'Must contain a digit' },
+  symbol: { pattern: /[^\p{L}\p{Nd}]/u, message: 'Must contain a symbol' },
+};
+
+// Parts of a name or email shorter than this are too common to reject on
+const MIN_PERSONAL_TERM_LENGTH = 3;
+
+// One password per line; blank lines and # comments are skipped
+export const loadBlocklist = file =>
+  new Set(
+    fs
+      .readFileSync(file, 'utf8')
+      .split(/\r?\n/)
+      .map(line => line.trim().toLowerCase())
+      .filter(line => line && !line.startsWith('#'))
+  );
+
+let defaultBlocklist = null;
+
+const getDefaultBlocklist = () => {
+  defaultBlocklist ??= loadBlocklist(
+    config.password.blocklistFile ?? BUNDLED_BLOCKLIST
+  );
+  return defaultBlocklist;
+};
+
+// Also catches the usual dressing-up of a listed password, e.g. Password123!
+const isCommonPassword = (password, blocklist) => {
+  const lowered = password.toLowerCase();
+  const stripped = lowered.replace(/[\d\W_]+$/u, '');
+  return blocklist.has(lowered) || blocklist.has(stripped);
+};
+
+const personalTerms = ({ email, name } = {}) => {
+  const localPart = email?.split('@')[0] ?? '';
+
+  return [localPart, ...`${localPart} ${name ?? ''}`.split(/[^\p{L}\p{Nd}]+/u)]
+    .map(term => term.toLowerCase())
+    .filter(term => term.length >= MIN_PERSONAL_TERM_LENGTH);
+};
+
+// Every rule `password` breaks, as { code, message }, so clients can show
+// the whole checklist rather than one failure at a time. `user` supplies the
+// email and name the password must not contain.
+export const checkPasswordPolicy = (
+  password,
+  user = {},
+  { blocklist = getDefaultBlocklist(), ...policy } = config.password
+) => {
+  const violations = [];
+  const length = [...password].length;
+
+  if (length < policy.minLength) {
+    violations.push({
+      code: 'too_short',
+      message: `Must be at least ${policy.minLength} characters`,
+    });
+  }
+
+  if (length > policy.maxLength) {
+    violations.push({
+      code: 'too_long',
+      message: `Must be at most ${policy.maxLength} characters`,
+    });
+  }
+
+  for (const name of policy.requiredClasses) {
+    if (!CHARACTER_CLASSES[name].pattern.test(password)) {
+      violations.push({
+        code: `missing_${name}`,
+        message: CHARACTER_CLASSES[name].message,
+      });
+    }
+  }
+
+  const lowered = password.toLowerCase();
+  if (personalTerms(user).some(term => lowered.includes(term))) {
+    violations.push({
+      code: 'contains_personal_info',
+      message: 'Must not contain your name or email address',
+    });
+  }
+
+  if (isCommonPassword(password, blocklist)) {
+    violations.push({
+      code: 'common_password',
+      message: 'Is too common or has appeared in a data breach',
+    });
+  }
+
+  return violations;
+};
+
+export const passwordPolicyError = (violations, field = 'password') =>
+  new ValidationError(
+    `Password does not meet the requirements: ${violations
+      .map(violation => violation.message)
+      .join(', ')}`,
+    {
+      code: 'WEAK_PASSWORD',
+      errors: violations.map(violation => ({ field, ...violation })),
+    }
+  );
+
+export const assertPasswordPolicy = (password, user, field) => {
+  const violations = checkPasswordPolicy(password, user);
+
+  if (violations.length > 0) {
+    throw passwordPolicyError(violations, field);
+  }
+};
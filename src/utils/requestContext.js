@@ -0,0 +1,10 @@
+// Who is making a request and from where, passed from controllers into
+// services so they can record sessions and audit events
+export const requestContext = req => ({
+  actorId: req.user?.id ?? null,
+  actorRole: req.user?.role ?? null,
+  sessionId: req.user?.sid ?? null,
+  ip: req.ip,
+  userAgent: req.get('User-Agent'),
+  requestId: req.id ?? req.get('X-Request-Id') ?? null,
+});
@@ -0,0 +1,84 @@
+import defaultLogger from '../config/logger.js';
+import { markShuttingDown } from '../services/health.service.js';
+
+// Waits for winston to write out what is buffered in its transports
+const flushLogger = (logger, timeoutMs) =>
+  new Promise(resolve => {
+    const timer = setTimeout(resolve, timeoutMs);
+    logger.on('finish', () => {
+      clearTimeout(timer);
+      resolve();
+    });
+    logger.end();
+  });
+
+// Returns a handler for SIGTERM/SIGINT that stops the server gracefully:
+// readiness fails first and the server keeps serving for `graceMs`, so load
+// balancers notice and stop routing here before connections are refused.
+// Then the listener stops accepting connections, in-flight requests get up
+// to `timeoutMs` to finish, the database is closed, logs are flushed, and the
+// process exits (1 if requests had to be cut off). Calling it again while a
+// shutdown is running returns the same promise.
+export const createGracefulShutdown = (
+  server,
+  {
+    timeoutMs = 10000,
+    graceMs = 0,
+    closeDatabase = async () => {},
+    logger = defaultLogger,
+    exit = code => process.exit(code),
+  } = {}
+) => {
+  let shutdown;
+
+  const drain = () =>
+    new Promise(resolve => {
+      const timer = setTimeout(() => {
+        logger.warn(`Requests still running after ${timeoutMs}ms, closing`);
+        server.closeAllConnections();
+        resolve(false);
+      }, timeoutMs);
+
+      server.close(() => {
+        clearTimeout(timer);
+        resolve(true);
+      });
+
+      // Keep-alive sockets would otherwise hold the server open until the
+      // client drops them
+      server.closeIdleConnections();
+    });
+
+  return signal => {
+    shutdown ??= (async () => {
+      logger.info(`${signal} received, shutting down`);
+      markShuttingDown();
+
+      // Responses from here on ask clients not to reuse the socket
+      server.prependListener('request', (req, res) =>
+        res.setHeader('Connection', 'close')
+      );
+
+      if (graceMs > 0) {
+        await new Promise(resolve => setTimeout(resolve, graceMs));
+      }
+
+      const drained = await drain();
+      logger.info(
+        drained ? 'All connections drained' : 'Shutdown forced after timeout'
+      );
+
+      // Only once no request can still be using it
+      try {
+        await closeDatabase();
+      } catch (e) {
+        logger.error('Error closing the database', e);
+      }
+
+      await flushLogger(logger, 1000);
+      exit(drained ? 0 : 1);
+    })();
+
+    return shutdown;
+  };
+};
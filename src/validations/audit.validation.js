@@ -0,0 +1,34 @@
+import { z } from 'zod';
+
+// Schema to validate audit log filters; query values arrive as strings
+export const auditQuerySchema = z
+  .object({
+    actorId: z.coerce
+      .number()
+      .int('Actor ID must be a valid number')
+      .positive('Actor ID must be a valid number')
+      .optional(),
+    action: z.string().trim().min(1).max(100).optional(),
+    resourceType: z.string().trim().min(1).max(50).optional(),
+    resourceId: z.string().trim().min(1).max(100).optional(),
+    from: z.coerce.date('From must be a valid date').optional(),
+    to: z.coerce.date('To must be a valid date').optional(),
+    limit: z.coerce
+      .number()
+      .int('Limit must be a whole number')
+      .min(1, 'Limit must be at least 1')
+      .max(200, 'Limit must not exceed 200')
+      .default(50),
+    offset: z.coerce
+      .number()
+      .int('Offset must be a whole number')
+      .min(0, 'Offset must not be negative')
+      .default(0),
+  })
+  .refine(({ from, to }) => !from || !to || from <= to, {
+    message: 'From must not be after to',
+    path: ['from'],
+  });
+
+// Request shapes for the validate middleware (also used by the API docs)
+export const auditQueryRequest = { query: auditQuerySchema };
@@ -0,0 +1,59 @@
+import { z } from 'zod';
+
+// Schema to validate company ID parameter
+export const companyIdSchema = z.object({
+  id: z.string().regex(/^\d+$/, 'ID must be a valid number').transform(Number),
+});
+
+const companyFields = {
+  legal_name: z
+    .string()
+    .min(2, 'Legal name must be at least 2 characters')
+    .max(255, 'Legal name must not exceed 255 characters')
+    .trim(),
+  registration_number: z
+    .string()
+    .min(1, 'Registration number is required')
+    .max(100, 'Registration number must not exceed 100 characters')
+    .trim(),
+  jurisdiction: z
+    .string()
+    .min(2, 'Jurisdiction must be at least 2 characters')
+    .max(100, 'Jurisdiction must not exceed 100 characters')
+    .trim(),
+  industry_code: z
+    .string()
+    .max(20, 'Industry code must not exceed 20 characters')
+    .trim()
+    .optional(),
+  headcount: z
+    .number()
+    .int('Headcount must be a whole number')
+    .nonnegative('Headcount cannot be negative')
+    .optional(),
+  revenue: z.number().nonnegative('Revenue cannot be negative').optional(),
+  website: z
+    .url('Must be a valid URL')
+    .max(255, 'Website must not exceed 255 characters')
+    .optional(),
+};
+
+// Schema to validate company creation requests
+export const createCompanySchema = z.object(companyFields);
+
+// Schema to validate company update requests
+export const updateCompanySchema = z
+  .object(companyFields)
+  .partial()
+  .refine(data => Object.keys(data).length > 0, {
+    message: 'At least one field must be provided for update',
+    path: ['body'],
+  });
+
+// Request shapes for the validate middleware (also used by the API docs)
+export const companyIdRequest = { params: companyIdSchema };
+export const createCompanyRequest = { body: createCompanySchema };
+export const updateCompanyRequest = {
+  params: companyIdSchema,
+  body: updateCompanySchema,
+};
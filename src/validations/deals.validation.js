@@ -0,0 +1,77 @@
+import { z } from 'zod';
+import { DEAL_STAGES, DEAL_TYPES } from '../utils/dealStages.js';
+
+// Schema to validate deal ID parameter
+export const dealIdSchema = z.object({
+  id: z.string().regex(/^\d+$/, 'ID must be a valid number').transform(Number),
+});
+
+const dealFields = {
+  name: z
+    .string()
+    .min(3, 'Name must be at least 3 characters')
+    .max(255, 'Name must not exceed 255 characters')
+    .trim(),
+  acquirer_id: z.number().int().positive('Acquirer must be a valid company ID'),
+  target_id: z.number().int().positive('Target must be a valid company ID'),
+  deal_type: z.enum(DEAL_TYPES, {
+    message: `Deal type must be one of: ${DEAL_TYPES.join(', ')}`,
+  }),
+  proposed_valuation: z
+    .number()
+    .nonnegative('Proposed valuation cannot be negative')
+    .optional(),
+  currency: z
+    .string()
+    .trim()
+    .toUpperCase()
+    .regex(/^[A-Z]{3}$/, 'Currency must be a 3-letter ISO 4217 code'),
+};
+
+const differentParties = data =>
+  data.acquirer_id === undefined ||
+  data.target_id === undefined ||
+  data.acquirer_id !== data.target_id;
+
+// Schema to validate deal creation requests
+export const createDealSchema = z
+  .object({ ...dealFields, currency: dealFields.currency.default('USD') })
+  .refine(differentParties, {
+    message: 'Acquirer and target must be different companies',
+    path: ['target_id'],
+  });
+
+// Schema to validate deal update requests. Stage changes go through
+// dealStageSchema so they are checked against the pipeline.
+export const updateDealSchema = z
+  .object(dealFields)
+  .partial()
+  .refine(data => Object.keys(data).length > 0, {
+    message: 'At least one field must be provided for update',
+    path: ['body'],
+  })
+  .refine(differentParties, {
+    message: 'Acquirer and target must be different companies',
+    path: ['target_id'],
+  });
+
+// Schema to validate stage transition requests
+export const dealStageSchema = z.object({
+  stage: z.enum(DEAL_STAGES, {
+    message: `Stage must be one of: ${DEAL_STAGES.join(', ')}`,
+  }),
+  note: z
+    .string()
+    .max(1000, 'Note must not exceed 1000 characters')
+    .trim()
+    .optional(),
+});
+
+// Request shapes for the validate middleware (also used by the API docs)
+export const dealIdRequest = { params: dealIdSchema };
+export const createDealRequest = { body: createDealSchema };
+export const updateDealRequest = {
+  params: dealIdSchema,
+  body: updateDealSchema,
+};
+export const dealStageRequest = { params: dealIdSchema, body: dealStageSchema };
@@ -0,0 +1,32 @@
+import { z } from 'zod';
+
+// Schema to validate invite ID parameter
+export const inviteIdSchema = z.object({
+  id: z.string().regex(/^\d+$/, 'ID must be a valid number').transform(Number),
+});
+
+// Schema to validate invite creation requests
+export const createInviteSchema = z.object({
+  role: z
+    .string()
+    .trim()
+    .toLowerCase()
+    .min(1, 'Role is required')
+    .max(50, 'Role must not exceed 50 characters'),
+  email: z
+    .email('Must be a valid email address')
+    .max(255, 'Email must not exceed 255 characters')
+    .toLowerCase()
+    .trim()
+    .optional(),
+  expiresInHours: z
+    .number()
+    .int('Expiry must be a whole number of hours')
+    .min(1, 'Invite must be valid for at least 1 hour')
+    .max(24 * 30, 'Invite must expire within 30 days')
+    .default(72),
+});
+
+// Request shapes for the validate middleware (also used by the API docs)
+export const inviteIdRequest = { params: inviteIdSchema };
+export const createInviteRequest = { body: createInviteSchema };
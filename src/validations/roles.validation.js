@@ -0,0 +1,58 @@
+import { z } from 'zod';
+import { ALL_PERMISSIONS } from '../middleware/rbac.middleware.js';
+
+const roleName = z
+  .string()
+  .trim()
+  .toLowerCase()
+  .regex(
+    /^[a-z][a-z0-9_-]{1,49}$/,
+    'Role name must be 2-50 characters of letters, digits, "-" or "_"'
+  );
+
+const permissions = z
+  .array(
+    z.enum(ALL_PERMISSIONS, {
+      message: 'Unknown permission',
+    })
+  )
+  .transform(list => [...new Set(list)]);
+
+// Schema to validate role name parameter
+export const roleNameSchema = z.object({
+  name: roleName,
+});
+
+// Schema to validate role creation requests
+export const createRoleSchema = z.object({
+  name: roleName,
+  description: z
+    .string()
+    .max(255, 'Description must not exceed 255 characters')
+    .trim()
+    .optional(),
+  permissions: permissions.default([]),
+});
+
+// Schema to validate role update requests
+export const updateRoleSchema = z
+  .object({
+    description: z
+      .string()
+      .max(255, 'Description must not exceed 255 characters')
+      .trim()
+      .optional(),
+    permissions: permissions.optional(),
+  })
+  .refine(data => Object.keys(data).length > 0, {
+    message: 'At least one field must be provided for update',
+    path: ['body'],
+  });
+
+// Request shapes for the validate middleware (also used by the API docs)
+export const roleNameRequest = { params: roleNameSchema };
+export const createRoleRequest = { body: createRoleSchema };
+export const updateRoleRequest = {
+  params: roleNameSchema,
+  body: updateRoleSchema,
+};
@@ -1,10 +1,32 @@
 import { z } from 'zod';
+import { decodeCursor } from '../utils/pagination.js';
+import { newPasswordSchema } from './auth.validation.js';
+
+// Columns the user list may be sorted on, with the kind of value a cursor
+// carries for each
+const USER_SORT_COLUMNS = {
+  id: 'integer',
+  name: 'string',
+  email: 'string',
+  role: 'string',
+  created_at: 'timestamp',
+  updated_at: 'timestamp',
+};
+
+export const USER_SORT_FIELDS = Object.keys(USER_SORT_COLUMNS);
 
 // Schema to validate user ID parameter
 export const userIdSchema = z.object({
   id: z.string().regex(/^\d+$/, 'ID must be a valid number').transform(Number),
 });
 
+// Schema to validate single-user lookups
+export const getUserQuerySchema = z.object({
+  includeDeleted: z
+    .stringbool({ error: 'Include deleted must be true or false' })
+    .default(false),
+});
+
 // Schema to validate user update requests
 export const updateUserSchema = z
   .object({
@@ -22,12 +44,116 @@ export const updateUserSchema = z
       .trim()
       .optional(),
     role: z
-      .enum(['user', 'admin'], {
-        errorMap: () => ({ message: 'Role must be either "user" or "admin"' }),
-      })
+      .string()
+      .trim()
+      .toLowerCase()
+      .min(1, 'Role must not be empty')
+      .max(50, 'Role must not exceed 50 characters')
       .optional(),
   })
   .refine(data => Object.keys(data).length > 0, {
     message: 'At least one field must be provided for update',
     path: ['body'],
   });
+
+// Schema to validate user list queries; query values arrive as strings.
+// Page either with `cursor` (from a previous response) or with `offset`.
+export const listUsersQuerySchema = z
+  .object({
+    limit: z.coerce
+      .number()
+      .int('Limit must be a whole number')
+      .min(1, 'Limit must be at least 1')
+      .max(100, 'Limit must not exceed 100')
+      .default(20),
+    offset: z.coerce
+      .number()
+      .int('Offset must be a whole number')
+      .min(0, 'Offset must not be negative')
+      .optional(),
+    cursor: z
+      .string()
+      .transform((value, ctx) => {
+        const cursor = decodeCursor(value, USER_SORT_COLUMNS);
+        if (!cursor) {
+          ctx.addIssue({ code: 'custom', message: 'Cursor is invalid' });
+          return z.NEVER;
+        }
+        return cursor;
+      })
+      .optional(),
+    sort: z
+      .enum(USER_SORT_FIELDS, {
+        error: `Sort must be one of: ${USER_SORT_FIELDS.join(', ')}`,
+      })
+      .default('created_at'),
+    order: z
+      .enum(['asc', 'desc'], { error: 'Order must be asc or desc' })
+      .default('desc'),
+    role: z.string().trim().toLowerCase().min(1).max(50).optional(),
+    createdFrom: z.coerce.date('Created from must be a valid date').optional(),
+    createdTo: z.coerce.date('Created to must be a valid date').optional(),
+    search: z
+      .string()
+      .trim()
+      .min(1, 'Search must not be empty')
+      .max(100, 'Search must not exceed 100 characters')
+      .optional(),
+    includeDeleted: z
+      .stringbool({ error: 'Include deleted must be true or false' })
+      .default(false),
+  })
+  .refine(({ cursor, offset }) => !(cursor && offset !== undefined), {
+    message: 'Use either cursor or offset, not both',
+    path: ['cursor'],
+  })
+  .refine(({ cursor, sort }) => !cursor || cursor.sort === sort, {
+    message: 'Cursor was issued for a different sort',
+    path: ['cursor'],
+  })
+  .refine(
+    ({ createdFrom, createdTo }) =>
+      !createdFrom || !createdTo || createdFrom <= createdTo,
+    {
+      message: 'Created from must not be after created to',
+      path: ['createdFrom'],
+    }
+  );
+
+// Schema to validate purge requests; 0 anonymizes every deleted account now,
+// e.g. to honour an erasure request
+export const purgeUsersSchema = z.object({
+  retentionDays: z
+    .number()
+    .int('Retention must be a whole number of days')
+    .min(0, 'Retention must not be negative')
+    .max(3650, 'Retention must not exceed 3650 days')
+    .optional(),
+});
+
+// Schema to validate password changes; the current password proves the
+// request comes from the account holder
+export const changePasswordSchema = z.object({
+  currentPassword: z
+    .string()
+    .min(1, 'Current password is required')
+    .max(255, 'Current password must not exceed 255 characters'),
+  newPassword: newPasswordSchema,
+});
+
+// Request shapes for the validate middleware (also used by the API docs)
+export const userIdRequest = { params: userIdSchema };
+export const listUsersRequest = { query: listUsersQuerySchema };
+export const getUserRequest = {
+  params: userIdSchema,
+  query: getUserQuerySchema,
+};
+export const updateUserRequest = {
+  params: userIdSchema,
+  body: updateUserSchema,
+};
+export const purgeUsersRequest = { body: purgeUsersSchema };
+export const changePasswordRequest = {
+  params: userIdSchema,
+  body: changePasswordSchema,
+};
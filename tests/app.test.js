@@ -23,11 +23,24 @@ describe('API Endpoints', () => {
     });
   });
 
+  describe('GET /api/companies', () => {
+    it('should require authentication', async () => {
+      const response = await request(app).get('/api/companies').expect(401);
+
+      expect(response.headers['content-type']).toMatch(
+        /^application\/problem\+json/
+      );
+      expect(response.body).toHaveProperty('detail', 'No token provided');
+      expect(response.body).toHaveProperty('code', 'UNAUTHORIZED');
+    });
+  });
+
   describe('GET /nonexistent', () => {
     it('should return 404 for non-existent routes', async () => {
       const response = await request(app).get('/nonexsistent').expect(404);
 
-      expect(response.body).toHaveProperty('error', 'Route not found');
+      expect(response.body).toHaveProperty('detail', 'Route not found');
+      expect(response.body).toHaveProperty('code', 'ROUTE_NOT_FOUND');
     });
   });
 });
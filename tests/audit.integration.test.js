@@ -0,0 +1,140 @@
+import request from 'supertest';
+import { eq, sql } from 'drizzle-orm';
+import app from '../src/app.js';
+import { closeDatabase, db } from '../src/config/database.js';
+import { users } from '../src/models/user.model.js';
+import { createUser } from '../src/services/auth.service.js';
+import { signIn } from './helpers/auth.js';
+
+describe('Audit log against the database', () => {
+  let admin;
+  let moderator;
+  let member;
+  let startedAt;
+
+  const searchAudit = async query => {
+    const response = await request(app)
+      .get('/api/admin/audit')
+      .query(query)
+      .set('Cookie', admin.cookies)
+      .expect(200);
+
+    return response.body;
+  };
+
+  beforeAll(async () => {
+    startedAt = new Date(Date.now() - 1000);
+
+    await createUser({
+      name: 'Ada Admin',
+      email: 'ada@example.com',
+      password: 'admin-password',
+      role: 'admin',
+    });
+    await createUser({
+      name: 'Mona Moderator',
+      email: 'mona@example.com',
+      password: 'moderator-password',
+      role: 'moderator',
+    });
+    await createUser({
+      name: 'Max Member',
+      email: 'max@example.com',
+      password: 'member-password',
+    });
+
+    admin = await signIn('ada@example.com', 'admin-password');
+    moderator = await signIn('mona@example.com', 'moderator-password');
+    member = await signIn('max@example.com', 'member-password');
+
+    await request(app)
+      .put(`/api/users/${member.id}`)
+      .set('Cookie', member.cookies)
+      .send({ name: 'Max Renamed' })
+      .expect(200);
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  it('should require admin:logs', async () => {
+    await request(app).get('/api/admin/audit').expect(401);
+
+    const response = await request(app)
+      .get('/api/admin/audit')
+      .set('Cookie', moderator.cookies)
+      .expect(403);
+
+    expect(response.body.detail).toMatch(/admin:logs/);
+  });
+
+  it('should filter by actor', async () => {
+    const { events, total } = await searchAudit({ actorId: member.id });
+
+    expect(total).toBe(events.length);
+    expect(events.map(event => event.action)).toEqual(
+      expect.arrayContaining(['auth.signin', 'user.updated'])
+    );
+    expect(events.every(event => event.actor_id === member.id)).toBe(true);
+  });
+
+  it('should filter by resource', async () => {
+    const { events } = await searchAudit({
+      resourceType: 'user',
+      resourceId: String(member.id),
+      action: 'user.updated',
+    });
+
+    expect(events).toEqual([
+      expect.objectContaining({
+        actor_id: member.id,
+        actor_role: 'user',
+        changes: expect.objectContaining({
+          name: { before: '[REDACTED]', after: '[REDACTED]' },
+        }),
+        request_id: expect.any(String),
+      }),
+    ]);
+  });
+
+  it('should filter by date range', async () => {
+    const now = new Date(Date.now() + 1000);
+
+    expect((await searchAudit({ from: startedAt, to: now })).total).toBe(
+      (await searchAudit({})).total
+    );
+    expect((await searchAudit({ from: now })).total).toBe(0);
+    expect((await searchAudit({ to: startedAt })).total).toBe(0);
+
+    await request(app)
+      .get('/api/admin/audit')
+      .query({ from: now.toISOString(), to: startedAt.toISOString() })
+      .set('Cookie', admin.cookies)
+      .expect(400);
+  });
+
+  it('should undo a change whose audit event cannot be written', async () => {
+    await db.execute(
+      sql`alter table audit_events add constraint audit_refused check (action <> 'user.updated') not valid`
+    );
+
+    try {
+      await request(app)
+        .put(`/api/users/${member.id}`)
+        .set('Cookie', member.cookies)
+        .send({ name: 'Max Unaudited' })
+        .expect(500);
+    } finally {
+      await db.execute(
+        sql`alter table audit_events drop constraint audit_refused`
+      );
+    }
+
+    const [{ name }] = await db
+      .select({ name: users.name })
+      .from(users)
+      .where(eq(users.id, member.id));
+    expect(name).toBe('Max Renamed');
+  });
+});
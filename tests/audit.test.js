@@ -0,0 +1,63 @@
+import { diffChanges } from '../src/services/audit.service.js';
+
+describe('Audit change diff', () => {
+  it('should only include fields that changed', () => {
+    const changes = diffChanges(
+      { name: 'Ada', email: 'ada@example.com', role: 'user' },
+      { name: 'Ada', email: 'ada@example.com', role: 'admin' }
+    );
+
+    expect(changes).toEqual({ role: { before: 'user', after: 'admin' } });
+  });
+
+  it('should record created and deleted records against null', () => {
+    expect(diffChanges(undefined, { id: 1 })).toEqual({
+      id: { before: null, after: 1 },
+    });
+    expect(diffChanges({ id: 1 }, undefined)).toEqual({
+      id: { before: 1, after: null },
+    });
+  });
+
+  it('should compare dates by value', () => {
+    const changes = diffChanges(
+      { updated_at: new Date('2026-01-01T00:00:00Z') },
+      { updated_at: new Date('2026-01-02T00:00:00Z') }
+    );
+
+    expect(changes.updated_at).toEqual({
+      before: '2026-01-01T00:00:00.000Z',
+      after: '2026-01-02T00:00:00.000Z',
+    });
+    expect(
+      diffChanges(
+        { updated_at: new Date('2026-01-01T00:00:00Z') },
+        { updated_at: new Date('2026-01-01T00:00:00Z') }
+      )
+    ).toEqual({});
+  });
+
+  it('should never copy secrets into the record', () => {
+    const changes = diffChanges(
+      { password: 'old-hash' },
+      { password: 'new-hash' }
+    );
+
+    expect(changes.password).toEqual({
+      before: '[REDACTED]',
+      after: '[REDACTED]',
+    });
+  });
+
+  it('should note personal data as changed without copying it', () => {
+    const changes = diffChanges(
+      { name: 'Ada', email: 'ada@example.com' },
+      { name: 'Ada L.', email: 'ada@example.org' }
+    );
+
+    expect(changes).toEqual({
+      name: { before: '[REDACTED]', after: '[REDACTED]' },
+      email: { before: '[REDACTED]', after: '[REDACTED]' },
+    });
+  });
+});
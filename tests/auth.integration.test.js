@@ -0,0 +1,151 @@
+import bcrypt from 'bcrypt';
+import request from 'supertest';
+import { eq } from 'drizzle-orm';
+import app from '../src/app.js';
+import { closeDatabase, db } from '../src/config/database.js';
+import { users } from '../src/models/user.model.js';
+
+// Runs against the embedded database (DATABASE_DRIVER=pglite, the default
+// under test), migrated from drizzle/ and private to this file
+describe('Auth against the database', () => {
+  const account = {
+    name: 'Jane Doe',
+    email: 'jane@example.com',
+    password: 'correct-horse',
+  };
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  it('should sign up a new user with the default role', async () => {
+    const response = await request(app)
+      .post('/api/auth/sign-up')
+      .send(account)
+      .expect(201);
+
+    expect(response.body.user).toMatchObject({
+      name: 'Jane Doe',
+      email: 'jane@example.com',
+      role: 'user',
+    });
+    expect(response.headers['set-cookie'].join(';')).toMatch(/token=/);
+  });
+
+  it('should refuse a password that breaks the policy', async () => {
+    const response = await request(app)
+      .post('/api/auth/sign-up')
+      .send({ ...account, email: 'weak@example.com', password: 'Password1' })
+      .expect(400);
+
+    expect(response.body.code).toBe('WEAK_PASSWORD');
+    expect(response.body.errors).toEqual([
+      {
+        field: 'password',
+        code: 'common_password',
+        message: 'Is too common or has appeared in a data breach',
+      },
+    ]);
+  });
+
+  it('should refuse a second account with the same email', async () => {
+    const response = await request(app)
+      .post('/api/auth/sign-up')
+      .send({ ...account, email: 'JANE@example.com' })
+      .expect(409);
+
+    expect(response.body.code).toBe('CONFLICT');
+  });
+
+  it('should let only one of several concurrent sign-ups through', async () => {
+    const attempts = await Promise.all(
+      Array.from({ length: 5 }, () =>
+        request(app)
+          .post('/api/auth/sign-up')
+          .send({ ...account, email: 'race@example.com' })
+      )
+    );
+
+    const statuses = attempts.map(response => response.status).sort();
+    expect(statuses).toEqual([201, 409, 409, 409, 409]);
+
+    for (const response of attempts.filter(({ status }) => status === 409)) {
+      expect(response.body.detail).toBe('User with this email already exists');
+    }
+  });
+
+  it('should sign in with the right password', async () => {
+    const agent = request.agent(app);
+
+    const response = await agent
+      .post('/api/auth/sign-in')
+      .send({ email: account.email, password: account.password })
+      .expect(200);
+
+    expect(response.body.user.email).toBe(account.email);
+
+    // The session cookie is enough to reach protected routes
+    const me = await agent
+      .get(`/api/users/${response.body.user.id}`)
+      .expect(200);
+    expect(me.body.user.email).toBe(account.email);
+  });
+
+  it('should upgrade an outdated password hash on sign-in', async () => {
+    // As stored before argon2id became the default
+    await db.insert(users).values({
+      name: 'Legacy User',
+      email: 'legacy@example.com',
+      password: await bcrypt.hash('legacy-secret', 10),
+    });
+    const storedHash = async () => {
+      const [user] = await db
+        .select({ password: users.password })
+        .from(users)
+        .where(eq(users.email, 'legacy@example.com'));
+      return user.password;
+    };
+
+    await request(app)
+      .post('/api/auth/sign-in')
+      .send({ email: 'legacy@example.com', password: 'legacy-secret' })
+      .expect(200);
+
+    expect(await storedHash()).toMatch(/^\$argon2id\$/);
+
+    // The upgraded hash still accepts the same password
+    await request(app)
+      .post('/api/auth/sign-in')
+      .send({ email: 'legacy@example.com', password: 'legacy-secret' })
+      .expect(200);
+  });
+
+  it('should reject a wrong password', async () => {
+    const response = await request(app)
+      .post('/api/auth/sign-in')
+      .send({ email: account.email, password: 'wrong-password' })
+      .expect(401);
+
+    expect(response.body.detail).toBe('Invalid email or password');
+  });
+
+  it('should revoke the session on sign-out', async () => {
+    const signIn = await request(app)
+      .post('/api/auth/sign-in')
+      .send({ email: account.email, password: account.password })
+      .expect(200);
+    const cookies = signIn.headers['set-cookie'];
+
+    await request(app)
+      .post('/api/auth/sign-out')
+      .set('Cookie', cookies)
+      .expect(200);
+
+    // The old access token is still unexpired but its session is gone
+    const response = await request(app)
+      .get(`/api/users/${signIn.body.user.id}`)
+      .set('Cookie', cookies)
+      .expect(401);
+    expect(response.body.detail).toBe('Session has been revoked');
+  });
+});
@@ -0,0 +1,79 @@
+import {
+  signInSchema,
+  signupSchema,
+  twoFactorChallengeSchema,
+} from '../src/validations/auth.validation.js';
+
+describe('signupSchema', () => {
+  const validSignup = {
+    name: 'Jane Doe',
+    email: 'jane@example.com',
+    password: 'secret123',
+  };
+
+  it('should ignore a role supplied by the client', () => {
+    const result = signupSchema.safeParse({ ...validSignup, role: 'admin' });
+
+    expect(result.success).toBe(true);
+    expect(result.data).not.toHaveProperty('role');
+  });
+
+  it('should pass an invite token through', () => {
+    const result = signupSchema.safeParse({
+      ...validSignup,
+      inviteToken: 'invite-token',
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.data).toHaveProperty('inviteToken', 'invite-token');
+  });
+});
+
+describe('signInSchema', () => {
+  it('should accept short passwords set before the current policy', () => {
+    expect(
+      signInSchema.safeParse({ email: 'jane@example.com', password: 'abc' })
+        .success
+    ).toBe(true);
+  });
+
+  it('should require a password', () => {
+    expect(
+      signInSchema.safeParse({ email: 'jane@example.com', password: '' })
+        .success
+    ).toBe(false);
+  });
+});
+
+describe('twoFactorChallengeSchema', () => {
+  it('should accept a six digit code', () => {
+    const result = twoFactorChallengeSchema.safeParse({
+      mfaToken: 'mfa-token',
+      code: '123456',
+    });
+
+    expect(result.success).toBe(true);
+  });
+
+  it('should accept a recovery code instead of a code', () => {
+    const result = twoFactorChallengeSchema.safeParse({
+      mfaToken: 'mfa-token',
+      recoveryCode: 'abcde-12345',
+    });
+
+    expect(result.success).toBe(true);
+  });
+
+  it('should require exactly one factor', () => {
+    expect(
+      twoFactorChallengeSchema.safeParse({ mfaToken: 'mfa-token' }).success
+    ).toBe(false);
+    expect(
+      twoFactorChallengeSchema.safeParse({
+        mfaToken: 'mfa-token',
+        code: '123456',
+        recoveryCode: 'abcde-12345',
+      }).success
+    ).toBe(false);
+  });
+});
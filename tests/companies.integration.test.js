@@ -0,0 +1,186 @@
+import request from 'supertest';
+import app from '../src/app.js';
+import { closeDatabase } from '../src/config/database.js';
+import { createUser } from '../src/services/auth.service.js';
+import { signIn } from './helpers/auth.js';
+
+const acme = {
+  legal_name: 'Acme Holdings Ltd',
+  registration_number: '01234567',
+  jurisdiction: 'GB',
+  headcount: 250,
+  revenue: 1250000.5,
+  website: 'https://acme.example.com',
+};
+
+describe('Companies against the database', () => {
+  let admin;
+  let moderator;
+  let member;
+  let companyId;
+
+  beforeAll(async () => {
+    await createUser({
+      name: 'Ada Admin',
+      email: 'ada@example.com',
+      password: 'admin-password',
+      role: 'admin',
+    });
+    await createUser({
+      name: 'Mo Moderator',
+      email: 'mo@example.com',
+      password: 'moderator-password',
+      role: 'moderator',
+    });
+    await createUser({
+      name: 'Max Member',
+      email: 'max@example.com',
+      password: 'member-password',
+    });
+
+    admin = await signIn('ada@example.com', 'admin-password');
+    moderator = await signIn('mo@example.com', 'moderator-password');
+    member = await signIn('max@example.com', 'member-password');
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  it('should create a company', async () => {
+    const response = await request(app)
+      .post('/api/companies')
+      .set('Cookie', moderator.cookies)
+      .send(acme)
+      .expect(201);
+
+    expect(response.body.company).toMatchObject(acme);
+    companyId = response.body.company.id;
+  });
+
+  it('should list every failing field of an invalid company', async () => {
+    const response = await request(app)
+      .post('/api/companies')
+      .set('Cookie', moderator.cookies)
+      .send({ ...acme, legal_name: 'A', headcount: -1, website: 'acme' })
+      .expect(400);
+
+    expect(response.body.errors.map(error => error.field).sort()).toEqual([
+      'headcount',
+      'legal_name',
+      'website',
+    ]);
+  });
+
+  it('should keep registration numbers unique per jurisdiction', async () => {
+    await request(app)
+      .post('/api/companies')
+      .set('Cookie', moderator.cookies)
+      .send({ ...acme, legal_name: 'Acme Copy Ltd' })
+      .expect(409);
+
+    const response = await request(app)
+      .post('/api/companies')
+      .set('Cookie', moderator.cookies)
+      .send({ ...acme, legal_name: 'Acme Ireland Ltd', jurisdiction: 'IE' })
+      .expect(201);
+
+    await request(app)
+      .put(`/api/companies/${response.body.company.id}`)
+      .set('Cookie', moderator.cookies)
+      .send({ jurisdiction: 'GB' })
+      .expect(409);
+  });
+
+  it('should let only one of two simultaneous registrations through', async () => {
+    const register = legalName =>
+      request(app)
+        .post('/api/companies')
+        .set('Cookie', moderator.cookies)
+        .send({
+          ...acme,
+          legal_name: legalName,
+          registration_number: '7654321',
+        });
+
+    const responses = await Promise.all([
+      register('Twin One Ltd'),
+      register('Twin Two Ltd'),
+    ]);
+
+    expect(responses.map(response => response.status).sort()).toEqual([
+      201, 409,
+    ]);
+    expect(
+      responses.find(response => response.status === 409).body
+    ).toMatchObject({
+      code: 'CONFLICT',
+      detail: 'Company with this registration number already exists',
+    });
+  });
+
+  it('should read, update and find a company by id', async () => {
+    const read = await request(app)
+      .get(`/api/companies/${companyId}`)
+      .set('Cookie', member.cookies)
+      .expect(200);
+    expect(read.body.company.legal_name).toBe(acme.legal_name);
+
+    const updated = await request(app)
+      .put(`/api/companies/${companyId}`)
+      .set('Cookie', moderator.cookies)
+      .send({ headcount: 300 })
+      .expect(200);
+    expect(updated.body.company.headcount).toBe(300);
+
+    await request(app)
+      .put(`/api/companies/${companyId}`)
+      .set('Cookie', moderator.cookies)
+      .send({})
+      .expect(400);
+    await request(app)
+      .get('/api/companies/999999')
+      .set('Cookie', member.cookies)
+      .expect(404);
+    await request(app)
+      .get('/api/companies/acme')
+      .set('Cookie', member.cookies)
+      .expect(400);
+  });
+
+  it('should limit each action to roles holding its permission', async () => {
+    const list = await request(app)
+      .get('/api/companies')
+      .set('Cookie', member.cookies)
+      .expect(200);
+    expect(list.body.companies.length).toBeGreaterThan(0);
+
+    await request(app)
+      .post('/api/companies')
+      .set('Cookie', member.cookies)
+      .send({ ...acme, registration_number: 'MEMBER-1' })
+      .expect(403);
+    await request(app)
+      .put(`/api/companies/${companyId}`)
+      .set('Cookie', member.cookies)
+      .send({ headcount: 1 })
+      .expect(403);
+    await request(app)
+      .delete(`/api/companies/${companyId}`)
+      .set('Cookie', moderator.cookies)
+      .expect(403);
+    await request(app).get('/api/companies').expect(401);
+  });
+
+  it('should delete a company', async () => {
+    await request(app)
+      .delete(`/api/companies/${companyId}`)
+      .set('Cookie', admin.cookies)
+      .expect(200);
+
+    await request(app)
+      .get(`/api/companies/${companyId}`)
+      .set('Cookie', admin.cookies)
+      .expect(404);
+  });
+});
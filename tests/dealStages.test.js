@@ -0,0 +1,42 @@
+import {
+  canTransition,
+  DEAL_STAGES,
+  STAGE_TRANSITIONS,
+} from '../src/utils/dealStages.js';
+
+describe('Deal stage transitions', () => {
+  it('should allow advancing one stage at a time', () => {
+    expect(canTransition('sourcing', 'nda')).toBe(true);
+    expect(canTransition('due_diligence', 'signing')).toBe(true);
+    expect(canTransition('closing', 'closed')).toBe(true);
+  });
+
+  it('should not allow skipping stages', () => {
+    expect(canTransition('sourcing', 'closing')).toBe(false);
+    expect(canTransition('nda', 'due_diligence')).toBe(false);
+  });
+
+  it('should not allow moving backwards', () => {
+    expect(canTransition('loi', 'nda')).toBe(false);
+  });
+
+  it('should allow abandoning any open deal', () => {
+    const openStages = DEAL_STAGES.filter(
+      stage => !['closed', 'abandoned'].includes(stage)
+    );
+
+    openStages.forEach(stage => {
+      expect(canTransition(stage, 'abandoned')).toBe(true);
+    });
+  });
+
+  it('should treat closed and abandoned as terminal', () => {
+    expect(STAGE_TRANSITIONS.closed).toEqual([]);
+    expect(STAGE_TRANSITIONS.abandoned).toEqual([]);
+    expect(canTransition('closed', 'sourcing')).toBe(false);
+  });
+
+  it('should reject unknown stages', () => {
+    expect(canTransition('unknown', 'nda')).toBe(false);
+  });
+});
@@ -0,0 +1,251 @@
+import request from 'supertest';
+import { eq, inArray } from 'drizzle-orm';
+import app from '../src/app.js';
+import { closeDatabase, db } from '../src/config/database.js';
+import { users } from '../src/models/user.model.js';
+import { dealStageTransitions } from '../src/models/deal.model.js';
+import { createUser } from '../src/services/auth.service.js';
+import { signIn } from './helpers/auth.js';
+
+describe('Deals against the database', () => {
+  let admin;
+  let moderator;
+  let member;
+  let acquirerId;
+  let targetId;
+  let dealId;
+
+  const newDeal = overrides => ({
+    name: 'Project Falcon',
+    acquirer_id: acquirerId,
+    target_id: targetId,
+    deal_type: 'acquisition',
+    proposed_valuation: 5000000,
+    ...overrides,
+  });
+
+  const createCompany = async (legalName, registrationNumber) => {
+    const response = await request(app)
+      .post('/api/companies')
+      .set('Cookie', admin.cookies)
+      .send({
+        legal_name: legalName,
+        registration_number: registrationNumber,
+        jurisdiction: 'GB',
+      })
+      .expect(201);
+
+    return response.body.company.id;
+  };
+
+  beforeAll(async () => {
+    const accounts = [
+      ['Ada Admin', 'ada@example.com', 'admin-password', 'admin'],
+      ['Mo Moderator', 'mo@example.com', 'moderator-password', 'moderator'],
+      ['Max Member', 'max@example.com', 'member-password', 'user'],
+    ];
+
+    for (const [name, email, password, role] of accounts) {
+      await createUser({ name, email, password, role });
+    }
+
+    // Deals are only open to verified addresses
+    await db
+      .update(users)
+      .set({ email_verified_at: new Date() })
+      .where(
+        inArray(
+          users.email,
+          accounts.map(([, email]) => email)
+        )
+      );
+
+    admin = await signIn('ada@example.com', 'admin-password');
+    moderator = await signIn('mo@example.com', 'moderator-password');
+    member = await signIn('max@example.com', 'member-password');
+
+    acquirerId = await createCompany('Buyer Group plc', 'BUY-1');
+    targetId = await createCompany('Target Widgets Ltd', 'TGT-1');
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  it('should create a deal in the first stage, recording its creator', async () => {
+    const response = await request(app)
+      .post('/api/deals')
+      .set('Cookie', moderator.cookies)
+      .send(newDeal())
+      .expect(201);
+
+    expect(response.body.deal).toMatchObject({
+      name: 'Project Falcon',
+      stage: 'sourcing',
+      currency: 'USD',
+      created_by: moderator.id,
+    });
+    dealId = response.body.deal.id;
+
+    const history = await request(app)
+      .get(`/api/deals/${dealId}/transitions`)
+      .set('Cookie', member.cookies)
+      .expect(200);
+    expect(history.body.transitions).toMatchObject([
+      { from_stage: null, to_stage: 'sourcing', moved_by: moderator.id },
+    ]);
+  });
+
+  it('should reject invalid deals', async () => {
+    const invalid = await request(app)
+      .post('/api/deals')
+      .set('Cookie', moderator.cookies)
+      .send(newDeal({ deal_type: 'hostile', currency: 'dollars' }))
+      .expect(400);
+    expect(invalid.body.errors.map(error => error.field).sort()).toEqual([
+      'currency',
+      'deal_type',
+    ]);
+
+    await request(app)
+      .post('/api/deals')
+      .set('Cookie', moderator.cookies)
+      .send(newDeal({ target_id: acquirerId }))
+      .expect(400);
+
+    const missing = await request(app)
+      .post('/api/deals')
+      .set('Cookie', moderator.cookies)
+      .send(newDeal({ target_id: 999999 }))
+      .expect(404);
+    expect(missing.body.detail).toBe('Target company not found');
+  });
+
+  it('should only move a deal one stage along the pipeline', async () => {
+    await request(app)
+      .post(`/api/deals/${dealId}/stage`)
+      .set('Cookie', moderator.cookies)
+      .send({ stage: 'loi' })
+      .expect(409);
+
+    const response = await request(app)
+      .post(`/api/deals/${dealId}/stage`)
+      .set('Cookie', moderator.cookies)
+      .send({ stage: 'nda', note: 'NDA signed' })
+      .expect(200);
+    expect(response.body.deal.stage).toBe('nda');
+
+    const history = await request(app)
+      .get(`/api/deals/${dealId}/transitions`)
+      .set('Cookie', moderator.cookies)
+      .expect(200);
+    expect(history.body.transitions.map(({ to_stage }) => to_stage)).toEqual([
+      'sourcing',
+      'nda',
+    ]);
+  });
+
+  it('should keep the order of transitions made in the same instant', async () => {
+    await db
+      .update(dealStageTransitions)
+      .set({ created_at: new Date('2025-01-01T00:00:00Z') })
+      .where(eq(dealStageTransitions.deal_id, dealId));
+
+    const history = await request(app)
+      .get(`/api/deals/${dealId}/transitions`)
+      .set('Cookie', moderator.cookies)
+      .expect(200);
+    expect(history.body.transitions.map(({ to_stage }) => to_stage)).toEqual([
+      'sourcing',
+      'nda',
+    ]);
+  });
+
+  it('should update deal details but not the stage', async () => {
+    const response = await request(app)
+      .put(`/api/deals/${dealId}`)
+      .set('Cookie', moderator.cookies)
+      .send({ name: 'Project Falcon II', stage: 'closed' })
+      .expect(200);
+
+    expect(response.body.deal).toMatchObject({
+      name: 'Project Falcon II',
+      stage: 'nda',
+    });
+  });
+
+  it('should refuse to delete a company that is party to a deal', async () => {
+    await request(app)
+      .delete(`/api/companies/${targetId}`)
+      .set('Cookie', admin.cookies)
+      .expect(409);
+  });
+
+  it('should limit each action to roles holding its permission', async () => {
+    await request(app)
+      .get(`/api/deals/${dealId}`)
+      .set('Cookie', member.cookies)
+      .expect(200);
+    await request(app)
+      .post('/api/deals')
+      .set('Cookie', member.cookies)
+      .send(newDeal())
+      .expect(403);
+    await request(app)
+      .post(`/api/deals/${dealId}/stage`)
+      .set('Cookie', member.cookies)
+      .send({ stage: 'abandoned' })
+      .expect(403);
+    await request(app)
+      .delete(`/api/deals/${dealId}`)
+      .set('Cookie', moderator.cookies)
+      .expect(403);
+  });
+
+  it('should keep unverified accounts out', async () => {
+    await createUser({
+      name: 'Una Unverified',
+      email: 'una@example.com',
+      password: 'unverified-password',
+    });
+    const una = await signIn('una@example.com', 'unverified-password');
+
+    const response = await request(app)
+      .get('/api/deals')
+      .set('Cookie', una.cookies)
+      .expect(403);
+    expect(response.body.code).toBe('EMAIL_NOT_VERIFIED');
+  });
+
+  it('should delete a deal but keep its stage history', async () => {
+    await request(app)
+      .delete(`/api/deals/${dealId}`)
+      .set('Cookie', admin.cookies)
+      .expect(200);
+
+    await request(app)
+      .get(`/api/deals/${dealId}`)
+      .set('Cookie', admin.cookies)
+      .expect(404);
+    await request(app)
+      .get(`/api/deals/${dealId}/transitions`)
+      .set('Cookie', admin.cookies)
+      .expect(404);
+    await request(app)
+      .delete(`/api/deals/${dealId}`)
+      .set('Cookie', admin.cookies)
+      .expect(404);
+
+    const list = await request(app)
+      .get('/api/deals')
+      .set('Cookie', admin.cookies)
+      .expect(200);
+    expect(list.body.deals.map(deal => deal.id)).not.toContain(dealId);
+
+    const history = await db
+      .select()
+      .from(dealStageTransitions)
+      .where(eq(dealStageTransitions.deal_id, dealId));
+    expect(history).toHaveLength(2);
+  });
+});
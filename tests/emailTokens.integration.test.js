@@ -0,0 +1,202 @@
+import request from 'supertest';
+import { eq } from 'drizzle-orm';
+import app from '../src/app.js';
+import mailer, { createMemoryTransport } from '../src/config/mailer.js';
+import { closeDatabase, db } from '../src/config/database.js';
+import { userTokens } from '../src/models/userToken.model.js';
+
+// The tokens only ever exist in the mail, so every test reads them back from
+// the memory transport's outbox
+describe('Email verification and password reset against the database', () => {
+  const outbox = createMemoryTransport();
+  let previousTransport;
+
+  const tokenFrom = message =>
+    decodeURIComponent(message.text.match(/token=([^\s]+)/)[1]);
+
+  const lastTokenTo = email =>
+    tokenFrom(outbox.outbox.findLast(message => message.to === email));
+
+  // The reset request answers before its mail is sent, so the mail is waited
+  // for rather than expected straight away
+  const waitForMail = async count => {
+    for (let waited = 0; outbox.outbox.length < count; waited += 10) {
+      if (waited > 2000) throw new Error('No mail was sent');
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+  };
+
+  const signUp = async account => {
+    const response = await request(app)
+      .post('/api/auth/sign-up')
+      .send(account)
+      .expect(201);
+
+    return response.headers['set-cookie'];
+  };
+
+  beforeAll(() => {
+    previousTransport = mailer.getTransport();
+    mailer.setTransport(outbox);
+  });
+
+  afterAll(async () => {
+    mailer.setTransport(previousTransport);
+    await closeDatabase();
+  });
+
+  describe('verifying an email address', () => {
+    const account = {
+      name: 'Vince Verify',
+      email: 'vince@example.com',
+      password: 'first-lantern-key',
+    };
+    let cookies;
+
+    beforeAll(async () => {
+      cookies = await signUp(account);
+    });
+
+    it('should keep verified-only routes closed until the email is verified', async () => {
+      const response = await request(app)
+        .get('/api/deals')
+        .set('Cookie', cookies)
+        .expect(403);
+
+      expect(response.body.code).toBe('EMAIL_NOT_VERIFIED');
+    });
+
+    it('should only accept the most recently sent token', async () => {
+      const first = lastTokenTo(account.email);
+
+      await request(app)
+        .post('/api/auth/resend-verification')
+        .set('Cookie', cookies)
+        .expect(202);
+      const second = lastTokenTo(account.email);
+      expect(second).not.toBe(first);
+
+      await request(app)
+        .post('/api/auth/verify-email')
+        .send({ token: first })
+        .expect(400);
+      await request(app)
+        .post('/api/auth/verify-email')
+        .send({ token: second })
+        .expect(200);
+
+      await request(app).get('/api/deals').set('Cookie', cookies).expect(200);
+    });
+
+    it('should accept a token only once', async () => {
+      await request(app)
+        .post('/api/auth/verify-email')
+        .send({ token: lastTokenTo(account.email) })
+        .expect(400);
+    });
+
+    it('should not resend once the email is verified', async () => {
+      await request(app)
+        .post('/api/auth/resend-verification')
+        .set('Cookie', cookies)
+        .expect(409);
+    });
+  });
+
+  describe('resetting a password', () => {
+    const account = {
+      name: 'Rita Reset',
+      email: 'rita@example.com',
+      password: 'first-lantern-key',
+    };
+    let cookies;
+
+    const requestReset = async () => {
+      const sent = outbox.outbox.length;
+
+      await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: account.email })
+        .expect(202);
+      await waitForMail(sent + 1);
+
+      return lastTokenTo(account.email);
+    };
+
+    beforeAll(async () => {
+      cookies = await signUp(account);
+    });
+
+    it('should answer the same for an unknown email and send nothing', async () => {
+      const sent = outbox.outbox.length;
+
+      await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'nobody@example.com' })
+        .expect(202);
+
+      await new Promise(resolve => setTimeout(resolve, 50));
+      expect(outbox.outbox).toHaveLength(sent);
+    });
+
+    it('should only accept the most recently sent token', async () => {
+      const first = await requestReset();
+      await requestReset();
+
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: first, password: 'second-lantern-key' })
+        .expect(400);
+    });
+
+    it('should keep the token usable after a rejected password', async () => {
+      const token = await requestReset();
+
+      const response = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, password: 'rita' })
+        .expect(400);
+      expect(response.body.code).toBe('WEAK_PASSWORD');
+
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, password: 'second-lantern-key' })
+        .expect(200);
+
+      // Used up by the reset
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, password: 'third-lantern-key' })
+        .expect(400);
+    });
+
+    it('should have signed out every session', async () => {
+      await request(app)
+        .post('/api/auth/resend-verification')
+        .set('Cookie', cookies)
+        .expect(401);
+
+      await request(app)
+        .post('/api/auth/sign-in')
+        .send({ email: account.email, password: account.password })
+        .expect(401);
+      await request(app)
+        .post('/api/auth/sign-in')
+        .send({ email: account.email, password: 'second-lantern-key' })
+        .expect(200);
+    });
+
+    it('should refuse an expired token', async () => {
+      const token = await requestReset();
+      await db
+        .update(userTokens)
+        .set({ expires_at: new Date(Date.now() - 1000) })
+        .where(eq(userTokens.purpose, 'password_reset'));
+
+      await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token, password: 'third-lantern-key' })
+        .expect(400);
+    });
+  });
+});
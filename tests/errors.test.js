@@ -0,0 +1,159 @@
+import express from 'express';
+import request from 'supertest';
+import { errorHandler } from '../src/middleware/error.middleware.js';
+import { config } from '../src/config/env.js';
+import {
+  ConflictError,
+  NotFoundError,
+  TooManyRequestsError,
+  ValidationError,
+} from '../src/utils/errors.js';
+
+const appThrowing = error => {
+  const app = express();
+  app.use(express.json());
+  app.post('/things', () => {
+    throw error;
+  });
+  app.use(errorHandler);
+  return app;
+};
+
+describe('Error middleware', () => {
+  const { isProduction } = config;
+
+  afterEach(() => {
+    config.isProduction = isProduction;
+  });
+
+  it('should map typed errors to their status and code', async () => {
+    const response = await request(
+      appThrowing(new NotFoundError('User not found'))
+    )
+      .post('/things')
+      .set('X-Request-Id', 'req-123')
+      .expect(404);
+
+    expect(response.headers['content-type']).toMatch(
+      /^application\/problem\+json/
+    );
+    expect(response.body).toEqual({
+      type: '/problems/not-found',
+      title: 'Not Found',
+      status: 404,
+      detail: 'User not found',
+      instance: '/things',
+      code: 'NOT_FOUND',
+      requestId: 'req-123',
+    });
+  });
+
+  it('should list every failing field for validation errors', async () => {
+    const errors = [
+      {
+        field: 'email',
+        message: 'Must be a valid email address',
+        code: 'invalid_format',
+      },
+      {
+        field: 'profile.name',
+        message: 'Name is too short',
+        code: 'too_small',
+      },
+    ];
+
+    const response = await request(
+      appThrowing(
+        new ValidationError(
+          'Must be a valid email address, Name is too short',
+          {
+            errors,
+          }
+        )
+      )
+    )
+      .post('/things')
+      .expect(400);
+
+    expect(response.body.title).toBe('Validation failed');
+    expect(response.body.errors).toEqual(errors);
+  });
+
+  it('should keep custom codes', async () => {
+    const response = await request(
+      appThrowing(
+        new ConflictError('Email already exists', { code: 'EMAIL_TAKEN' })
+      )
+    )
+      .post('/things')
+      .expect(409);
+
+    expect(response.body.code).toBe('EMAIL_TAKEN');
+  });
+
+  it('should send Retry-After for rate limited requests', async () => {
+    const response = await request(
+      appThrowing(new TooManyRequestsError('Slow down', { retryAfter: 30 }))
+    )
+      .post('/things')
+      .expect(429);
+
+    expect(response.headers['retry-after']).toBe('30');
+    expect(response.body.retryAfter).toBe(30);
+  });
+
+  it('should hide unexpected errors and stacks in production', async () => {
+    config.isProduction = true;
+
+    const response = await request(appThrowing(new Error('db password leaked')))
+      .post('/things')
+      .expect(500);
+
+    expect(response.body).toEqual({
+      type: '/problems/internal-error',
+      title: 'Internal Server Error',
+      status: 500,
+      detail: 'Internal server error',
+      instance: '/things',
+      code: 'INTERNAL_ERROR',
+      requestId: null,
+    });
+  });
+
+  it('should include the stack outside production', async () => {
+    config.isProduction = false;
+
+    const response = await request(appThrowing(new Error('boom')))
+      .post('/things')
+      .expect(500);
+
+    expect(response.body.stack).toContain('boom');
+  });
+
+  it('should answer an unmapped unique violation with a conflict', async () => {
+    // Shaped like drizzle's wrapper around the driver error
+    const error = Object.assign(new Error('Failed query: insert ...'), {
+      cause: Object.assign(new Error('duplicate key value'), {
+        code: '23505',
+        constraint: 'companies_registration_unique',
+      }),
+    });
+
+    const response = await request(appThrowing(error))
+      .post('/things')
+      .expect(409);
+
+    expect(response.body.code).toBe('CONFLICT');
+    expect(response.body.detail).toBe('Resource already exists');
+  });
+
+  it('should report malformed JSON as a client error', async () => {
+    const response = await request(appThrowing(new Error('unreachable')))
+      .post('/things')
+      .set('Content-Type', 'application/json')
+      .send('{"broken"')
+      .expect(400);
+
+    expect(response.body.code).toBe('ENTITY_PARSE_FAILED');
+  });
+});
@@ -0,0 +1,83 @@
+import request from 'supertest';
+import app from '../src/app.js';
+import {
+  findPendingMigrations,
+  runChecks,
+} from '../src/services/health.service.js';
+
+const pass = () => Promise.resolve();
+const fail = message => () => Promise.reject(new Error(message));
+
+describe('Health probes', () => {
+  it('should report liveness without touching dependencies', async () => {
+    const response = await request(app).get('/health/live').expect(200);
+
+    expect(response.body.status).toBe('OK');
+    expect(response.body).toHaveProperty('uptime');
+  });
+
+  it('should be OK when every check passes', async () => {
+    const result = await runChecks([
+      { name: 'database', critical: true, run: pass },
+      { name: 'migrations', critical: true, run: () => ({ applied: 3 }) },
+    ]);
+
+    expect(result.status).toBe('OK');
+    expect(result.checks.database).toMatchObject({
+      status: 'pass',
+      critical: true,
+    });
+    expect(result.checks.database.latencyMs).toBeGreaterThanOrEqual(0);
+    expect(result.checks.migrations.applied).toBe(3);
+  });
+
+  it('should be unavailable when a critical check fails', async () => {
+    const result = await runChecks([
+      { name: 'database', critical: true, run: fail('connection refused') },
+      { name: 'arcjet', critical: true, run: pass },
+    ]);
+
+    expect(result.status).toBe('UNAVAILABLE');
+    expect(result.checks.database).toMatchObject({
+      status: 'fail',
+      error: 'connection refused',
+    });
+  });
+
+  it('should only degrade on a non-critical failure', async () => {
+    const result = await runChecks([
+      { name: 'database', critical: true, run: pass },
+      { name: 'cache', critical: false, run: fail('cold') },
+    ]);
+
+    expect(result.status).toBe('DEGRADED');
+  });
+
+  it('should fail a check that exceeds its time limit', async () => {
+    const result = await runChecks(
+      [
+        {
+          name: 'database',
+          critical: true,
+          run: () => new Promise(resolve => setTimeout(resolve, 200)),
+        },
+      ],
+      20
+    );
+
+    expect(result.status).toBe('UNAVAILABLE');
+    expect(result.checks.database.error).toBe('Timed out after 20ms');
+  });
+
+  it('should list migrations newer than the last applied one', () => {
+    const entries = [
+      { tag: '0000_init', when: 100 },
+      { tag: '0001_sessions', when: 200 },
+      { tag: '0002_companies', when: 300 },
+    ];
+
+    expect(findPendingMigrations(entries, 200)).toEqual(['0002_companies']);
+    expect(findPendingMigrations(entries, 300)).toEqual([]);
+    expect(findPendingMigrations(entries, null)).toHaveLength(3);
+  });
+});
@@ -0,0 +1,13 @@
+import request from 'supertest';
+import app from '../../src/app.js';
+
+// Signs in through the API, the way a client would, and returns the user's id
+// with the session cookies to send on later requests
+export const signIn = async (email, password) => {
+  const response = await request(app)
+    .post('/api/auth/sign-in')
+    .send({ email, password })
+    .expect(200);
+
+  return { id: response.body.user.id, cookies: response.headers['set-cookie'] };
+};
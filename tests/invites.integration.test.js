@@ -0,0 +1,136 @@
+import request from 'supertest';
+import { and, eq } from 'drizzle-orm';
+import app from '../src/app.js';
+import { closeDatabase, db } from '../src/config/database.js';
+import { invites } from '../src/models/invite.model.js';
+import { auditEvents } from '../src/models/auditEvent.model.js';
+import { createUser } from '../src/services/auth.service.js';
+
+describe('Invites against the database', () => {
+  let adminCookies;
+
+  const createInvite = async body => {
+    const response = await request(app)
+      .post('/api/admin/invites')
+      .set('Cookie', adminCookies)
+      .send(body)
+      .expect(201);
+
+    return response.body;
+  };
+
+  const signUp = (email, inviteToken) =>
+    request(app).post('/api/auth/sign-up').send({
+      name: 'New Colleague',
+      email,
+      password: 'welcome-aboard-2026',
+      inviteToken,
+    });
+
+  const auditedActions = async inviteId =>
+    (
+      await db
+        .select({ action: auditEvents.action })
+        .from(auditEvents)
+        .where(
+          and(
+            eq(auditEvents.resource_type, 'invite'),
+            eq(auditEvents.resource_id, String(inviteId))
+          )
+        )
+    ).map(({ action }) => action);
+
+  beforeAll(async () => {
+    await createUser({
+      name: 'Ada Admin',
+      email: 'ada@example.com',
+      password: 'admin-password',
+      role: 'admin',
+    });
+
+    const response = await request(app)
+      .post('/api/auth/sign-in')
+      .send({ email: 'ada@example.com', password: 'admin-password' })
+      .expect(200);
+    adminCookies = response.headers['set-cookie'];
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  it('should give the invited role at sign-up and audit the invite', async () => {
+    const { invite, token } = await createInvite({ role: 'moderator' });
+
+    expect(invite).toMatchObject({ role: 'moderator', status: 'pending' });
+    expect(await auditedActions(invite.id)).toEqual(['invite.created']);
+
+    const response = await signUp('mod@example.com', token).expect(201);
+    expect(response.body.user.role).toBe('moderator');
+
+    const listed = await request(app)
+      .get('/api/admin/invites')
+      .set('Cookie', adminCookies)
+      .expect(200);
+    expect(
+      listed.body.invites.find(({ id }) => id === invite.id)
+    ).toMatchObject({ status: 'used', used_by: response.body.user.id });
+  });
+
+  it('should accept each invite only once', async () => {
+    const { token } = await createInvite({ role: 'moderator' });
+
+    await signUp('first@example.com', token).expect(201);
+    await signUp('second@example.com', token).expect(403);
+  });
+
+  it('should only accept an invite for the address it was sent to', async () => {
+    const { token } = await createInvite({
+      role: 'moderator',
+      email: 'bound@example.com',
+    });
+
+    await signUp('someone.else@example.com', token).expect(403);
+
+    const response = await signUp('bound@example.com', token).expect(201);
+    expect(response.body.user.role).toBe('moderator');
+  });
+
+  it('should refuse an expired invite', async () => {
+    const { invite, token } = await createInvite({ role: 'moderator' });
+    await db
+      .update(invites)
+      .set({ expires_at: new Date(Date.now() - 1000) })
+      .where(eq(invites.id, invite.id));
+
+    await signUp('late@example.com', token).expect(403);
+  });
+
+  it('should refuse a revoked invite and audit the revocation', async () => {
+    const { invite, token } = await createInvite({ role: 'moderator' });
+
+    const response = await request(app)
+      .delete(`/api/admin/invites/${invite.id}`)
+      .set('Cookie', adminCookies)
+      .expect(200);
+
+    expect(response.body.invite.status).toBe('revoked');
+    expect(await auditedActions(invite.id)).toEqual([
+      'invite.created',
+      'invite.revoked',
+    ]);
+
+    await signUp('revoked@example.com', token).expect(403);
+    await request(app)
+      .delete(`/api/admin/invites/${invite.id}`)
+      .set('Cookie', adminCookies)
+      .expect(409);
+  });
+
+  it('should keep the invitee address out of the audit log', async () => {
+    await createInvite({ role: 'moderator', email: 'private@example.com' });
+
+    const events = await db.select().from(auditEvents);
+    expect(JSON.stringify(events)).not.toContain('private@example.com');
+  });
+});
@@ -0,0 +1,123 @@
+import request from 'supertest';
+import { eq } from 'drizzle-orm';
+import app from '../src/app.js';
+import { config } from '../src/config/env.js';
+import { closeDatabase, db } from '../src/config/database.js';
+import { users } from '../src/models/user.model.js';
+import { auditEvents } from '../src/models/auditEvent.model.js';
+import { createUser } from '../src/services/auth.service.js';
+import { signIn } from './helpers/auth.js';
+
+describe('Sign-in lockout against the database', () => {
+  const account = {
+    name: 'Lena Locked',
+    email: 'lena@example.com',
+    password: 'right-password',
+  };
+  let lenaId;
+  let admin;
+  let member;
+
+  const auditedActions = async action =>
+    db.select().from(auditEvents).where(eq(auditEvents.action, action));
+
+  beforeAll(async () => {
+    ({ id: lenaId } = await createUser(account));
+    await createUser({
+      name: 'Ada Admin',
+      email: 'ada@example.com',
+      password: 'admin-password',
+      role: 'admin',
+    });
+    await createUser({
+      name: 'Max Member',
+      email: 'max@example.com',
+      password: 'member-password',
+    });
+
+    admin = await signIn('ada@example.com', 'admin-password');
+    member = await signIn('max@example.com', 'member-password');
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  it('should lock the account after too many wrong passwords', async () => {
+    for (let attempt = 0; attempt < config.lockout.maxAttempts; attempt++) {
+      await request(app)
+        .post('/api/auth/sign-in')
+        .send({ email: account.email, password: 'wrong-password' })
+        .expect(401);
+
+      // Skip the backoff between attempts; only the count matters here
+      await db
+        .update(users)
+        .set({ last_failed_login_at: null })
+        .where(eq(users.id, lenaId));
+    }
+
+    // Even the right password is not checked while the account is locked
+    const response = await request(app)
+      .post('/api/auth/sign-in')
+      .send({ email: account.email, password: account.password })
+      .expect(429);
+
+    const retryAfter = Number(response.headers['retry-after']);
+    expect(retryAfter).toBeGreaterThan(config.lockout.lockoutMinutes * 60 - 10);
+    expect(retryAfter).toBeLessThanOrEqual(config.lockout.lockoutMinutes * 60);
+    expect(response.body.code).toBe('TOO_MANY_REQUESTS');
+
+    const [locked] = await auditedActions('account.locked');
+    expect(locked).toMatchObject({
+      resource_type: 'user',
+      resource_id: String(lenaId),
+      metadata: { failedAttempts: config.lockout.maxAttempts },
+    });
+    expect(await auditedActions('auth.signin_blocked')).toHaveLength(1);
+  });
+
+  it('should make further attempts wait after a few failures', async () => {
+    await db
+      .update(users)
+      .set({
+        failed_login_attempts: 3,
+        last_failed_login_at: new Date(),
+        locked_until: null,
+      })
+      .where(eq(users.id, lenaId));
+
+    const response = await request(app)
+      .post('/api/auth/sign-in')
+      .send({ email: account.email, password: account.password })
+      .expect(429);
+
+    expect(response.headers['retry-after']).toBe('1');
+  });
+
+  it('should only let users:update:any unlock an account', async () => {
+    await db
+      .update(users)
+      .set({ locked_until: new Date(Date.now() + 60 * 1000) })
+      .where(eq(users.id, lenaId));
+
+    await request(app)
+      .post(`/api/users/${lenaId}/unlock`)
+      .set('Cookie', member.cookies)
+      .expect(403);
+    await request(app).post(`/api/users/${lenaId}/unlock`).expect(401);
+
+    await request(app)
+      .post(`/api/users/${lenaId}/unlock`)
+      .set('Cookie', admin.cookies)
+      .expect(200);
+
+    expect(await auditedActions('account.unlocked')).toEqual([
+      expect.objectContaining({
+        resource_id: String(lenaId),
+        actor_id: admin.id,
+      }),
+    ]);
+    await signIn(account.email, account.password);
+  });
+});
@@ -0,0 +1,56 @@
+import {
+  backoffSeconds,
+  getRetryAfterSeconds,
+} from '../src/services/lockout.service.js';
+
+describe('Sign-in lockout policy', () => {
+  const now = new Date('2026-01-01T12:00:00Z');
+  const secondsAgo = seconds => new Date(now.getTime() - seconds * 1000);
+
+  it('should not delay the first failed attempts', () => {
+    expect(backoffSeconds(0)).toBe(0);
+    expect(backoffSeconds(2)).toBe(0);
+  });
+
+  it('should double the delay with every further failure', () => {
+    expect(backoffSeconds(3)).toBe(1);
+    expect(backoffSeconds(4)).toBe(2);
+    expect(backoffSeconds(5)).toBe(4);
+  });
+
+  it('should make a locked account wait until the lock expires', () => {
+    const user = {
+      failed_login_attempts: 0,
+      last_failed_login_at: null,
+      locked_until: new Date(now.getTime() + 90 * 1000),
+    };
+
+    expect(getRetryAfterSeconds(user, now)).toBe(90);
+  });
+
+  it('should enforce the backoff since the last failure', () => {
+    const user = {
+      failed_login_attempts: 4,
+      last_failed_login_at: secondsAgo(1),
+      locked_until: null,
+    };
+
+    expect(getRetryAfterSeconds(user, now)).toBe(1);
+    expect(
+      getRetryAfterSeconds(
+        { ...user, last_failed_login_at: secondsAgo(3) },
+        now
+      )
+    ).toBe(0);
+  });
+
+  it('should ignore an expired lock', () => {
+    const user = {
+      failed_login_attempts: 0,
+      last_failed_login_at: null,
+      locked_until: secondsAgo(1),
+    };
+
+    expect(getRetryAfterSeconds(user, now)).toBe(0);
+  });
+});
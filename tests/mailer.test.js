@@ -0,0 +1,66 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import logger from '../src/config/logger.js';
+import mailer, {
+  createConsoleTransport,
+  createFileTransport,
+  createMemoryTransport,
+} from '../src/config/mailer.js';
+
+describe('Mail transports', () => {
+  const message = {
+    to: 'jane@example.com',
+    subject: 'Verify your email address',
+    text: 'Hello',
+  };
+
+  it('should keep memory transport messages in its outbox', async () => {
+    const transport = createMemoryTransport();
+
+    await transport.send(message);
+
+    expect(transport.outbox).toEqual([message]);
+  });
+
+  it('should log neither the body nor keep console messages', async () => {
+    const logged = [];
+    const info = logger.info;
+    logger.info = (...args) => logged.push(args);
+
+    try {
+      const transport = createConsoleTransport();
+      await transport.send({ ...message, text: 'Your token is secret-token' });
+
+      expect(transport.outbox).toBeUndefined();
+      expect(JSON.stringify(logged)).not.toContain('secret-token');
+      expect(JSON.stringify(logged)).toContain(message.subject);
+    } finally {
+      logger.info = info;
+    }
+  });
+
+  it('should write file transport messages as JSON', async () => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'mail-'));
+    const transport = createFileTransport({ directory });
+
+    const { filename } = await transport.send(message);
+
+    expect(JSON.parse(await fs.readFile(filename, 'utf8'))).toEqual(message);
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  it('should send through the configured transport with a sender', async () => {
+    const previousTransport = mailer.getTransport();
+    const transport = createMemoryTransport();
+    mailer.setTransport(transport);
+
+    await mailer.send(message);
+
+    expect(transport.outbox[0]).toMatchObject({
+      ...message,
+      from: mailer.from,
+    });
+    mailer.setTransport(previousTransport);
+  });
+});
@@ -0,0 +1,107 @@
+import { EventEmitter } from 'events';
+import request from 'supertest';
+import app from '../src/app.js';
+import { config } from '../src/config/env.js';
+import { dbQueryDuration, timePoolQueries } from '../src/config/metrics.js';
+
+describe('GET /metrics', () => {
+  const original = { ...config.metrics };
+
+  beforeEach(() => {
+    config.metrics = { token: undefined, allowedIps: [] };
+  });
+
+  afterAll(() => {
+    config.metrics = original;
+  });
+
+  it('should be closed when no token or allowlist is configured', async () => {
+    await request(app).get('/metrics').expect(403);
+  });
+
+  it('should reject a wrong bearer token', async () => {
+    config.metrics.token = 'scrape-secret';
+
+    const response = await request(app)
+      .get('/metrics')
+      .set('Authorization', 'Bearer wrong-secret')
+      .expect(401);
+
+    expect(response.body.code).toBe('UNAUTHORIZED');
+  });
+
+  it('should expose request metrics labeled by route template', async () => {
+    config.metrics.token = 'scrape-secret';
+    await request(app).get('/api').expect(200);
+
+    const response = await request(app)
+      .get('/metrics')
+      .set('Authorization', 'Bearer scrape-secret')
+      .expect(200);
+
+    expect(response.headers['content-type']).toMatch(/^text\/plain/);
+    expect(response.text).toMatch(
+      /http_requests_total\{[^}]*method="GET",route="\/api",status="200"/
+    );
+    expect(response.text).toContain('http_request_duration_seconds_bucket');
+    expect(response.text).toContain('# TYPE auth_events_total counter');
+    expect(response.text).toContain('# TYPE db_query_duration_seconds');
+  });
+
+  it('should label errors from a mounted router with the full route', async () => {
+    config.metrics.token = 'scrape-secret';
+    await request(app).get('/api/users/5').expect(401);
+
+    const response = await request(app)
+      .get('/metrics')
+      .set('Authorization', 'Bearer scrape-secret')
+      .expect(200);
+
+    expect(response.text).toMatch(
+      /http_requests_total\{[^}]*method="GET",route="\/api\/users\/:id",status="401"/
+    );
+  });
+
+  it('should let allowlisted addresses in without a token', async () => {
+    config.metrics.allowedIps = ['10.0.0.1', '127.0.0.1', '::1'];
+
+    await request(app).get('/metrics').expect(200);
+  });
+});
+
+describe('timePoolQueries', () => {
+  const completedQueries = async operation => {
+    const { values } = await dbQueryDuration.get();
+    const sample = values.find(
+      value =>
+        value.metricName === 'db_query_duration_seconds_count' &&
+        value.labels.operation === operation &&
+        value.labels.outcome === 'success'
+    );
+    return sample?.value ?? 0;
+  };
+
+  // Answers like a node-postgres client: a promise, or the callback when one
+  // is passed the way the pool itself does
+  const fakeClient = () => ({
+    query: (text, ...rest) => {
+      const callback = rest.at(-1);
+      if (typeof callback !== 'function') return Promise.resolve({ rows: [] });
+      process.nextTick(() => callback(null, { rows: [] }));
+    },
+  });
+
+  it('should time queries on every client the pool opens', async () => {
+    const pool = timePoolQueries(new EventEmitter());
+    const client = fakeClient();
+    pool.emit('connect', client);
+    const before = await completedQueries('update');
+
+    await client.query('update deals set stage = $1', ['closed']);
+    await new Promise(resolve =>
+      client.query('update deals set stage = $1', ['won'], resolve)
+    );
+
+    expect((await completedQueries('update')) - before).toBe(2);
+  });
+});
@@ -0,0 +1,80 @@
+import express from 'express';
+import request from 'supertest';
+import app from '../src/app.js';
+import { PERMISSIONS } from '../src/middleware/rbac.middleware.js';
+import {
+  buildOpenApiDocument,
+  collectRoutes,
+  toOpenApiPath,
+} from '../src/docs/openapi.js';
+
+const spec = buildOpenApiDocument(app);
+
+describe('OpenAPI document', () => {
+  const routes = collectRoutes(app.router.stack);
+
+  it('should find the routes registered in app.js', () => {
+    expect(routes.length).toBeGreaterThan(40);
+  });
+
+  it.each(routes.map(({ method, path }) => [method.toUpperCase(), path]))(
+    'should document %s %s',
+    (method, path) => {
+      expect(spec.paths[toOpenApiPath(path)]).toHaveProperty(
+        method.toLowerCase()
+      );
+    }
+  );
+
+  it('should refuse to build when a route has no metadata', () => {
+    const undocumented = express();
+    undocumented.get('/undocumented', (req, res) => res.end());
+
+    expect(() => buildOpenApiDocument(undocumented)).toThrow(
+      'No OpenAPI metadata for GET /undocumented'
+    );
+  });
+
+  it('should take permissions and requests from the route middleware', () => {
+    const operation = spec.paths['/api/users/{id}'].get;
+
+    expect(operation['x-required-permission']).toBe(PERMISSIONS.USERS.READ);
+    expect(operation.parameters).toContainEqual(
+      expect.objectContaining({ name: 'id', in: 'path', required: true })
+    );
+    expect(operation.responses).toHaveProperty('401');
+    expect(spec.paths['/api/auth/sign-in'].post.security).toEqual([]);
+  });
+
+  it('should use unique operation ids', () => {
+    const ids = Object.values(spec.paths).flatMap(operations =>
+      Object.values(operations).map(({ operationId }) => operationId)
+    );
+
+    expect(new Set(ids).size).toBe(ids.length);
+  });
+
+  it('should describe request bodies from the zod schemas', () => {
+    const { schema } =
+      spec.paths['/api/auth/sign-up'].post.requestBody.content[
+        'application/json'
+      ];
+
+    expect(schema.required).toEqual(
+      expect.arrayContaining(['name', 'email', 'password'])
+    );
+    expect(schema.properties.password).toHaveProperty('maxLength', 255);
+  });
+
+  it('should serve the document as JSON', async () => {
+    const response = await request(app).get('/api/openapi.json').expect(200);
+
+    expect(response.body).toHaveProperty('openapi', '3.1.0');
+  });
+
+  it('should serve the interactive viewer', async () => {
+    const response = await request(app).get('/api/docs/').expect(200);
+
+    expect(response.text).toContain('swagger-ui');
+  });
+});
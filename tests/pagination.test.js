@@ -0,0 +1,123 @@
+import {
+  decodeCursor,
+  encodeCursor,
+  escapeLike,
+} from '../src/utils/pagination.js';
+import { listUsersQuerySchema } from '../src/validations/users.validation.js';
+
+const rawCursor = payload =>
+  Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+const columns = { id: 'integer', name: 'string', created_at: 'timestamp' };
+
+describe('Pagination cursors', () => {
+  it('should round-trip a cursor, serializing dates', () => {
+    const cursor = encodeCursor({
+      sort: 'created_at',
+      value: new Date('2026-01-01T00:00:00Z'),
+      id: 42,
+      direction: 'next',
+    });
+
+    expect(decodeCursor(cursor, columns)).toEqual({
+      sort: 'created_at',
+      value: '2026-01-01T00:00:00.000Z',
+      id: 42,
+      direction: 'next',
+    });
+  });
+
+  it('should reject tampered or malformed cursors', () => {
+    expect(decodeCursor('not-a-cursor', columns)).toBeNull();
+    expect(
+      decodeCursor(rawCursor({ s: 'name', v: 'a', id: 'x' }), columns)
+    ).toBeNull();
+  });
+
+  it('should reject values that do not fit the sort column', () => {
+    const decode = (s, v) =>
+      decodeCursor(rawCursor({ s, v, id: 1, d: 'next' }), columns);
+
+    expect(decode('created_at', 'garbage')).toBeNull();
+    expect(decode('id', 'abc')).toBeNull();
+    expect(decode('name', {})).toBeNull();
+    expect(decode('password', 'secret')).toBeNull();
+    expect(decode('toString', 'a')).toBeNull();
+    expect(decode('id', 7)).toMatchObject({ sort: 'id', value: 7 });
+  });
+
+  it('should escape LIKE wildcards', () => {
+    expect(escapeLike('50%_off\\')).toBe('50\\%\\_off\\\\');
+  });
+});
+
+describe('User list query validation', () => {
+  it('should apply defaults', () => {
+    const result = listUsersQuerySchema.safeParse({});
+
+    expect(result.success).toBe(true);
+    expect(result.data).toMatchObject({
+      limit: 20,
+      sort: 'created_at',
+      order: 'desc',
+    });
+  });
+
+  it('should only show deleted users when asked', () => {
+    expect(listUsersQuerySchema.parse({}).includeDeleted).toBe(false);
+    expect(
+      listUsersQuerySchema.parse({ includeDeleted: 'true' }).includeDeleted
+    ).toBe(true);
+    expect(
+      listUsersQuerySchema.safeParse({ includeDeleted: 'maybe' }).success
+    ).toBe(false);
+  });
+
+  it('should reject columns that are not sortable', () => {
+    expect(listUsersQuerySchema.safeParse({ sort: 'password' }).success).toBe(
+      false
+    );
+  });
+
+  it('should reject a cursor combined with an offset', () => {
+    const cursor = encodeCursor({
+      sort: 'created_at',
+      value: '2026-01-01T00:00:00.000Z',
+      id: 1,
+      direction: 'next',
+    });
+
+    expect(
+      listUsersQuerySchema.safeParse({ cursor, offset: '0' }).success
+    ).toBe(false);
+  });
+
+  it('should reject a cursor issued for another sort', () => {
+    const cursor = encodeCursor({
+      sort: 'name',
+      value: 'Ada',
+      id: 1,
+      direction: 'next',
+    });
+
+    expect(listUsersQuerySchema.safeParse({ cursor }).success).toBe(false);
+    expect(
+      listUsersQuerySchema.safeParse({ cursor, sort: 'name' }).success
+    ).toBe(true);
+  });
+
+  it('should reject a cursor whose value does not fit its sort', () => {
+    const cases = [
+      { sort: 'created_at', v: 'garbage' },
+      { sort: 'id', v: 'abc' },
+      { sort: 'name', v: {} },
+    ];
+
+    for (const { sort, v } of cases) {
+      const cursor = rawCursor({ s: sort, v, id: 1, d: 'next' });
+      expect(listUsersQuerySchema.safeParse({ cursor, sort }).success).toBe(
+        false
+      );
+    }
+  });
+});
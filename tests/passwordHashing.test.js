@@ -0,0 +1,65 @@
+import bcrypt from 'bcrypt';
+import {
+  createPasswordHash,
+  needsRehash,
+  schemeOf,
+  verifyPasswordHash,
+} from '../src/utils/passwordHashing.js';
+
+// Low costs keep the suite fast; production values come from configuration
+const argon2Options = {
+  algorithm: 'argon2id',
+  bcryptCost: 4,
+  argon2: { memoryCost: 1024, timeCost: 1, parallelism: 1 },
+};
+const bcryptOptions = { ...argon2Options, algorithm: 'bcrypt' };
+
+describe('Password hashing', () => {
+  it('should hash with the configured scheme', async () => {
+    const argon2Hash = await createPasswordHash('hunter-22', argon2Options);
+    const bcryptHash = await createPasswordHash('hunter-22', bcryptOptions);
+
+    expect(schemeOf(argon2Hash)).toBe('argon2id');
+    expect(argon2Hash).toContain('m=1024,p=1,t=1');
+    expect(schemeOf(bcryptHash)).toBe('bcrypt');
+    expect(bcrypt.getRounds(bcryptHash)).toBe(4);
+  });
+
+  it('should verify passwords against either scheme', async () => {
+    for (const options of [argon2Options, bcryptOptions]) {
+      const hash = await createPasswordHash('hunter-22', options);
+
+      await expect(verifyPasswordHash('hunter-22', hash)).resolves.toBe(true);
+      await expect(verifyPasswordHash('hunter-23', hash)).resolves.toBe(false);
+    }
+  });
+
+  it('should never match an unknown hash format', async () => {
+    await expect(verifyPasswordHash('!purged', '!purged')).resolves.toBe(false);
+    expect(schemeOf('!purged')).toBeUndefined();
+  });
+
+  it('should flag hashes from another scheme for rehashing', async () => {
+    const bcryptHash = await createPasswordHash('hunter-22', bcryptOptions);
+
+    expect(needsRehash(bcryptHash, bcryptOptions)).toBe(false);
+    expect(needsRehash(bcryptHash, argon2Options)).toBe(true);
+    expect(needsRehash('!purged', argon2Options)).toBe(true);
+  });
+
+  it('should flag hashes made with other costs for rehashing', async () => {
+    const argon2Hash = await createPasswordHash('hunter-22', argon2Options);
+    const bcryptHash = await createPasswordHash('hunter-22', bcryptOptions);
+
+    expect(needsRehash(argon2Hash, argon2Options)).toBe(false);
+    expect(
+      needsRehash(argon2Hash, {
+        ...argon2Options,
+        argon2: { ...argon2Options.argon2, timeCost: 2 },
+      })
+    ).toBe(true);
+    expect(needsRehash(bcryptHash, { ...bcryptOptions, bcryptCost: 5 })).toBe(
+      true
+    );
+  });
+});
@@ -0,0 +1,91 @@
+import {
+  checkPasswordPolicy,
+  loadBlocklist,
+  passwordPolicyError,
+} from '../src/utils/passwordPolicy.js';
+
+const codesFor = (password, user, policy = {}) =>
+  checkPasswordPolicy(password, user, {
+    minLength: 8,
+    maxLength: 64,
+    requiredClasses: [],
+    blocklist: new Set(['password', 'letmein']),
+    ...policy,
+  }).map(violation => violation.code);
+
+describe('Password policy', () => {
+  const user = { name: 'Jane Doe', email: 'jane.doe@example.com' };
+
+  it('should accept a password that meets every rule', () => {
+    expect(codesFor('correct-horse-battery', user)).toEqual([]);
+  });
+
+  it('should enforce the length range in characters', () => {
+    expect(codesFor('short', user)).toEqual(['too_short']);
+    expect(codesFor('x'.repeat(65), user)).toEqual(['too_long']);
+    // Eight characters even though some take more than one code unit
+    expect(codesFor('😀😀😀😀horse', user)).toEqual([]);
+  });
+
+  it('should require the configured character classes', () => {
+    const policy = {
+      requiredClasses: ['lowercase', 'uppercase', 'digit', 'symbol'],
+    };
+
+    expect(codesFor('correcthorse', user, policy)).toEqual([
+      'missing_uppercase',
+      'missing_digit',
+      'missing_symbol',
+    ]);
+    expect(codesFor('Correct-Horse-9', user, policy)).toEqual([]);
+  });
+
+  it('should reject passwords containing the name or email', () => {
+    expect(codesFor('janes-battery', user)).toEqual(['contains_personal_info']);
+    expect(codesFor('horse-DOE-staple', user)).toEqual([
+      'contains_personal_info',
+    ]);
+    // Too short to be telling
+    expect(codesFor('horse-battery', { name: 'Al Li' })).toEqual([]);
+  });
+
+  it('should reject listed passwords and their usual variations', () => {
+    expect(codesFor('LetMeIn', user, { minLength: 1 })).toEqual([
+      'common_password',
+    ]);
+    expect(codesFor('Password123!', user)).toEqual(['common_password']);
+  });
+
+  it('should report every broken rule together', () => {
+    expect(codesFor('jane', user, { requiredClasses: ['digit'] })).toEqual([
+      'too_short',
+      'missing_digit',
+      'contains_personal_info',
+    ]);
+  });
+
+  it('should point each violation at the password field', () => {
+    const error = passwordPolicyError(
+      [{ code: 'too_short', message: 'Must be at least 8 characters' }],
+      'newPassword'
+    );
+
+    expect(error.status).toBe(400);
+    expect(error.code).toBe('WEAK_PASSWORD');
+    expect(error.errors).toEqual([
+      {
+        field: 'newPassword',
+        code: 'too_short',
+        message: 'Must be at least 8 characters',
+      },
+    ]);
+  });
+
+  it('should bundle a list of common passwords', () => {
+    const blocklist = loadBlocklist('src/data/common-passwords.txt');
+
+    expect(blocklist.has('123456')).toBe(true);
+    expect(blocklist.has('qwerty')).toBe(true);
+    expect([...blocklist].some(entry => entry.startsWith('#'))).toBe(false);
+  });
+});
@@ -0,0 +1,108 @@
+import { Writable } from 'stream';
+import express from 'express';
+import request from 'supertest';
+import winston from 'winston';
+import logger from '../src/config/logger.js';
+import { requestId } from '../src/middleware/requestId.middleware.js';
+import { accessLog } from '../src/middleware/accessLog.middleware.js';
+
+const captureLogs = () => {
+  const entries = [];
+  const transport = new winston.transports.Stream({
+    stream: new Writable({
+      objectMode: true,
+      write: (info, _encoding, callback) => {
+        entries.push(info);
+        callback();
+      },
+    }),
+  });
+
+  logger.add(transport);
+  return { entries, stop: () => logger.remove(transport) };
+};
+
+const buildApp = () => {
+  const app = express();
+  app.use(requestId);
+  app.use(accessLog);
+  app.get('/things/:id', async (req, res) => {
+    req.user = { id: 7 };
+    // Logged after an await, as a service would
+    await new Promise(resolve => setTimeout(resolve, 1));
+    logger.info('Loading thing');
+    res.json({ id: req.params.id });
+  });
+  return app;
+};
+
+describe('Request id and log context', () => {
+  let logs;
+
+  beforeEach(() => {
+    logs = captureLogs();
+  });
+
+  afterEach(() => {
+    logs.stop();
+  });
+
+  it('should reuse a valid incoming request id', async () => {
+    const response = await request(buildApp())
+      .get('/things/1')
+      .set('X-Request-Id', 'abc-123')
+      .expect(200);
+
+    expect(response.headers['x-request-id']).toBe('abc-123');
+  });
+
+  it('should generate an id when none or an unsafe one is sent', async () => {
+    const generated = await request(buildApp()).get('/things/1').expect(200);
+    const replaced = await request(buildApp())
+      .get('/things/1')
+      .set('X-Request-Id', 'x'.repeat(200))
+      .expect(200);
+
+    expect(generated.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+    expect(replaced.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+  });
+
+  it('should add request id, user and route to logs inside the request', async () => {
+    await request(buildApp())
+      .get('/things/1')
+      .set('X-Request-Id', 'req-42')
+      .expect(200);
+
+    const entry = logs.entries.find(e => e.message === 'Loading thing');
+    expect(entry).toMatchObject({
+      requestId: 'req-42',
+      userId: 7,
+      route: '/things/:id',
+    });
+  });
+
+  it('should write one structured access log line per request', async () => {
+    await request(buildApp())
+      .get('/things/5')
+      .set('X-Request-Id', 'req-43')
+      .expect(200);
+
+    const entry = logs.entries.find(e => e.type === 'access');
+    expect(entry).toMatchObject({
+      requestId: 'req-43',
+      method: 'GET',
+      path: '/things/5',
+      route: '/things/:id',
+      status: 200,
+    });
+    expect(entry.durationMs).toBeGreaterThanOrEqual(0);
+  });
+
+  it('should keep timestamps now that every format is applied', async () => {
+    logger.info('Outside any request');
+
+    const entry = logs.entries.find(e => e.message === 'Outside any request');
+    expect(entry.timestamp).toBeDefined();
+    expect(entry.requestId).toBeUndefined();
+  });
+});
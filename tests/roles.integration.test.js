@@ -0,0 +1,188 @@
+import request from 'supertest';
+import { eq } from 'drizzle-orm';
+import app from '../src/app.js';
+import { closeDatabase, db } from '../src/config/database.js';
+import { auditEvents } from '../src/models/auditEvent.model.js';
+import { createUser } from '../src/services/auth.service.js';
+import { signIn } from './helpers/auth.js';
+
+const auditedActions = async resourceId =>
+  (
+    await db
+      .select({ action: auditEvents.action, changes: auditEvents.changes })
+      .from(auditEvents)
+      .where(eq(auditEvents.resource_id, String(resourceId)))
+  ).filter(({ action }) => !action.startsWith('auth.'));
+
+describe('Role management against the database', () => {
+  let superadmin;
+  let admin;
+  let member;
+
+  beforeAll(async () => {
+    await createUser({
+      name: 'Sam Super',
+      email: 'sam@example.com',
+      password: 'superadmin-password',
+      role: 'superadmin',
+    });
+    await createUser({
+      name: 'Ada Admin',
+      email: 'ada@example.com',
+      password: 'admin-password',
+      role: 'admin',
+    });
+    await createUser({
+      name: 'Max Member',
+      email: 'max@example.com',
+      password: 'member-password',
+      role: 'user',
+    });
+
+    superadmin = await signIn('sam@example.com', 'superadmin-password');
+    admin = await signIn('ada@example.com', 'admin-password');
+    member = await signIn('max@example.com', 'member-password');
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  it('should list the built-in roles for an admin', async () => {
+    const response = await request(app)
+      .get('/api/admin/roles')
+      .set('Cookie', admin.cookies)
+      .expect(200);
+
+    expect(response.body.roles.map(role => role.name)).toEqual(
+      expect.arrayContaining(['user', 'moderator', 'admin', 'superadmin'])
+    );
+
+    await request(app)
+      .get('/api/admin/roles')
+      .set('Cookie', member.cookies)
+      .expect(403);
+    await request(app)
+      .get('/api/admin/roles/nobody')
+      .set('Cookie', admin.cookies)
+      .expect(404);
+  });
+
+  it('should create, update and delete a role and audit each step', async () => {
+    const created = await request(app)
+      .post('/api/admin/roles')
+      .set('Cookie', admin.cookies)
+      .send({ name: 'Analyst', permissions: ['deals:read'] })
+      .expect(201);
+
+    expect(created.body.role).toMatchObject({
+      name: 'analyst',
+      permissions: ['deals:read'],
+    });
+
+    await request(app)
+      .post('/api/admin/roles')
+      .set('Cookie', admin.cookies)
+      .send({ name: 'analyst' })
+      .expect(409);
+
+    const updated = await request(app)
+      .put('/api/admin/roles/analyst')
+      .set('Cookie', admin.cookies)
+      .send({ permissions: ['deals:read', 'companies:read'] })
+      .expect(200);
+
+    expect(updated.body.role.permissions.sort()).toEqual([
+      'companies:read',
+      'deals:read',
+    ]);
+
+    await request(app)
+      .delete('/api/admin/roles/analyst')
+      .set('Cookie', admin.cookies)
+      .expect(200);
+
+    const events = await auditedActions('analyst');
+    expect(events.map(({ action }) => action)).toEqual([
+      'role.created',
+      'role.updated',
+      'role.deleted',
+    ]);
+    expect(events[1].changes.permissions.before).toEqual(['deals:read']);
+  });
+
+  it('should reject unknown permissions', async () => {
+    await request(app)
+      .post('/api/admin/roles')
+      .set('Cookie', admin.cookies)
+      .send({ name: 'wizard', permissions: ['spells:cast'] })
+      .expect(400);
+  });
+
+  it('should not let an admin grant more than the admin holds', async () => {
+    await request(app)
+      .post('/api/admin/roles')
+      .set('Cookie', admin.cookies)
+      .send({ name: 'root', permissions: ['*'] })
+      .expect(403);
+    await request(app)
+      .put('/api/admin/roles/admin')
+      .set('Cookie', admin.cookies)
+      .send({ permissions: ['*'] })
+      .expect(403);
+    await request(app)
+      .put('/api/admin/roles/superadmin')
+      .set('Cookie', admin.cookies)
+      .send({ description: 'Renamed' })
+      .expect(403);
+    await request(app)
+      .delete('/api/admin/roles/superadmin')
+      .set('Cookie', admin.cookies)
+      .expect(403);
+  });
+
+  it('should refuse to delete a protected or assigned role', async () => {
+    await request(app)
+      .delete('/api/admin/roles/user')
+      .set('Cookie', superadmin.cookies)
+      .expect(409);
+    await request(app)
+      .delete('/api/admin/roles/admin')
+      .set('Cookie', superadmin.cookies)
+      .expect(409);
+  });
+
+  it('should only let a role be assigned by someone holding all of it', async () => {
+    await request(app)
+      .put(`/api/users/${member.id}`)
+      .set('Cookie', admin.cookies)
+      .send({ role: 'superadmin' })
+      .expect(403);
+    await request(app)
+      .put(`/api/users/${superadmin.id}`)
+      .set('Cookie', admin.cookies)
+      .send({ role: 'user' })
+      .expect(403);
+    await request(app)
+      .post('/api/admin/invites')
+      .set('Cookie', admin.cookies)
+      .send({ role: 'superadmin' })
+      .expect(403);
+
+    const response = await request(app)
+      .put(`/api/users/${member.id}`)
+      .set('Cookie', admin.cookies)
+      .send({ role: 'moderator' })
+      .expect(200);
+
+    expect(response.body.user.role).toBe('moderator');
+
+    const events = await auditedActions(member.id);
+    expect(events.find(({ action }) => action === 'user.role_changed')).toEqual(
+      {
+        action: 'user.role_changed',
+        changes: { role: { before: 'user', after: 'moderator' } },
+      }
+    );
+  });
+});
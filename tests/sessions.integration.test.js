@@ -0,0 +1,130 @@
+import request from 'supertest';
+import { eq } from 'drizzle-orm';
+import app from '../src/app.js';
+import { closeDatabase, db } from '../src/config/database.js';
+import { sessions } from '../src/models/session.model.js';
+import { createUser } from '../src/services/auth.service.js';
+
+// name=value pairs from Set-Cookie headers, keyed by cookie name
+const cookiesFrom = response =>
+  Object.fromEntries(
+    response.headers['set-cookie'].map(header => {
+      const [pair] = header.split(';');
+      const separator = pair.indexOf('=');
+      return [pair.slice(0, separator), pair.slice(separator + 1)];
+    })
+  );
+
+const cookieHeader = values =>
+  Object.entries(values)
+    .map(([name, value]) => `${name}=${value}`)
+    .join('; ');
+
+describe('Sessions against the database', () => {
+  const email = 'sid@example.com';
+  const password = 'session-password';
+  let userId;
+
+  const signIn = async () => {
+    const response = await request(app)
+      .post('/api/auth/sign-in')
+      .send({ email, password })
+      .expect(200);
+
+    return { response, cookies: cookiesFrom(response) };
+  };
+
+  const refresh = refreshToken =>
+    request(app)
+      .post('/api/auth/refresh')
+      .set('Cookie', cookieHeader({ refresh_token: refreshToken }));
+
+  const fetchProfile = token =>
+    request(app)
+      .get(`/api/users/${userId}`)
+      .set('Cookie', cookieHeader({ token }));
+
+  const sessionOf = async accessToken => {
+    const { sid } = JSON.parse(
+      Buffer.from(accessToken.split('.')[1], 'base64url').toString('utf8')
+    );
+    const [session] = await db
+      .select()
+      .from(sessions)
+      .where(eq(sessions.id, sid));
+    return session;
+  };
+
+  beforeAll(async () => {
+    ({ id: userId } = await createUser({
+      name: 'Sid Session',
+      email,
+      password,
+    }));
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  it('should keep the access token cookie as long as the token', async () => {
+    const { response } = await signIn();
+
+    const tokenCookie = response.headers['set-cookie'].find(header =>
+      header.startsWith('token=')
+    );
+    expect(tokenCookie).toMatch(/Max-Age=900;/);
+  });
+
+  it('should rotate the refresh token within the same session', async () => {
+    const { cookies } = await signIn();
+
+    const response = await refresh(cookies.refresh_token).expect(200);
+    const rotated = cookiesFrom(response);
+
+    expect(response.body.user).toMatchObject({ id: userId, email });
+    expect(rotated.refresh_token).not.toBe(cookies.refresh_token);
+    expect((await sessionOf(rotated.token)).id).toBe(
+      (await sessionOf(cookies.token)).id
+    );
+    await fetchProfile(rotated.token).expect(200);
+
+    // The rotated token keeps working
+    await refresh(rotated.refresh_token).expect(200);
+  });
+
+  it('should revoke the session when an old refresh token is replayed', async () => {
+    const { cookies } = await signIn();
+    const rotated = cookiesFrom(
+      await refresh(cookies.refresh_token).expect(200)
+    );
+
+    const replay = await refresh(cookies.refresh_token).expect(401);
+    expect(replay.body.detail).toBe('Refresh token reuse detected');
+
+    // Whoever holds the current token is signed out as well
+    await refresh(rotated.refresh_token).expect(401);
+    await fetchProfile(rotated.token).expect(401);
+    expect((await sessionOf(rotated.token)).revoked_reason).toBe('token_reuse');
+  });
+
+  it('should end the session on sign-out', async () => {
+    const { cookies } = await signIn();
+
+    const response = await request(app)
+      .post('/api/auth/sign-out')
+      .set('Cookie', cookieHeader(cookies))
+      .expect(200);
+
+    expect(response.headers['set-cookie'].join(';')).toMatch(/token=;/);
+    await fetchProfile(cookies.token).expect(401);
+    await refresh(cookies.refresh_token).expect(401);
+    expect((await sessionOf(cookies.token)).revoked_reason).toBe('signout');
+  });
+
+  it('should refuse a refresh without a token', async () => {
+    const response = await request(app).post('/api/auth/refresh').expect(401);
+
+    expect(response.body.detail).toBe('No refresh token provided');
+  });
+});
@@ -0,0 +1,149 @@
+import http from 'http';
+import { Writable } from 'stream';
+import express from 'express';
+import winston from 'winston';
+import { createGracefulShutdown } from '../src/utils/shutdown.js';
+import { isShuttingDown } from '../src/services/health.service.js';
+
+const silentLogger = () =>
+  winston.createLogger({
+    transports: [
+      new winston.transports.Stream({
+        stream: new Writable({ write: (_chunk, _encoding, done) => done() }),
+      }),
+    ],
+  });
+
+const servers = [];
+
+const startServer = () => {
+  const app = express();
+  let releaseSlow;
+  const slowStarted = new Promise(resolve => {
+    app.get('/slow', (req, res) => {
+      releaseSlow = () => res.send('finished');
+      resolve();
+    });
+  });
+  app.get('/fast', (req, res) => res.send('ok'));
+
+  const server = app.listen(0, '127.0.0.1');
+  servers.push(server);
+
+  return new Promise(resolve => {
+    server.on('listening', () =>
+      resolve({
+        server,
+        port: server.address().port,
+        slowStarted,
+        releaseSlow: () => releaseSlow(),
+      })
+    );
+  });
+};
+
+const get = (port, path) =>
+  new Promise((resolve, reject) => {
+    http
+      .get({ host: '127.0.0.1', port, path, agent: false }, res => {
+        let body = '';
+        res.on('data', chunk => (body += chunk));
+        res.on('end', () =>
+          resolve({ status: res.statusCode, headers: res.headers, body })
+        );
+      })
+      .on('error', reject);
+  });
+
+describe('Graceful shutdown', () => {
+  // Servers left open by a failing test would keep jest running
+  afterEach(() => {
+    for (const server of servers.splice(0)) {
+      server.closeAllConnections();
+      server.close();
+    }
+  });
+
+  it('should drain in-flight requests, refuse new ones and exit 0', async () => {
+    const { server, port, slowStarted, releaseSlow } = await startServer();
+    const exitCodes = [];
+    const shutdown = createGracefulShutdown(server, {
+      timeoutMs: 2000,
+      logger: silentLogger(),
+      exit: code => exitCodes.push(code),
+    });
+
+    const inFlight = get(port, '/slow');
+    await slowStarted;
+
+    const done = shutdown('SIGTERM');
+    expect(isShuttingDown()).toBe(true);
+    await expect(get(port, '/fast')).rejects.toThrow(/ECONNREFUSED/);
+
+    releaseSlow();
+    const response = await inFlight;
+    expect(response.body).toBe('finished');
+    expect(response.headers.connection).toBe('close');
+
+    await done;
+    expect(exitCodes).toEqual([0]);
+    expect(server.listening).toBe(false);
+  });
+
+  it('should keep serving during the grace period, then close the database', async () => {
+    const { server, port } = await startServer();
+    const events = [];
+    const shutdown = createGracefulShutdown(server, {
+      timeoutMs: 2000,
+      graceMs: 200,
+      closeDatabase: async () =>
+        events.push(`database closed, listening: ${server.listening}`),
+      logger: silentLogger(),
+      exit: code => events.push(`exit ${code}`),
+    });
+
+    const done = shutdown('SIGTERM');
+    expect(isShuttingDown()).toBe(true);
+
+    const response = await get(port, '/fast');
+    expect(response.status).toBe(200);
+    expect(response.headers.connection).toBe('close');
+
+    await done;
+    expect(events).toEqual(['database closed, listening: false', 'exit 0']);
+  });
+
+  it('should cut off requests that outlive the timeout and exit 1', async () => {
+    const { server, port, slowStarted } = await startServer();
+    const exitCodes = [];
+    const shutdown = createGracefulShutdown(server, {
+      timeoutMs: 50,
+      logger: silentLogger(),
+      exit: code => exitCodes.push(code),
+    });
+
+    const inFlight = get(port, '/slow');
+    await slowStarted;
+
+    await shutdown('SIGTERM');
+    await expect(inFlight).rejects.toThrow(/socket hang up|ECONNRESET/);
+    expect(exitCodes).toEqual([1]);
+  });
+
+  it('should run only once when signalled repeatedly', async () => {
+    const { server } = await startServer();
+    const exitCodes = [];
+    const shutdown = createGracefulShutdown(server, {
+      timeoutMs: 500,
+      logger: silentLogger(),
+      exit: code => exitCodes.push(code),
+    });
+
+    const first = shutdown('SIGTERM');
+    const second = shutdown('SIGINT');
+
+    expect(second).toBe(first);
+    await first;
+    expect(exitCodes).toHaveLength(1);
+  });
+});
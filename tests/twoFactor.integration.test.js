@@ -0,0 +1,231 @@
+import request from 'supertest';
+import { and, eq } from 'drizzle-orm';
+import { generate } from 'otplib';
+import app from '../src/app.js';
+import { config } from '../src/config/env.js';
+import { closeDatabase, db } from '../src/config/database.js';
+import { users } from '../src/models/user.model.js';
+import { auditEvents } from '../src/models/auditEvent.model.js';
+
+const account = {
+  name: 'Tara Token',
+  email: 'tara@example.com',
+  password: 'second-factor-guard',
+};
+
+describe('Two-factor sign-in against the database', () => {
+  let userId;
+  let secret;
+  let recoveryCodes;
+
+  // Every accepted code must be from a later time step than the last one, so
+  // tests that need several codes in a row forget the last accepted step
+  const freshCode = async () => {
+    await db
+      .update(users)
+      .set({ two_factor_last_step: null })
+      .where(eq(users.id, userId));
+    return generate({ secret });
+  };
+
+  const lockoutState = async () => {
+    const [user] = await db
+      .select({
+        failed_login_attempts: users.failed_login_attempts,
+        locked_until: users.locked_until,
+      })
+      .from(users)
+      .where(eq(users.id, userId));
+    return user;
+  };
+
+  const clearLockout = () =>
+    db
+      .update(users)
+      .set({
+        failed_login_attempts: 0,
+        last_failed_login_at: null,
+        locked_until: null,
+      })
+      .where(eq(users.id, userId));
+
+  const countSignIns = async () => {
+    const events = await db
+      .select()
+      .from(auditEvents)
+      .where(
+        and(
+          eq(auditEvents.action, 'auth.signin'),
+          eq(auditEvents.resource_id, String(userId))
+        )
+      );
+    return events.length;
+  };
+
+  const startSignIn = async () => {
+    const response = await request(app)
+      .post('/api/auth/sign-in')
+      .send({ email: account.email, password: account.password })
+      .expect(200);
+
+    expect(response.body.mfaRequired).toBe(true);
+    expect(response.headers['set-cookie']).toBeUndefined();
+    return response.body.mfaToken;
+  };
+
+  beforeAll(async () => {
+    const response = await request(app)
+      .post('/api/auth/sign-up')
+      .send(account)
+      .expect(201);
+
+    userId = response.body.user.id;
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  it('should enable two-factor once a code is confirmed', async () => {
+    const agent = request.agent(app);
+    await agent
+      .post('/api/auth/sign-in')
+      .send({ email: account.email, password: account.password })
+      .expect(200);
+
+    const enrollment = await agent.post('/api/auth/2fa/enroll').expect(200);
+    secret = enrollment.body.secret;
+    expect(enrollment.body.otpauthUri).toMatch(/^otpauth:\/\/totp\//);
+
+    await agent
+      .post('/api/auth/2fa/confirm')
+      .send({ code: '000000' })
+      .expect(400);
+
+    const confirmation = await agent
+      .post('/api/auth/2fa/confirm')
+      .send({ code: await freshCode() })
+      .expect(200);
+
+    recoveryCodes = confirmation.body.recoveryCodes;
+    expect(recoveryCodes).toHaveLength(10);
+  });
+
+  it('should only complete the sign-in after the second factor', async () => {
+    await request(app)
+      .post('/api/auth/sign-in')
+      .send({ email: account.email, password: 'wrong-password' })
+      .expect(401);
+    const signInsBefore = await countSignIns();
+
+    const mfaToken = await startSignIn();
+
+    // The password alone neither resets the failures nor counts as a sign-in
+    expect((await lockoutState()).failed_login_attempts).toBe(1);
+    expect(await countSignIns()).toBe(signInsBefore);
+
+    const response = await request(app)
+      .post('/api/auth/2fa/verify')
+      .send({ mfaToken, code: await freshCode() })
+      .expect(200);
+
+    expect(response.body.user).toMatchObject({ id: userId, role: 'user' });
+    expect(response.headers['set-cookie'].join(';')).toMatch(/token=/);
+    expect((await lockoutState()).failed_login_attempts).toBe(0);
+    expect(await countSignIns()).toBe(signInsBefore + 1);
+
+    // The token is single use
+    await request(app)
+      .post('/api/auth/2fa/verify')
+      .send({ mfaToken, code: await freshCode() })
+      .expect(401);
+  });
+
+  it('should retire the MFA token after too many wrong codes', async () => {
+    const mfaToken = await startSignIn();
+
+    for (let attempt = 0; attempt < 3; attempt++) {
+      await request(app)
+        .post('/api/auth/2fa/verify')
+        .send({ mfaToken, code: '000000' })
+        .expect(401);
+    }
+
+    // Wrong codes count toward the lockout like wrong passwords
+    expect((await lockoutState()).failed_login_attempts).toBe(3);
+
+    await clearLockout();
+    const response = await request(app)
+      .post('/api/auth/2fa/verify')
+      .send({ mfaToken, code: await freshCode() })
+      .expect(401);
+
+    expect(response.body.detail).toBe('Invalid two-factor code');
+  });
+
+  it('should refuse the second factor while the account is locked', async () => {
+    const mfaToken = await startSignIn();
+    await db
+      .update(users)
+      .set({ locked_until: new Date(Date.now() + 60 * 1000) })
+      .where(eq(users.id, userId));
+
+    const response = await request(app)
+      .post('/api/auth/2fa/verify')
+      .send({ mfaToken, code: await freshCode() })
+      .expect(429);
+
+    expect(Number(response.headers['retry-after'])).toBeGreaterThan(0);
+    await clearLockout();
+  });
+
+  it('should accept each recovery code once', async () => {
+    const [recoveryCode] = recoveryCodes;
+
+    await request(app)
+      .post('/api/auth/2fa/verify')
+      .send({ mfaToken: await startSignIn(), recoveryCode })
+      .expect(200);
+
+    await request(app)
+      .post('/api/auth/2fa/verify')
+      .send({ mfaToken: await startSignIn(), recoveryCode })
+      .expect(401);
+  });
+
+  it('should count wrong codes toward the lockout when disabling', async () => {
+    const signedIn = await request(app)
+      .post('/api/auth/2fa/verify')
+      .send({ mfaToken: await startSignIn(), code: await freshCode() })
+      .expect(200);
+    const cookies = signedIn.headers['set-cookie'];
+
+    for (let attempt = 0; attempt < config.lockout.maxAttempts; attempt++) {
+      await request(app)
+        .post('/api/auth/2fa/disable')
+        .set('Cookie', cookies)
+        .send({ code: '000000' })
+        .expect(400);
+
+      // Skip the backoff between attempts; only the count matters here
+      await db
+        .update(users)
+        .set({ last_failed_login_at: null })
+        .where(eq(users.id, userId));
+    }
+
+    const response = await request(app)
+      .post('/api/auth/2fa/disable')
+      .set('Cookie', cookies)
+      .send({ code: await freshCode() })
+      .expect(429);
+    expect(Number(response.headers['retry-after'])).toBeGreaterThan(0);
+
+    await clearLockout();
+    await request(app)
+      .post('/api/auth/2fa/disable')
+      .set('Cookie', cookies)
+      .send({ code: await freshCode() })
+      .expect(200);
+  });
+});
@@ -0,0 +1,56 @@
+import {
+  serializeUser,
+  userViewFor,
+} from '../src/serializers/user.serializer.js';
+
+describe('User serializer', () => {
+  const user = {
+    id: 7,
+    name: 'Ada Lovelace',
+    email: 'ada@example.com',
+    role: 'user',
+    email_verified_at: null,
+    two_factor_enabled: false,
+    failed_login_attempts: 2,
+    locked_until: null,
+    created_at: new Date('2026-01-01T00:00:00Z'),
+    updated_at: new Date('2026-01-02T00:00:00Z'),
+    password: 'hash',
+  };
+
+  it('should give other accounts only the public profile', () => {
+    const view = userViewFor({ id: 8, role: 'user' }, user.id);
+
+    expect(view).toBe('public');
+    expect(serializeUser(user, view)).toEqual({
+      id: 7,
+      name: 'Ada Lovelace',
+      created_at: user.created_at,
+    });
+  });
+
+  it('should give the owner their own profile without lockout state', () => {
+    const view = userViewFor({ id: 7, role: 'user' }, user.id);
+    const serialized = serializeUser(user, view);
+
+    expect(view).toBe('self');
+    expect(serialized.email).toBe('ada@example.com');
+    expect(serialized).not.toHaveProperty('failed_login_attempts');
+  });
+
+  it('should give users:read:all the full view', () => {
+    const view = userViewFor({ id: 1, role: 'moderator' }, user.id);
+
+    expect(view).toBe('full');
+    expect(serializeUser(user, view)).toHaveProperty(
+      'failed_login_attempts',
+      2
+    );
+  });
+
+  it('should never include the password hash', () => {
+    for (const view of ['public', 'self', 'full']) {
+      expect(serializeUser(user, view)).not.toHaveProperty('password');
+    }
+  });
+});
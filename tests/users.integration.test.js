@@ -0,0 +1,366 @@
+import request from 'supertest';
+import { eq } from 'drizzle-orm';
+import app from '../src/app.js';
+import mailer, { createMemoryTransport } from '../src/config/mailer.js';
+import { config } from '../src/config/env.js';
+import { closeDatabase, db } from '../src/config/database.js';
+import { users } from '../src/models/user.model.js';
+import { auditEvents } from '../src/models/auditEvent.model.js';
+import { createUser } from '../src/services/auth.service.js';
+import { signIn } from './helpers/auth.js';
+
+describe('User management against the database', () => {
+  let admin;
+  let member;
+
+  beforeAll(async () => {
+    await createUser({
+      name: 'Ada Admin',
+      email: 'ada@example.com',
+      password: 'admin-password',
+      role: 'admin',
+    });
+    await createUser({
+      name: 'Max Member',
+      email: 'max@example.com',
+      password: 'member-password',
+      role: 'user',
+    });
+
+    admin = await signIn('ada@example.com', 'admin-password');
+    member = await signIn('max@example.com', 'member-password');
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  it('should list users for an admin', async () => {
+    const response = await request(app)
+      .get('/api/users?sort=email&order=asc')
+      .set('Cookie', admin.cookies)
+      .expect(200);
+
+    expect(response.body.total).toBe(2);
+    expect(response.body.users.map(user => user.email)).toEqual([
+      'ada@example.com',
+      'max@example.com',
+    ]);
+  });
+
+  it('should reject a forged cursor with 400', async () => {
+    const cursor = Buffer.from(
+      JSON.stringify({ s: 'created_at', v: 'garbage', id: 1, d: 'next' })
+    ).toString('base64url');
+
+    await request(app)
+      .get(`/api/users?cursor=${cursor}`)
+      .set('Cookie', admin.cookies)
+      .expect(400);
+  });
+
+  it('should not list users for a regular user', async () => {
+    const response = await request(app)
+      .get('/api/users')
+      .set('Cookie', member.cookies)
+      .expect(403);
+
+    expect(response.headers['content-type']).toMatch(
+      /^application\/problem\+json/
+    );
+    expect(response.body.code).toBe('FORBIDDEN');
+  });
+
+  it('should show only the public profile of someone else', async () => {
+    const response = await request(app)
+      .get(`/api/users/${admin.id}`)
+      .set('Cookie', member.cookies)
+      .expect(200);
+
+    expect(response.body.user).toEqual({
+      id: admin.id,
+      name: 'Ada Admin',
+      created_at: expect.any(String),
+    });
+  });
+
+  it('should let users update their own profile', async () => {
+    const response = await request(app)
+      .put(`/api/users/${member.id}`)
+      .set('Cookie', member.cookies)
+      .send({ name: 'Max Renamed' })
+      .expect(200);
+
+    expect(response.body.user.name).toBe('Max Renamed');
+  });
+
+  it('should refuse an email that belongs to someone else', async () => {
+    const response = await request(app)
+      .put(`/api/users/${member.id}`)
+      .set('Cookie', member.cookies)
+      .send({ email: 'ada@example.com' })
+      .expect(409);
+
+    expect(response.body.detail).toBe('Email already exists');
+  });
+
+  it('should stop users from changing their own role', async () => {
+    await request(app)
+      .put(`/api/users/${member.id}`)
+      .set('Cookie', member.cookies)
+      .send({ role: 'admin' })
+      .expect(403);
+  });
+
+  it('should take permissions away from tokens issued before a demotion', async () => {
+    const { id } = await createUser({
+      name: 'Dora Demoted',
+      email: 'dora@example.com',
+      password: 'former-admin-pass',
+      role: 'admin',
+    });
+    const dora = await signIn('dora@example.com', 'former-admin-pass');
+
+    await request(app)
+      .get('/api/users')
+      .set('Cookie', dora.cookies)
+      .expect(200);
+
+    await request(app)
+      .put(`/api/users/${id}`)
+      .set('Cookie', admin.cookies)
+      .send({ role: 'user' })
+      .expect(200);
+
+    await request(app)
+      .get('/api/users')
+      .set('Cookie', dora.cookies)
+      .expect(403);
+  });
+
+  it('should soft delete and restore a user', async () => {
+    await request(app)
+      .delete(`/api/users/${member.id}`)
+      .set('Cookie', admin.cookies)
+      .expect(200);
+
+    await request(app)
+      .get(`/api/users/${member.id}`)
+      .set('Cookie', admin.cookies)
+      .expect(404);
+
+    // Deleting revoked the member's sessions
+    await request(app)
+      .get(`/api/users/${member.id}`)
+      .set('Cookie', member.cookies)
+      .expect(401);
+
+    await request(app)
+      .post(`/api/users/${member.id}/restore`)
+      .set('Cookie', admin.cookies)
+      .expect(200);
+
+    await signIn('max@example.com', 'member-password');
+  });
+
+  describe('changing a password', () => {
+    // The soft delete above signed the member out
+    beforeAll(async () => {
+      member = await signIn('max@example.com', 'member-password');
+    });
+
+    it('should only let users change their own password', async () => {
+      await request(app)
+        .post(`/api/users/${admin.id}/password`)
+        .set('Cookie', member.cookies)
+        .send({ currentPassword: 'admin-password', newPassword: 'new-pass-77' })
+        .expect(403);
+    });
+
+    it('should require the current password', async () => {
+      const response = await request(app)
+        .post(`/api/users/${member.id}/password`)
+        .set('Cookie', member.cookies)
+        .send({ currentPassword: 'wrong-password', newPassword: 'new-pass-77' })
+        .expect(400);
+
+      expect(response.body.code).toBe('INVALID_CURRENT_PASSWORD');
+    });
+
+    it('should report every rule a new password breaks', async () => {
+      const response = await request(app)
+        .post(`/api/users/${member.id}/password`)
+        .set('Cookie', member.cookies)
+        .send({ currentPassword: 'member-password', newPassword: 'max' })
+        .expect(400);
+
+      expect(response.body.code).toBe('WEAK_PASSWORD');
+      expect(response.body.errors).toEqual([
+        expect.objectContaining({ field: 'newPassword', code: 'too_short' }),
+        expect.objectContaining({
+          field: 'newPassword',
+          code: 'contains_personal_info',
+        }),
+      ]);
+    });
+
+    it('should change the password and sign out other sessions', async () => {
+      const otherDevice = await signIn('max@example.com', 'member-password');
+
+      await request(app)
+        .post(`/api/users/${member.id}/password`)
+        .set('Cookie', member.cookies)
+        .send({
+          currentPassword: 'member-password',
+          newPassword: 'new-pass-77',
+        })
+        .expect(200);
+
+      await request(app)
+        .get(`/api/users/${member.id}`)
+        .set('Cookie', member.cookies)
+        .expect(200);
+      await request(app)
+        .get(`/api/users/${member.id}`)
+        .set('Cookie', otherDevice.cookies)
+        .expect(401);
+
+      await request(app)
+        .post('/api/auth/sign-in')
+        .send({ email: 'max@example.com', password: 'member-password' })
+        .expect(401);
+      await signIn('max@example.com', 'new-pass-77');
+    });
+
+    it('should not allow going back to a recent password', async () => {
+      const response = await request(app)
+        .post(`/api/users/${member.id}/password`)
+        .set('Cookie', member.cookies)
+        .send({
+          currentPassword: 'new-pass-77',
+          newPassword: 'member-password',
+        })
+        .expect(400);
+
+      expect(response.body.errors.map(error => error.code)).toEqual([
+        'recently_used',
+      ]);
+    });
+
+    it('should lock the account after too many wrong current passwords', async () => {
+      const resetFailures = () =>
+        db
+          .update(users)
+          .set({ failed_login_attempts: 0, last_failed_login_at: null })
+          .where(eq(users.id, member.id));
+
+      await resetFailures();
+
+      for (let attempt = 0; attempt < config.lockout.maxAttempts; attempt++) {
+        await request(app)
+          .post(`/api/users/${member.id}/password`)
+          .set('Cookie', member.cookies)
+          .send({
+            currentPassword: 'guessed-wrong',
+            newPassword: 'new-pass-88',
+          })
+          .expect(400);
+
+        // Skip the backoff between attempts; only the count matters here
+        await db
+          .update(users)
+          .set({ last_failed_login_at: null })
+          .where(eq(users.id, member.id));
+      }
+
+      const response = await request(app)
+        .post(`/api/users/${member.id}/password`)
+        .set('Cookie', member.cookies)
+        .send({ currentPassword: 'new-pass-77', newPassword: 'new-pass-88' })
+        .expect(429);
+
+      expect(Number(response.headers['retry-after'])).toBeGreaterThan(0);
+      const locks = await db
+        .select()
+        .from(auditEvents)
+        .where(eq(auditEvents.action, 'account.locked'));
+      expect(locks.map(event => event.resource_id)).toEqual([
+        String(member.id),
+      ]);
+    });
+  });
+
+  it('should require verifying a changed email again', async () => {
+    const outbox = createMemoryTransport();
+    const previousTransport = mailer.getTransport();
+    mailer.setTransport(outbox);
+
+    try {
+      const { id } = await createUser({
+        name: 'Vera Verified',
+        email: 'vera@example.com',
+        password: 'vera-password',
+      });
+      await db
+        .update(users)
+        .set({ email_verified_at: new Date() })
+        .where(eq(users.id, id));
+      const vera = await signIn('vera@example.com', 'vera-password');
+
+      await request(app)
+        .get('/api/deals')
+        .set('Cookie', vera.cookies)
+        .expect(200);
+
+      const response = await request(app)
+        .put(`/api/users/${id}`)
+        .set('Cookie', vera.cookies)
+        .send({ email: 'vera.new@example.com' })
+        .expect(200);
+
+      expect(response.body.user.email_verified_at).toBeNull();
+      expect(outbox.outbox.map(message => message.to)).toEqual([
+        'vera.new@example.com',
+      ]);
+      await request(app)
+        .get('/api/deals')
+        .set('Cookie', vera.cookies)
+        .expect(403);
+    } finally {
+      mailer.setTransport(previousTransport);
+    }
+  });
+
+  it('should leave no personal data in the audit log after a purge', async () => {
+    const { id } = await createUser({
+      name: 'Paula Purged',
+      email: 'paula@example.com',
+      password: 'paula-password',
+    });
+    const paula = await signIn('paula@example.com', 'paula-password');
+
+    await request(app)
+      .put(`/api/users/${id}`)
+      .set('Cookie', paula.cookies)
+      .send({ name: 'Paula Renamed', email: 'paula.renamed@example.com' })
+      .expect(200);
+    await request(app)
+      .post('/api/auth/sign-in')
+      .send({ email: 'paula.unknown@example.com', password: 'paula-password' })
+      .expect(401);
+
+    await request(app)
+      .delete(`/api/users/${id}`)
+      .set('Cookie', admin.cookies)
+      .expect(200);
+    await request(app)
+      .post('/api/admin/users/purge')
+      .set('Cookie', admin.cookies)
+      .send({ retentionDays: 0 })
+      .expect(200);
+
+    const events = await db.select().from(auditEvents);
+    expect(events.some(event => event.resource_id === String(id))).toBe(true);
+    expect(JSON.stringify(events)).not.toMatch(/paula/i);
+  });
+});
@@ -0,0 +1,83 @@
+import express from 'express';
+import request from 'supertest';
+import { z } from 'zod';
+import { validate } from '../src/middleware/validate.middleware.js';
+import { errorHandler } from '../src/middleware/error.middleware.js';
+
+const schemas = {
+  params: z.object({
+    id: z
+      .string()
+      .regex(/^\d+$/, 'ID must be a valid number')
+      .transform(Number),
+  }),
+  query: z.object({
+    limit: z.coerce.number().int().max(100, 'Limit too high').default(20),
+  }),
+  body: z.object({ name: z.string().trim().min(3, 'Name is too short') }),
+  headers: z.object({ 'x-tenant': z.string().min(1, 'Tenant is required') }),
+};
+
+const buildApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.post('/things/:id', validate(schemas), (req, res) => {
+    res.json({
+      params: req.params,
+      query: req.query,
+      body: req.body,
+      tenant: req.headers['x-tenant'],
+      host: req.headers.host,
+    });
+  });
+  app.use(errorHandler);
+  return app;
+};
+
+describe('validate middleware', () => {
+  it('should replace the request parts with the parsed values', async () => {
+    const response = await request(buildApp())
+      .post('/things/42')
+      .set('X-Tenant', 'acme')
+      .send({ name: '  Widget  ' })
+      .expect(200);
+
+    expect(response.body.params).toEqual({ id: 42 });
+    expect(response.body.query).toEqual({ limit: 20 });
+    expect(response.body.body).toEqual({ name: 'Widget' });
+    expect(response.body.tenant).toBe('acme');
+    // Headers outside the schema are left alone
+    expect(response.body.host).toBeDefined();
+  });
+
+  it('should coerce the query string despite its Express 5 getter', async () => {
+    const response = await request(buildApp())
+      .post('/things/1?limit=5')
+      .set('X-Tenant', 'acme')
+      .send({ name: 'Widget' })
+      .expect(200);
+
+    expect(response.body.query).toEqual({ limit: 5 });
+  });
+
+  it('should report failures from every part of the request', async () => {
+    const response = await request(buildApp())
+      .post('/things/abc?limit=500')
+      .send({ name: 'a' })
+      .expect(400);
+
+    expect(response.body.code).toBe('VALIDATION_FAILED');
+    expect(response.body.errors).toEqual(
+      expect.arrayContaining([
+        expect.objectContaining({ in: 'params', field: 'id' }),
+        expect.objectContaining({ in: 'query', field: 'limit' }),
+        expect.objectContaining({ in: 'body', field: 'name' }),
+        expect.objectContaining({ in: 'headers', field: 'x-tenant' }),
+      ])
+    );
+  });
+
+  it('should expose its schemas for the API docs', () => {
+    expect(validate(schemas).schemas).toBe(schemas);
+  });
+});